@@ -1,7 +1,12 @@
 const express = require('express');
 const http = require('http');
+const promClient = require('prom-client');
 const Bot = require('./src/Bot');
-const logger = require('./src/utils/logger');
+const logger = require('./src/utils/logger').child({ module: 'main' });
+const config = require('./src/config/config');
+const { createApiRouter } = require('./src/api/router');
+const telegramService = require('./src/services/telegram');
+const metrics = require('./src/utils/metrics');
 
 // Load environment variables
 require('dotenv').config();
@@ -35,6 +40,10 @@ async function main() {
     }
 
     // Express Routes
+    if (telegramService.mode === 'webhook') {
+        app.post(telegramService.webhookPath, express.json(), telegramService.createWebhookHandler());
+    }
+
     app.get('/', (req, res) => {
         res.send('Instagram Follower Monitor Bot is running.');
     });
@@ -48,16 +57,44 @@ async function main() {
             });
         }
 
-        const health = await botInstance.getHealthStatus();
-        const statusCode = health.status === 'UP' ? 200 : 503;
+        const health = botInstance.getHealthStatus();
+        // DEGRADED still serves traffic; the watchdog heals what it can and alerts on the rest
+        const statusCode = ['UP', 'DEGRADED'].includes(health.status) ? 200 : 503;
         res.status(statusCode).json(health);
     });
 
+    if (config.METRICS.ENABLED) {
+        // Process-level metrics (CPU, memory, event loop lag) next to the bot's own
+        promClient.collectDefaultMetrics({ register: metrics.register, prefix: 'instabot_' });
+
+        app.get(config.METRICS.PATH, async (req, res) => {
+            try {
+                res.set('Content-Type', metrics.register.contentType);
+                res.send(await botInstance.getMetrics());
+            } catch (error) {
+                logger.error('Failed to render metrics:', error);
+                res.sendStatus(500);
+            }
+        });
+        logger.info(`Prometheus metrics enabled at ${config.METRICS.PATH}`);
+    }
+
+    if (config.REST_API.KEYS.size > 0) {
+        app.use('/api/v1', createApiRouter(botInstance));
+        logger.info('REST API enabled at /api/v1');
+    } else {
+        logger.info('REST API disabled: set REST_API_KEYS to enable it.');
+    }
+
     // Start HTTP Server
     const server = http.createServer(app);
 
     server.listen(PORT, () => {
         logger.info(`HTTP server listening on port ${PORT}`);
+
+        // Telegram only starts calling the webhook once the route can answer
+        telegramService.startWebhook()
+            .catch(error => logger.error('Failed to register the Telegram webhook:', error));
     });
 
     // Graceful Shutdown Logic
@@ -97,6 +134,6 @@ async function main() {
 
 // --- Run the Application ---
 main().catch(error => {
-    console.error(`${LOG_PREFIX} CRITICAL: Unhandled error in main application function:`, error);
+    logger.error('Unhandled error in main application function:', error);
     process.exit(1);
 });
\ No newline at end of file
@@ -1,28 +1,77 @@
-const logger = require('./utils/logger');
+const logger = require('./utils/logger').child({ module: 'bot' });
 const config = require('./config/config');
 const DatabaseService = require('./services/database');
 const InstagramService = require('./services/instagram');
 const MonitorService = require('./services/monitor');
+const NotificationService = require('./services/notification');
+const AlertRulesService = require('./services/alertRules');
+const AnalyticsService = require('./services/analytics');
+const DigestService = require('./services/digest');
+const WebhookService = require('./services/webhook');
+const ArchiveService = require('./services/archive');
+const AccessControlService = require('./services/access');
+const UsageService = require('./services/usage');
+const ChannelService = require('./services/channel');
+const ExportService = require('./services/export');
+const WatchlistService = require('./services/watchlist');
+const HealthService = require('./services/health');
+const AccountLifecycleService = require('./services/lifecycle');
 const TelegramHandler = require('./telegram/handler');
 const telegramService = require('./services/telegram');
+const metrics = require('./utils/metrics');
 
 class Bot {
-    constructor() {
+    /**
+     * `options.bot` replaces the node-telegram-bot-api instance, e.g. with
+     * the recording mock the test suite uses.
+     */
+    constructor(options = {}) {
         this.isInitializing = true;
-        this._initializeServices();
+        this._initializeServices(options);
     }
 
-    _initializeServices() {
+    _initializeServices(options) {
         // Initialize services
         this.databaseService = new DatabaseService();
         this.instagramService = new InstagramService();
         
         // Initialize Telegram bot first
-        const bot = telegramService.initialize();
+        const bot = metrics.instrumentTelegramBot(options.bot || telegramService.initialize());
         
         // Initialize services that need the bot instance
-        this.monitorService = new MonitorService(this.instagramService, bot);
-        this.telegramHandler = new TelegramHandler(bot, this.monitorService);
+        this.usageService = new UsageService(bot);
+        this.alertRulesService = new AlertRulesService(bot);
+        this.analyticsService = new AnalyticsService(bot);
+        this.digestService = new DigestService(bot, this.analyticsService, this.usageService);
+        this.webhookService = new WebhookService(bot);
+        this.archiveService = new ArchiveService(bot, this.usageService);
+        this.accessControlService = new AccessControlService(bot);
+        this.channelService = new ChannelService(bot);
+        this.exportService = new ExportService(bot);
+        this.notificationService = new NotificationService(bot, this.alertRulesService, this.webhookService, this.usageService, this.channelService);
+        this.lifecycleService = new AccountLifecycleService();
+        this.monitorService = new MonitorService(this.instagramService, bot, this.notificationService, this.digestService, this.archiveService, this.usageService, this.lifecycleService);
+        this.watchlistService = new WatchlistService(bot, this.monitorService);
+        this.healthService = new HealthService(bot, {
+            databaseService: this.databaseService,
+            monitorService: this.monitorService,
+            instagramService: this.instagramService,
+            telegramService,
+            archiveService: this.archiveService
+        });
+        this.telegramHandler = new TelegramHandler(bot, {
+            monitorService: this.monitorService,
+            alertRulesService: this.alertRulesService,
+            analyticsService: this.analyticsService,
+            digestService: this.digestService,
+            webhookService: this.webhookService,
+            archiveService: this.archiveService,
+            accessControlService: this.accessControlService,
+            usageService: this.usageService,
+            channelService: this.channelService,
+            exportService: this.exportService,
+            watchlistService: this.watchlistService
+        });
     }
 
     async initialize() {
@@ -45,6 +94,9 @@ class Bot {
             logger.info('Starting monitoring service...');
             await this.monitorService.start();
             logger.info('Monitoring service started successfully');
+
+            // Watches the loops started above and restarts them if they stall
+            this.healthService.start();
             
         } catch (error) {
             logger.error('Bot initialization failed:', error);
@@ -56,11 +108,17 @@ class Bot {
         logger.info("Starting graceful shutdown...");
         
         try {
-            // Stop monitoring first
+            this.healthService.stop();
+
+            // Stop monitoring first; running checks finish and release their job leases
             await this.monitorService.stop();
             logger.info("Monitoring stopped.");
 
-            // Stop Telegram polling
+            // Finish webhook requests under way and dead-letter pending retries while the database is up
+            await this.webhookService.drain();
+            logger.info("Webhook deliveries drained.");
+
+            // Stop Telegram polling or unregister the webhook
             await telegramService.stop();
             logger.info("Telegram service stopped.");
 
@@ -75,29 +133,27 @@ class Bot {
         }
     }
 
-    async getHealthStatus() {
-        const dbState = this.databaseService.getConnectionState();
-        
-        return {
-            status: this.isInitializing ? 'INITIALIZING' : 
-                    (dbState.isConnected && this.monitorService.isRunning) ? 'UP' : 'DOWN',
-            components: {
-                database: {
-                    status: dbState.isConnected ? 'UP' : 'DOWN',
-                    details: {
-                        readyState: dbState.readyState
-                    }
-                },
-                monitor: {
-                    status: this.monitorService.isRunning ? 'UP' : 'DOWN',
-                    details: {
-                        isInitializing: this.monitorService.isInitializing,
-                        checkInterval: this.monitorService.options.checkInterval
-                    }
-                }
-            },
-            timestamp: new Date().toISOString()
-        };
+    /**
+     * Prometheus exposition text for /metrics. Account and queue gauges are
+     * read here, at scrape time, instead of being kept current on every change.
+     */
+    async getMetrics() {
+        if (this.databaseService.getConnectionState().isConnected) {
+            try {
+                const { accounts, subscriptions } = await this.monitorService.getMonitoringCounts();
+                metrics.monitoredAccounts.set(accounts);
+                metrics.subscriptions.set(subscriptions);
+            } catch (error) {
+                logger.warn('Could not count monitored accounts for metrics:', error);
+            }
+        }
+        metrics.schedulerQueueDepth.set(this.monitorService.getSchedulerStats().queueDepth || 0);
+
+        return metrics.register.metrics();
+    }
+
+    getHealthStatus() {
+        return this.healthService.getReport({ isInitializing: this.isInitializing });
     }
 }
 
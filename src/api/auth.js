@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger').child({ module: 'api.auth' });
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * Express middleware accepting an API key from the `X-API-Key` header or an
+ * `Authorization: Bearer <key>` header. Keys are compared as SHA-256 digests
+ * in constant time.
+ */
+function requireApiKey(apiKeys) {
+    const keyHashes = [...apiKeys].map(hashKey);
+
+    return (req, res, next) => {
+        const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+        const provided = req.get('x-api-key') || (bearer && bearer[1]);
+
+        if (!provided) {
+            return res.status(401).json({ error: 'API key required' });
+        }
+
+        const providedHash = hashKey(provided);
+        const matchIndex = keyHashes.findIndex(keyHash => crypto.timingSafeEqual(keyHash, providedHash));
+        if (matchIndex === -1) {
+            logger.warn(`Rejected API request with invalid key: ${req.method} ${req.originalUrl} from ${req.ip}`);
+            return res.status(403).json({ error: 'Invalid API key' });
+        }
+
+        // Identifies the caller in logs without exposing the key itself.
+        req.apiKeyId = providedHash.toString('hex').substring(0, 8);
+        next();
+    };
+}
+
+module.exports = { requireApiKey };
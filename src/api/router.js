@@ -0,0 +1,234 @@
+const express = require('express');
+const { MonitoredUser, FollowerHistory, StoryHistory } = require('../models/models');
+const MonitorService = require('../services/monitor');
+const ExportService = require('../services/export');
+const logger = require('../utils/logger').child({ module: 'api' });
+const config = require('../config/config');
+const { requireApiKey } = require('./auth');
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+function normalizeUsername(value) {
+    const username = String(value || '').trim().replace('@', '').toLowerCase();
+    if (!MonitorService.isValidUsername(username)) {
+        throw new ApiError(400, 'Invalid Instagram username format');
+    }
+    return username;
+}
+
+function parseDate(value, name) {
+    if (value === undefined) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new ApiError(400, `Invalid '${name}' date`);
+    return date;
+}
+
+/**
+ * Reads `from`/`to` date filters and `page`/`limit` pagination from the query
+ * string into a Mongo filter on `dateField` plus skip/limit values.
+ */
+function parseListQuery(query, dateField) {
+    const limit = Math.min(Math.max(parseInt(query.limit || config.REST_API.DEFAULT_PAGE_SIZE, 10) || 1, 1), config.REST_API.MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(query.page || '1', 10) || 1, 1);
+    const from = parseDate(query.from, 'from');
+    const to = parseDate(query.to, 'to');
+
+    const filter = {};
+    if (from || to) {
+        filter[dateField] = {};
+        if (from) filter[dateField].$gte = from;
+        if (to) filter[dateField].$lte = to;
+    }
+
+    return {
+        filter,
+        page,
+        limit,
+        skip: (page - 1) * limit,
+        sort: { [dateField]: query.order === 'asc' ? 1 : -1 }
+    };
+}
+
+async function paginate(model, filter, { page, limit, skip, sort }, projection = null) {
+    const [data, total] = await Promise.all([
+        model.find(filter).select(projection).sort(sort).skip(skip).limit(limit).lean(),
+        model.countDocuments(filter)
+    ]);
+    return { data, page, limit, total, hasMore: skip + data.length < total };
+}
+
+function parseLimit(value, name) {
+    if (value === null) return null;
+    if (!Number.isInteger(value) || value < 0) {
+        throw new ApiError(400, `'${name}' must be a non-negative integer or null`);
+    }
+    return value;
+}
+
+function serializeSubscription(subscription) {
+    return {
+        username: subscription.username,
+        chatId: subscription.chatId,
+        addedByUserId: subscription.addedByUserId,
+        createdAt: subscription.createdAt
+    };
+}
+
+/**
+ * JSON REST API for dashboards and scripts, mounted under /api/v1.
+ * Every route requires one of the configured API keys.
+ */
+function createApiRouter(bot) {
+    const router = express.Router();
+    const monitorService = () => bot.monitorService;
+    const usageService = () => bot.usageService;
+
+    router.use(requireApiKey(config.REST_API.KEYS));
+    router.use(express.json());
+
+    router.get('/chats/:chatId/monitors', async (req, res) => {
+        const subscriptions = await MonitoredUser.find({ chatId: req.params.chatId }).sort({ username: 1 }).lean();
+        res.json({ data: subscriptions.map(serializeSubscription) });
+    });
+
+    router.post('/chats/:chatId/monitors', async (req, res) => {
+        const username = normalizeUsername(req.body?.username);
+        const addedByUserId = String(req.body?.addedByUserId || `api:${req.apiKeyId}`);
+        const { status, subscription, reason } = await monitorService().registerAccount(username, req.params.chatId, addedByUserId);
+
+        if (status === 'exists') {
+            return res.status(409).json({ error: `@${username} is already monitored in this chat`, data: serializeSubscription(subscription) });
+        }
+        if (status === 'quota_exceeded') throw new ApiError(403, reason);
+
+        // The initial check can take a while; don't hold the request open for it.
+        monitorService().checkSingleAccount(username, { forceInitialNotification: true })
+            .catch(error => logger.error(`Initial check for @${username} (added via API) failed:`, error));
+
+        res.status(201).json({ data: serializeSubscription(subscription) });
+    });
+
+    router.delete('/chats/:chatId/monitors/:username', async (req, res) => {
+        const username = normalizeUsername(req.params.username);
+        const { removed, dataDeleted } = await monitorService().unregisterAccount(username, req.params.chatId);
+        if (!removed) throw new ApiError(404, `@${username} is not monitored in this chat`);
+        res.json({ data: { username, chatId: req.params.chatId, dataDeleted } });
+    });
+
+    router.get('/chats/:chatId/usage', async (req, res) => {
+        const { chatId } = req.params;
+        const [quota, accounts, usage] = await Promise.all([
+            usageService().getQuota(chatId),
+            MonitoredUser.countDocuments({ chatId }),
+            usageService().getUsage(chatId, parseDate(req.query.from, 'from'), parseDate(req.query.to, 'to'))
+        ]);
+        res.json({ data: { chatId, quota, accounts, usage } });
+    });
+
+    router.put('/chats/:chatId/quota', async (req, res) => {
+        const body = req.body || {};
+        const limits = {};
+        for (const field of ['maxAccounts', 'maxAccountsPerUser']) {
+            if (body[field] !== undefined) limits[field] = parseLimit(body[field], field);
+        }
+        if (!Object.keys(limits).length) {
+            throw new ApiError(400, "Provide 'maxAccounts' and/or 'maxAccountsPerUser'");
+        }
+
+        const quota = await usageService().setQuota(req.params.chatId, limits, `api:${req.apiKeyId}`);
+        res.json({ data: { chatId: req.params.chatId, quota } });
+    });
+
+    router.get('/usage', async (req, res) => {
+        const data = await usageService().getAllUsage(parseDate(req.query.from, 'from'), parseDate(req.query.to, 'to'));
+        res.json({ data });
+    });
+
+    router.get('/accounts/:username/history', async (req, res) => {
+        const username = normalizeUsername(req.params.username);
+        const query = parseListQuery(req.query, 'createdAt');
+        const projection = req.query.includeRaw === 'true' ? '-__v' : '-__v -apiResponseJson';
+        res.json(await paginate(FollowerHistory, { username, ...query.filter }, query, projection));
+    });
+
+    router.get('/accounts/:username/stories', async (req, res) => {
+        const username = normalizeUsername(req.params.username);
+        const query = parseListQuery(req.query, 'createdAt');
+        res.json(await paginate(StoryHistory, { username, ...query.filter }, query, '-__v'));
+    });
+
+    // Streams the export straight from Mongo cursors; nothing is buffered
+    router.get('/accounts/:username/export', async (req, res) => {
+        const username = normalizeUsername(req.params.username);
+        const format = String(req.query.format || 'csv').toLowerCase();
+        const dataset = String(req.query.dataset || 'history').toLowerCase();
+        if (!ExportService.formats.includes(format)) {
+            throw new ApiError(400, `'format' must be one of ${ExportService.formats.join(', ')}`);
+        }
+        if (!ExportService.datasets.includes(dataset)) {
+            throw new ApiError(400, `'dataset' must be one of ${ExportService.datasets.join(', ')}`);
+        }
+        if (format === 'csv' && dataset === 'all') {
+            throw new ApiError(400, "CSV exports hold one dataset; use 'history' or 'stories', or JSON/XLSX for both");
+        }
+        const options = {
+            username,
+            format,
+            dataset,
+            from: parseDate(req.query.from, 'from'),
+            to: parseDate(req.query.to, 'to'),
+            includeRaw: req.query.includeRaw === 'true'
+        };
+
+        res.setHeader('Content-Type', ExportService.contentType(format));
+        res.setHeader('Content-Disposition', `attachment; filename="${ExportService.fileName(username, format, dataset)}"`);
+        try {
+            await bot.exportService.writeExport(ExportService.streamWriter(res), options);
+            res.end();
+        } catch (error) {
+            if (!res.headersSent) throw error;
+            // Too late for an error response (or the client left); cut the download short
+            logger.warn(`Export of @${username} aborted mid-stream: ${error.message}`);
+            res.destroy(error);
+        }
+    });
+
+    router.post('/accounts/:username/check', async (req, res) => {
+        const username = normalizeUsername(req.params.username);
+        if (!(await MonitoredUser.exists({ username }))) {
+            throw new ApiError(404, `@${username} is not monitored by any chat`);
+        }
+
+        const data = await monitorService().checkSingleAccount(username);
+        if (!data) throw new ApiError(502, `Could not fetch profile data for @${username}`);
+
+        const { apiResponseJson, ...profile } = data;
+        res.json({ data: profile });
+    });
+
+    router.use((req, res) => {
+        res.status(404).json({ error: 'Not found' });
+    });
+
+    router.use((error, req, res, next) => {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Invalid JSON body' });
+        }
+
+        logger.error(`API error on ${req.method} ${req.originalUrl}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    });
+
+    return router;
+}
+
+module.exports = { createApiRouter, ApiError };
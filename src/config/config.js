@@ -3,6 +3,38 @@ require('dotenv').config();
 
 const config = {
     LOG_PREFIX: '[InstaBot]',
+    LOGGING: {
+        // error, warn, info or debug; DEBUG=true still turns on debug output
+        LEVEL: (process.env.LOG_LEVEL || (['true', 'insta-bot'].includes(process.env.DEBUG) ? 'debug' : 'info')).toLowerCase(),
+        // Per-module overrides, e.g. "monitor=debug,scheduler=warn"
+        MODULE_LEVELS: Object.fromEntries(
+            (process.env.LOG_LEVELS || '').split(',')
+                .map(pair => pair.split('=').map(part => part.trim().toLowerCase()))
+                .filter(([module, level]) => module && level)
+        ),
+        // json (one object per line, for log shippers) or pretty (human-readable console output)
+        FORMAT: (process.env.LOG_FORMAT || 'json').toLowerCase(),
+        // Optional file written alongside stdout, always as JSON; rotated by size
+        FILE: process.env.LOG_FILE || null,
+        FILE_MAX_BYTES: parseInt(process.env.LOG_FILE_MAX_BYTES || String(10 * 1024 * 1024), 10),
+        FILE_MAX_FILES: parseInt(process.env.LOG_FILE_MAX_FILES || '5', 10)
+    },
+    HEALTH: {
+        // How often the watchdog re-evaluates health, restarts stalled loops and checks upstreams
+        CHECK_INTERVAL_MS: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS || '30000', 10),
+        // A loop without progress for this long (at least three scheduler ticks) is restarted
+        LOOP_STALL_MS: parseInt(process.env.HEALTH_LOOP_STALL_MS || '120000', 10),
+        // Checks running longer than this are abandoned and rescheduled
+        JOB_STUCK_MS: parseInt(process.env.HEALTH_JOB_STUCK_MS || '600000', 10),
+        // Consecutive failures after which a provider counts as down and TELEGRAM_AUTHORIZED_USERS are alerted
+        UPSTREAM_FAILURE_THRESHOLD: parseInt(process.env.HEALTH_UPSTREAM_FAILURE_THRESHOLD || '10', 10),
+        POLLING_ERROR_THRESHOLD: parseInt(process.env.HEALTH_POLLING_ERROR_THRESHOLD || '5', 10)
+    },
+    METRICS: {
+        // Prometheus scrape endpoint on the HTTP server
+        ENABLED: process.env.METRICS_ENABLED !== 'false',
+        PATH: process.env.METRICS_PATH || '/metrics'
+    },
     MONGODB: {
         URI: process.env.MONGODB_URI,
     },
@@ -12,14 +44,136 @@ const config = {
             process.env.TELEGRAM_AUTHORIZED_USERS
                 ? process.env.TELEGRAM_AUTHORIZED_USERS.split(',').map(id => parseInt(id.trim(), 10)).filter(id => !isNaN(id))
                 : []
-        )
+        ),
+        // Public HTTPS base URL of this server (e.g. https://bot.example.com); polling is used when empty
+        WEBHOOK_URL: (process.env.TELEGRAM_WEBHOOK_URL || '').replace(/\/+$/, ''),
+        // Both default to values derived from the bot token so every replica agrees on them
+        WEBHOOK_PATH_SECRET: process.env.TELEGRAM_WEBHOOK_PATH_SECRET || '',
+        WEBHOOK_SECRET_TOKEN: process.env.TELEGRAM_WEBHOOK_SECRET_TOKEN || '',
+        WEBHOOK_MAX_CONNECTIONS: parseInt(process.env.TELEGRAM_WEBHOOK_MAX_CONNECTIONS || '40', 10),
+        // Turn off for rolling deploys, where a stopping replica must not unregister the new one's webhook
+        WEBHOOK_DELETE_ON_SHUTDOWN: process.env.TELEGRAM_WEBHOOK_DELETE_ON_SHUTDOWN !== 'false'
     },
     API: {
         TIMEOUT_MS: parseInt(process.env.API_TIMEOUT_MS || '15000', 10),
+        STORY_TIMEOUT_MS: parseInt(process.env.STORY_API_TIMEOUT_MS || '15000', 10),
         IMAGE_FETCH_TIMEOUT_MS: parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS || '10000', 10),
-        REQUEST_DELAY_MS: parseInt(process.env.REQUEST_DELAY_MS || '1500', 10),
+        // Larger story media is identified by its URL instead of downloaded for a content hash
+        STORY_HASH_MAX_BYTES: parseInt(process.env.STORY_HASH_MAX_BYTES || String(10 * 1024 * 1024), 10),
         CHECK_INTERVAL_MS: parseInt(process.env.CHECK_INTERVAL_MS || '60000', 10),
-        INSTAGRAM_API_URL_BASE: process.env.INSTAGRAM_API_URL_BASE || "https://fanhub.pro/tucktools_user"
+        INSTAGRAM_API_URL_BASE: process.env.INSTAGRAM_API_URL_BASE || "https://fanhub.pro/tucktools_user",
+        STORY_API_URL_BASE: process.env.STORY_API_URL_BASE || 'https://content.mollygram.com/'
+    },
+    PROVIDERS: {
+        // Provider names in failover order
+        PROFILE: (process.env.PROFILE_PROVIDERS || 'tucktools,instagram-web').split(',').map(name => name.trim()).filter(Boolean),
+        STORY: (process.env.STORY_PROVIDERS || 'mollygram').split(',').map(name => name.trim()).filter(Boolean),
+        FAILURE_THRESHOLD: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD || '3', 10),
+        COOLDOWN_MS: parseInt(process.env.PROVIDER_COOLDOWN_MS || '300000', 10),
+        // Requests per minute per provider; defaults to the old one-request-per-REQUEST_DELAY_MS pace
+        RATE_PER_MINUTE: parseFloat(process.env.PROVIDER_RATE_PER_MINUTE || String(60000 / parseInt(process.env.REQUEST_DELAY_MS || '1500', 10))),
+        RATE_BURST: parseInt(process.env.PROVIDER_RATE_BURST || '3', 10),
+        // Per-provider overrides, e.g. "tucktools:30,instagram-web:10"
+        RATE_LIMITS: Object.fromEntries(
+            (process.env.PROVIDER_RATE_LIMITS || '').split(',').map(entry => entry.split(':').map(part => part.trim()))
+                .filter(([name, rate]) => name && !isNaN(parseFloat(rate)))
+                .map(([name, rate]) => [name, parseFloat(rate)])
+        )
+    },
+    SCHEDULER: {
+        // mongo shares jobs between replicas via leases; memory keeps them in-process
+        STORE: (process.env.SCHEDULER_STORE || 'mongo').toLowerCase(),
+        // A claimed job is renewed while running; if its worker dies, others may take it after this long
+        LEASE_MS: parseInt(process.env.SCHEDULER_LEASE_MS || '120000', 10),
+        CONCURRENCY: parseInt(process.env.SCHEDULER_CONCURRENCY || '4', 10),
+        TICK_MS: parseInt(process.env.SCHEDULER_TICK_MS || '1000', 10),
+        // How often the job list is reconciled with MonitoredUser
+        SYNC_INTERVAL_MS: parseInt(process.env.SCHEDULER_SYNC_INTERVAL_MS || '60000', 10),
+        // Accounts unchanged for this many checks in a row get their interval doubled, up to MAX_CHECK_INTERVAL_MS
+        BACKOFF_AFTER_UNCHANGED: parseInt(process.env.SCHEDULER_BACKOFF_AFTER_UNCHANGED || '3', 10),
+        MAX_CHECK_INTERVAL_MS: parseInt(process.env.MAX_CHECK_INTERVAL_MS || String(8 * parseInt(process.env.CHECK_INTERVAL_MS || '60000', 10)), 10),
+        STORY_CHECK_INTERVAL_MS: parseInt(process.env.STORY_CHECK_INTERVAL_MS || '3600000', 10),
+        JITTER_RATIO: parseFloat(process.env.SCHEDULER_JITTER_RATIO || '0.1')
+    },
+    DIFF: {
+        // apiResponseJson fields (dotted paths) that change on every request and should not be diffed
+        IGNORED_FIELDS: new Set(
+            (process.env.DIFF_IGNORED_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean)
+        ),
+        MAX_SNAPSHOTS: parseInt(process.env.DIFF_MAX_SNAPSHOTS || '20', 10),
+        // Max Hamming distance (out of 64 bits) between profile picture hashes still treated as the same picture
+        PROFILE_PIC_HASH_THRESHOLD: parseInt(process.env.PROFILE_PIC_HASH_THRESHOLD || '10', 10)
+    },
+    ANALYTICS: {
+        // IANA timezone used to bucket snapshots into days and weeks
+        TIMEZONE: process.env.ANALYTICS_TIMEZONE || 'UTC'
+    },
+    REST_API: {
+        // Comma-separated keys accepted by the /api/v1 routes; the API is disabled when empty
+        KEYS: new Set(
+            (process.env.REST_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+        ),
+        DEFAULT_PAGE_SIZE: parseInt(process.env.REST_API_DEFAULT_PAGE_SIZE || '100', 10),
+        MAX_PAGE_SIZE: parseInt(process.env.REST_API_MAX_PAGE_SIZE || '1000', 10)
+    },
+    WEBHOOKS: {
+        TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+        MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+        BACKOFF_BASE_MS: parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '2000', 10),
+        BACKOFF_MAX_MS: parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || '300000', 10)
+    },
+    CHANNELS: {
+        TIMEOUT_MS: parseInt(process.env.CHANNEL_TIMEOUT_MS || '10000', 10),
+        // Email channels are only offered when SMTP_HOST is set
+        SMTP: {
+            HOST: process.env.SMTP_HOST || '',
+            PORT: parseInt(process.env.SMTP_PORT || '587', 10),
+            SECURE: process.env.SMTP_SECURE === 'true',
+            USER: process.env.SMTP_USER || '',
+            PASS: process.env.SMTP_PASS || '',
+            FROM: process.env.SMTP_FROM || 'InstaBot <instabot@localhost>'
+        }
+    },
+    DIGEST: {
+        POLL_INTERVAL_MS: parseInt(process.env.DIGEST_POLL_INTERVAL_MS || '60000', 10),
+        DEFAULT_TIME: process.env.DIGEST_DEFAULT_TIME || '09:00'
+    },
+    IMPORT: {
+        // Upper bound for one /import so a huge paste can't stall the bot
+        MAX_ACCOUNTS: parseInt(process.env.IMPORT_MAX_ACCOUNTS || '500', 10),
+        MAX_FILE_BYTES: parseInt(process.env.IMPORT_MAX_FILE_BYTES || '262144', 10)
+    },
+    LIFECYCLE: {
+        // Profile answers in a row saying an account is unavailable before chats are told it disappeared
+        FAILURE_THRESHOLD: parseInt(process.env.ACCOUNT_FAILURE_THRESHOLD || '3', 10),
+        // Move every chat to a renamed account's new handle; otherwise each chat uses /follow
+        AUTO_FOLLOW_RENAMES: process.env.ACCOUNT_AUTO_FOLLOW_RENAMES === 'true'
+    },
+    QUOTAS: {
+        // Defaults for chats without their own quota; 0 = unlimited
+        MAX_ACCOUNTS_PER_CHAT: parseInt(process.env.QUOTA_MAX_ACCOUNTS_PER_CHAT || '0', 10),
+        // Accounts a single user may add within one chat
+        MAX_ACCOUNTS_PER_USER: parseInt(process.env.QUOTA_MAX_ACCOUNTS_PER_USER || '0', 10)
+    },
+    ARCHIVE: {
+        // none (default, archiving is opt-in), local or s3 (any S3-compatible store, e.g. MinIO)
+        BACKEND: (process.env.ARCHIVE_BACKEND || 'none').toLowerCase(),
+        LOCAL_DIR: process.env.ARCHIVE_LOCAL_DIR || './archive',
+        S3: {
+            ENDPOINT: process.env.ARCHIVE_S3_ENDPOINT || null,
+            REGION: process.env.ARCHIVE_S3_REGION || 'us-east-1',
+            BUCKET: process.env.ARCHIVE_S3_BUCKET,
+            ACCESS_KEY_ID: process.env.ARCHIVE_S3_ACCESS_KEY_ID,
+            SECRET_ACCESS_KEY: process.env.ARCHIVE_S3_SECRET_ACCESS_KEY,
+            // MinIO and most self-hosted stores need path-style URLs
+            FORCE_PATH_STYLE: process.env.ARCHIVE_S3_FORCE_PATH_STYLE !== 'false'
+        },
+        TIMEOUT_MS: parseInt(process.env.ARCHIVE_TIMEOUT_MS || '60000', 10),
+        MAX_FILE_BYTES: parseInt(process.env.ARCHIVE_MAX_FILE_BYTES || String(50 * 1024 * 1024), 10),
+        // Defaults for accounts without their own retention; 0 keeps everything
+        RETENTION_DAYS: parseInt(process.env.ARCHIVE_RETENTION_DAYS || '0', 10),
+        MAX_ITEMS_PER_ACCOUNT: parseInt(process.env.ARCHIVE_MAX_ITEMS_PER_ACCOUNT || '0', 10),
+        PRUNE_INTERVAL_MS: parseInt(process.env.ARCHIVE_PRUNE_INTERVAL_MS || '3600000', 10)
     }
 };
 
@@ -1,9 +1,41 @@
 const mongoose = require('mongoose');
 
+const CountAlertRuleSchema = new mongoose.Schema({
+    enabled: { type: Boolean, default: true },
+    minAbsolute: { type: Number, default: 1, min: 0 },
+    minPercent: { type: Number, default: 0, min: 0 },
+    direction: { type: String, enum: ['both', 'increase', 'decrease'], default: 'both' },
+}, { _id: false });
+
+const AlertRulesSchema = new mongoose.Schema({
+    followers: { type: CountAlertRuleSchema, default: () => ({}) },
+    following: { type: CountAlertRuleSchema, default: () => ({}) },
+    posts: { type: CountAlertRuleSchema, default: () => ({}) },
+    verified: { type: Boolean, default: true },
+    private: { type: Boolean, default: true },
+    profilePic: { type: Boolean, default: true },
+    name: { type: Boolean, default: true },
+    bio: { type: Boolean, default: true },
+    fields: { type: Boolean, default: true },
+}, { _id: false });
+
 const MonitoredUserSchema = new mongoose.Schema({
     username: { type: String, required: true, lowercase: true, index: true },
     chatId: { type: String, required: true, index: true },
     addedByUserId: { type: String, required: true },
+    alertRules: { type: AlertRulesSchema, default: () => ({}) },
+    // Counts this chat was last alerted about, so thresholds apply to the
+    // accumulated drift rather than to each individual check.
+    alertBaseline: {
+        followersCount: Number,
+        followingCount: Number,
+        postsCount: Number,
+    },
+    // Extra destinations for this subscription's notifications; the chat
+    // itself is skipped when muteChat is set.
+    channelIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'NotificationChannel' }],
+    muteChat: { type: Boolean, default: false },
+    importedAt: Date, // set for subscriptions created by /import
 }, { timestamps: true });
 
 MonitoredUserSchema.index({ username: 1, chatId: 1 }, { unique: true });
@@ -24,23 +56,176 @@ const FollowerHistorySchema = new mongoose.Schema({
     rawFollowing: String,
     rawPosts: String,
     apiResponseJson: mongoose.Schema.Types.Mixed,
+    provider: String, // data-source provider that produced apiResponseJson
+    profilePicArchiveId: { type: mongoose.Schema.Types.ObjectId, ref: 'ArchivedMedia' },
 }, { timestamps: { createdAt: true, updatedAt: false } });
 
 FollowerHistorySchema.index({ username: 1, createdAt: -1 });
 
 const StoryHistorySchema = new mongoose.Schema({
     username: { type: String, required: true, lowercase: true, index: true },
+    // Stable identity derived from the media ID, CDN file name or content hash (see utils/storyId)
+    storyId: { type: String },
     mediaUrl: { type: String, required: true },
     mediaType: { type: String, enum: ['photo', 'video'], required: true },
     processedAt: { type: Date, default: Date.now },
-    sentTo: [{ type: String }] // Array of chat IDs where this story was sent
+    sentTo: [{ type: String }], // Array of chat IDs where this story was sent
+    archivedMediaId: { type: mongoose.Schema.Types.ObjectId, ref: 'ArchivedMedia' }
+}, { timestamps: true });
+
+// Stories are deduplicated by identity; records from before storyId existed are skipped by the filter
+StoryHistorySchema.index({ username: 1, storyId: 1 }, { unique: true, partialFilterExpression: { storyId: { $type: 'string' } } });
+StoryHistorySchema.index({ username: 1, mediaUrl: 1 });
+
+const DigestScheduleSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    frequency: { type: String, enum: ['daily', 'weekly'], required: true },
+    time: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ }, // HH:MM in `timezone`
+    timezone: { type: String, required: true, default: 'UTC' },
+    nextRunAt: { type: Date, required: true, index: true },
+    lastSentAt: Date,
+    createdByUserId: String,
+}, { timestamps: true });
+
+const WebhookSchema = new mongoose.Schema({
+    chatId: { type: String, default: null, index: true }, // null = global, receives events for every account
+    url: { type: String, required: true },
+    secret: { type: String, required: true },
+    events: { type: [String], default: ['profile.changed', 'account.new', 'story.new', 'account.status'] },
+    active: { type: Boolean, default: true },
+    createdByUserId: String,
+    lastDeliveryAt: Date,
+    lastStatus: String,
+}, { timestamps: true });
+
+// A destination outside the chat (Discord, Slack, email, HTTP or another
+// Telegram chat) that subscriptions of the chat can route notifications to.
+const NotificationChannelSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, index: true },
+    type: { type: String, enum: ['telegram', 'discord', 'slack', 'email', 'http'], required: true },
+    target: { type: String, required: true }, // chat id, webhook URL or email address
+    secret: String, // HMAC signing secret for http channels
+    createdByUserId: String,
+    lastDeliveryAt: Date,
+    lastStatus: String,
+}, { timestamps: true });
+
+// Deliveries that still failed after every retry, kept for inspection and replay.
+const WebhookDeadLetterSchema = new mongoose.Schema({
+    webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', index: true },
+    url: { type: String, required: true },
+    event: { type: String, required: true },
+    deliveryId: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    attempts: Number,
+    lastStatus: Number,
+    lastError: String,
+}, { timestamps: true });
+
+// One entry per distinct file an account has published. The blob itself is stored once
+// under its SHA-256 (storageKey), so identical media across accounts costs nothing extra.
+const ArchivedMediaSchema = new mongoose.Schema({
+    username: { type: String, required: true, lowercase: true },
+    kind: { type: String, enum: ['story', 'profile_pic'], required: true },
+    mediaType: { type: String, enum: ['photo', 'video'], required: true },
+    hash: { type: String, required: true, index: true },
+    storageKey: { type: String, required: true },
+    backend: { type: String, required: true },
+    contentType: String,
+    size: Number,
+    sourceUrl: String,
+    // History record the file was first captured from
+    storyHistoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoryHistory' },
+    followerHistoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'FollowerHistory' },
+    capturedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+ArchivedMediaSchema.index({ username: 1, kind: 1, hash: 1 }, { unique: true });
+ArchivedMediaSchema.index({ username: 1, capturedAt: -1 });
+
+const ArchivePolicySchema = new mongoose.Schema({
+    username: { type: String, required: true, lowercase: true, unique: true },
+    retentionDays: { type: Number, min: 0, default: 0 }, // 0 = no age limit
+    maxItems: { type: Number, min: 0, default: 0 }, // 0 = no count limit
+    updatedByUserId: String
+}, { timestamps: true });
+
+// Whether a monitored account still exists under its handle; shared by every chat monitoring it
+const AccountStatusSchema = new mongoose.Schema({
+    username: { type: String, required: true, lowercase: true, unique: true },
+    state: { type: String, enum: ['active', 'not_found', 'renamed', 'suspected_banned'], default: 'active' },
+    since: { type: Date, default: Date.now }, // when the current state was entered
+    consecutiveFailures: { type: Number, default: 0 }, // profile answers in a row saying the account is unavailable
+    lastError: { type: String, default: null }, // the API's message from the last such answer
+    renamedTo: { type: String, lowercase: true, default: null },
+    lastSeenAt: Date
+}, { timestamps: true });
+
+const ChatMemberSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, index: true },
+    userId: { type: String, required: true },
+    role: { type: String, enum: ['owner', 'admin', 'viewer'], required: true },
+    displayName: String, // Telegram @username or name, for /members
+    grantedByUserId: String
+}, { timestamps: true });
+
+ChatMemberSchema.index({ chatId: 1, userId: 1 }, { unique: true });
+
+// Limits for one chat; unset fields fall back to the QUOTAS defaults.
+const ChatQuotaSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    maxAccounts: { type: Number, min: 0 }, // 0 = unlimited
+    maxAccountsPerUser: { type: Number, min: 0 }, // 0 = unlimited
+    updatedBy: String
+}, { timestamps: true });
+
+// Daily usage bucket per chat. API calls for an account monitored by several
+// chats are split between them, so the counts can be fractional.
+const UsageCounterSchema = new mongoose.Schema({
+    chatId: { type: String, required: true },
+    day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+    profileApiCalls: { type: Number, default: 0 },
+    storyApiCalls: { type: Number, default: 0 },
+    notifications: { type: Number, default: 0 },
+    mediaBytes: { type: Number, default: 0 }
+}, { timestamps: true });
+
+UsageCounterSchema.index({ chatId: 1, day: 1 }, { unique: true });
+UsageCounterSchema.index({ day: 1 });
+
+// Recurring per-account check (see services/scheduler). A worker claims a due job by
+// taking its lease; an expired lease means the worker died and the job is up for grabs.
+const ScheduledJobSchema = new mongoose.Schema({
+    type: { type: String, required: true },
+    key: { type: String, required: true },
+    nextRunAt: { type: Date, required: true },
+    intervalMs: Number,
+    unchangedStreak: { type: Number, default: 0 },
+    failures: { type: Number, default: 0 },
+    lastRunAt: Date,
+    lastDurationMs: Number,
+    lastError: String,
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    leaseToken: { type: String, default: null }
 }, { timestamps: true });
 
-// Compound index to efficiently find stories by username and URL
-StoryHistorySchema.index({ username: 1, mediaUrl: 1 }, { unique: true });
+ScheduledJobSchema.index({ type: 1, key: 1 }, { unique: true });
+ScheduledJobSchema.index({ nextRunAt: 1, lockedUntil: 1 });
 
 module.exports = {
     MonitoredUser: mongoose.model('MonitoredUser', MonitoredUserSchema),
     FollowerHistory: mongoose.model('FollowerHistory', FollowerHistorySchema),
-    StoryHistory: mongoose.model('StoryHistory', StoryHistorySchema)
+    StoryHistory: mongoose.model('StoryHistory', StoryHistorySchema),
+    DigestSchedule: mongoose.model('DigestSchedule', DigestScheduleSchema),
+    Webhook: mongoose.model('Webhook', WebhookSchema),
+    NotificationChannel: mongoose.model('NotificationChannel', NotificationChannelSchema),
+    WebhookDeadLetter: mongoose.model('WebhookDeadLetter', WebhookDeadLetterSchema),
+    ArchivedMedia: mongoose.model('ArchivedMedia', ArchivedMediaSchema),
+    ArchivePolicy: mongoose.model('ArchivePolicy', ArchivePolicySchema),
+    AccountStatus: mongoose.model('AccountStatus', AccountStatusSchema),
+    ScheduledJob: mongoose.model('ScheduledJob', ScheduledJobSchema),
+    ChatMember: mongoose.model('ChatMember', ChatMemberSchema),
+    ChatQuota: mongoose.model('ChatQuota', ChatQuotaSchema),
+    UsageCounter: mongoose.model('UsageCounter', UsageCounterSchema)
 };
@@ -0,0 +1,192 @@
+const { ChatMember } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'access' });
+const config = require('../config/config');
+const { escapeMarkdown } = require('../utils/markdown');
+
+const ROLE_RANK = { viewer: 1, admin: 2, owner: 3 };
+const ROLE_ICONS = { owner: '👑', admin: '🛠️', viewer: '👀' };
+const ROLE_LABELS = { owner: 'an owner', admin: 'an admin', viewer: 'a viewer' };
+
+/**
+ * Per-chat roles: viewers can read, admins manage monitoring and settings,
+ * owners additionally manage admins. Users in TELEGRAM_AUTHORIZED_USERS act
+ * as owners in every chat.
+ *
+ * A chat without members is claimed by the first eligible user: the user
+ * themselves in a private chat, a Telegram administrator in a group.
+ */
+class AccessControlService {
+    constructor(bot) {
+        this.bot = bot;
+        this.superUsers = config.TELEGRAM.AUTHORIZED_USERS;
+    }
+
+    static isValidRole(role) {
+        return Object.prototype.hasOwnProperty.call(ROLE_RANK, role);
+    }
+
+    static hasRole(role, requiredRole) {
+        return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[requiredRole];
+    }
+
+    /**
+     * Resolves the role of `user` in `chat` (Telegram objects), claiming
+     * ownership of chats that have no members yet. Resolves to null for
+     * users without access.
+     */
+    async getRole(chat, user) {
+        if (this.superUsers.has(user.id)) return 'owner';
+
+        const chatId = chat.id.toString();
+        const userId = user.id.toString();
+        const member = await ChatMember.findOne({ chatId, userId });
+        if (member) return member.role;
+
+        if (await ChatMember.exists({ chatId })) return null;
+        return this._claimOwnership(chat, user);
+    }
+
+    async authorize(chat, user, requiredRole) {
+        const role = await this.getRole(chat, user);
+        return { allowed: AccessControlService.hasRole(role, requiredRole), role };
+    }
+
+    async handleGrant(msg, args, actorRole) {
+        const chatId = msg.chat.id.toString();
+        const target = this._resolveTarget(msg, args);
+        const role = (target.rest[0] || '').toLowerCase();
+
+        if (!target.userId || !AccessControlService.isValidRole(role)) {
+            await this.bot.sendMessage(chatId,
+                '⚠️ Usage: /grant `user id` `owner|admin|viewer`, or reply to a message of the user with /grant `role`.',
+                { parse_mode: 'Markdown' });
+            return;
+        }
+
+        // Admins may only hand out viewer access; owners may grant anything
+        if (actorRole !== 'owner' && ROLE_RANK[role] >= ROLE_RANK.admin) {
+            await this.bot.sendMessage(chatId, '❌ Only owners can grant the admin or owner role.');
+            return;
+        }
+
+        const existing = await ChatMember.findOne({ chatId, userId: target.userId });
+        if (existing && !this._canManage(actorRole, existing.role)) {
+            await this.bot.sendMessage(chatId, `❌ You can't change the role of ${ROLE_LABELS[existing.role]}.`);
+            return;
+        }
+        if (existing?.role === 'owner' && role !== 'owner' && await this._isLastOwner(chatId, target.userId)) {
+            await this.bot.sendMessage(chatId, '❌ The chat needs at least one owner. Grant ownership to someone else first.');
+            return;
+        }
+
+        await ChatMember.findOneAndUpdate(
+            { chatId, userId: target.userId },
+            {
+                role,
+                grantedByUserId: msg.from.id.toString(),
+                ...(target.displayName ? { displayName: target.displayName } : {})
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+        logger.info(`User ${msg.from.id} granted ${role} to user ${target.userId} in chat ${chatId}.`);
+        await this.bot.sendMessage(chatId, `✅ ${this._formatUser(target.userId, target.displayName || existing?.displayName)} is now ${ROLE_LABELS[role]}.`, { parse_mode: 'Markdown' });
+    }
+
+    async handleRevoke(msg, args, actorRole) {
+        const chatId = msg.chat.id.toString();
+        const target = this._resolveTarget(msg, args);
+
+        if (!target.userId) {
+            await this.bot.sendMessage(chatId,
+                '⚠️ Usage: /revoke `user id`, or reply to a message of the user with /revoke.',
+                { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const member = await ChatMember.findOne({ chatId, userId: target.userId });
+        if (!member) {
+            await this.bot.sendMessage(chatId, 'ℹ️ That user has no role in this chat.');
+            return;
+        }
+        if (!this._canManage(actorRole, member.role)) {
+            await this.bot.sendMessage(chatId, `❌ You can't revoke the access of ${ROLE_LABELS[member.role]}.`);
+            return;
+        }
+        if (member.role === 'owner' && await this._isLastOwner(chatId, member.userId)) {
+            await this.bot.sendMessage(chatId, '❌ The chat needs at least one owner. Grant ownership to someone else first.');
+            return;
+        }
+
+        await ChatMember.deleteOne({ _id: member._id });
+        logger.info(`User ${msg.from.id} revoked ${member.role} of user ${member.userId} in chat ${chatId}.`);
+        await this.bot.sendMessage(chatId, `✅ Access of ${this._formatUser(member.userId, member.displayName)} revoked.`, { parse_mode: 'Markdown' });
+    }
+
+    async handleMembers(chatId) {
+        const members = await ChatMember.find({ chatId });
+        if (!members.length) {
+            await this.bot.sendMessage(chatId, '📭 No members with a role in this chat.');
+            return;
+        }
+
+        members.sort((a, b) => ROLE_RANK[b.role] - ROLE_RANK[a.role] || a.userId.localeCompare(b.userId));
+        const lines = members.map(member => `${ROLE_ICONS[member.role]} ${this._formatUser(member.userId, member.displayName)} - ${member.role}`);
+        await this.bot.sendMessage(chatId, `👥 *Members (${members.length}):*\n\n${lines.join('\n')}`, { parse_mode: 'Markdown' });
+    }
+
+    async _claimOwnership(chat, user) {
+        const chatId = chat.id.toString();
+        const userId = user.id.toString();
+
+        let eligible = chat.type === 'private' && chat.id === user.id;
+        if (!eligible && chat.type !== 'private') {
+            try {
+                const telegramMember = await this.bot.getChatMember(chat.id, user.id);
+                eligible = ['creator', 'administrator'].includes(telegramMember.status);
+            } catch (error) {
+                logger.warn(`Could not look up Telegram membership of user ${userId} in chat ${chatId}: ${error.message}`);
+            }
+        }
+        if (!eligible) return null;
+
+        try {
+            await ChatMember.create({ chatId, userId, role: 'owner', grantedByUserId: userId, displayName: this._displayName(user) });
+        } catch (error) {
+            // Someone else claimed the chat at the same moment
+            if (error.code === 11000) return (await ChatMember.findOne({ chatId, userId }))?.role || null;
+            throw error;
+        }
+        logger.info(`User ${userId} claimed ownership of chat ${chatId}.`);
+        return 'owner';
+    }
+
+    _resolveTarget(msg, args) {
+        const replyUser = msg.reply_to_message?.from;
+        if (replyUser && !replyUser.is_bot) {
+            return { userId: replyUser.id.toString(), displayName: this._displayName(replyUser), rest: args };
+        }
+        if (args[0] && /^\d+$/.test(args[0])) {
+            return { userId: args[0], displayName: null, rest: args.slice(1) };
+        }
+        return { userId: null, rest: args };
+    }
+
+    // Owners manage everyone; admins only manage viewers
+    _canManage(actorRole, targetRole) {
+        return actorRole === 'owner' || ROLE_RANK[targetRole] < ROLE_RANK[actorRole];
+    }
+
+    async _isLastOwner(chatId, userId) {
+        return !(await ChatMember.exists({ chatId, role: 'owner', userId: { $ne: userId } }));
+    }
+
+    _displayName(user) {
+        return user.username ? `@${user.username}` : [user.first_name, user.last_name].filter(Boolean).join(' ') || null;
+    }
+
+    _formatUser(userId, displayName) {
+        return displayName ? `${escapeMarkdown(displayName)} (\`${userId}\`)` : `\`${userId}\``;
+    }
+}
+
+module.exports = AccessControlService;
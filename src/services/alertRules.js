@@ -0,0 +1,278 @@
+const { MonitoredUser } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'alerts' });
+const { escapeMarkdown } = require('../utils/markdown');
+
+// Count fields: rule key -> diff key on the changes object and the snapshot field.
+const COUNT_FIELDS = {
+    followers: { diffKey: 'followerDiff', dataKey: 'followersCount', label: 'Followers' },
+    following: { diffKey: 'followingDiff', dataKey: 'followingCount', label: 'Following' },
+    posts: { diffKey: 'postsDiff', dataKey: 'postsCount', label: 'Posts' },
+};
+
+// Flag fields: rule key -> boolean key on the changes object.
+const FLAG_FIELDS = {
+    verified: { changeKey: 'verifiedChanged', label: 'Verified' },
+    private: { changeKey: 'privateChanged', label: 'Privacy' },
+    profilePic: { changeKey: 'profilePicChanged', label: 'Picture' },
+    name: { changeKey: 'nameChanged', label: 'Name' },
+    bio: { changeKey: 'bioChanged', label: 'Bio' },
+    fields: { changeKey: 'fieldsChanged', label: 'Other fields' },
+};
+
+const ABSOLUTE_PRESETS = [1, 5, 10, 50, 100, 500, 1000];
+const PERCENT_PRESETS = [0, 0.1, 0.5, 1, 2, 5, 10];
+const DIRECTIONS = ['both', 'increase', 'decrease'];
+const DIRECTION_ICONS = { both: '↕️', increase: '⬆️', decrease: '⬇️' };
+
+class AlertRulesService {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    /**
+     * Rule keys of everything that changed in a change set from
+     * MonitorService._detectChanges, e.g. ['followers', 'bio'].
+     */
+    static changedTypes(changes) {
+        return [
+            ...Object.keys(COUNT_FIELDS).filter(key => changes[COUNT_FIELDS[key].diffKey]),
+            ...Object.keys(FLAG_FIELDS).filter(key => changes[FLAG_FIELDS[key].changeKey])
+        ];
+    }
+
+    /**
+     * Narrows a change set from MonitorService._detectChanges down to what a
+     * single subscription wants to hear about. Count diffs are measured from
+     * the subscription's alert baseline when one exists; `baselineUpdates`
+     * holds the values to persist once the result has been handled.
+     */
+    applyRules(changes, subscription) {
+        const rules = this._getRules(subscription);
+        const baseline = subscription.alertBaseline || {};
+        const previous = typeof changes.previous?.toObject === 'function'
+            ? changes.previous.toObject()
+            : { ...changes.previous };
+        const filtered = { ...changes, previous, hasChanged: false, baselineUpdates: {} };
+
+        for (const [ruleKey, field] of Object.entries(COUNT_FIELDS)) {
+            const current = changes.current[field.dataKey] || 0;
+            const from = typeof baseline[field.dataKey] === 'number'
+                ? baseline[field.dataKey]
+                : (changes.previous?.[field.dataKey] || 0);
+            const diff = current - from;
+
+            if (this._countRulePasses(rules[ruleKey], diff, from)) {
+                filtered[field.diffKey] = diff;
+                filtered.previous[field.dataKey] = from;
+                filtered.baselineUpdates[field.dataKey] = current;
+                filtered.hasChanged = true;
+            } else {
+                filtered[field.diffKey] = 0;
+                // Pin the starting point so sub-threshold drift accumulates.
+                if (typeof baseline[field.dataKey] !== 'number') {
+                    filtered.baselineUpdates[field.dataKey] = from;
+                }
+            }
+        }
+
+        for (const [ruleKey, field] of Object.entries(FLAG_FIELDS)) {
+            filtered[field.changeKey] = Boolean(changes[field.changeKey] && rules[ruleKey] !== false);
+            if (filtered[field.changeKey]) filtered.hasChanged = true;
+        }
+
+        return filtered;
+    }
+
+    async updateBaseline(subscription, baselineUpdates) {
+        if (!baselineUpdates || !Object.keys(baselineUpdates).length) return;
+
+        const $set = {};
+        for (const [key, value] of Object.entries(baselineUpdates)) {
+            $set[`alertBaseline.${key}`] = value;
+        }
+        await MonitoredUser.updateOne({ _id: subscription._id }, { $set });
+    }
+
+    async showRules(chatId, username, messageId = null) {
+        const subscription = await MonitoredUser.findOne({ username, chatId });
+        if (!subscription) {
+            await this.bot.sendMessage(chatId, `⚠️ @${username} is not monitored in this chat.`);
+            return;
+        }
+
+        const text = this._formatRulesMessage(username, this._getRules(subscription));
+        const options = {
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: this._buildKeyboard(username, this._getRules(subscription)) }
+        };
+
+        if (messageId) {
+            await this.bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+        } else {
+            await this.bot.sendMessage(chatId, text, options);
+        }
+    }
+
+    /**
+     * Handles `/alerts username <field> <setting> <value>` for values the
+     * preset buttons don't cover, e.g. `/alerts nasa followers abs 250`.
+     */
+    async setRule(chatId, username, field, setting, value) {
+        const subscription = await MonitoredUser.findOne({ username, chatId });
+        if (!subscription) {
+            await this.bot.sendMessage(chatId, `⚠️ @${username} is not monitored in this chat.`);
+            return;
+        }
+
+        const update = this._parseRuleUpdate(field, setting, value);
+        if (!update) {
+            await this.bot.sendMessage(chatId,
+                '⚠️ Invalid rule. Usage: /alerts `username` `followers|following|posts` `abs|pct|dir|on|off` `value`\n' +
+                'or /alerts `username` `verified|private|profilePic|name|bio|fields` `on|off`',
+                { parse_mode: 'Markdown' });
+            return;
+        }
+
+        await MonitoredUser.updateOne({ _id: subscription._id }, { $set: update });
+        logger.info(`Alert rules for @${username} in chat ${chatId} updated:`, update);
+        await this.showRules(chatId, username);
+    }
+
+    async handleCallback(data, chatId, msg) {
+        // Format: alerts:<field>:<action>:<username>
+        const [, field, action, username] = data.split(':');
+        const subscription = await MonitoredUser.findOne({ username, chatId });
+        if (!subscription) {
+            await this.bot.sendMessage(chatId, `⚠️ @${username} is not monitored in this chat.`);
+            return;
+        }
+
+        const rules = this._getRules(subscription);
+        let update = null;
+
+        if (action === 'reset') {
+            update = { alertRules: {}, alertBaseline: {} };
+        } else if (COUNT_FIELDS[field]) {
+            const rule = rules[field];
+            if (action === 'toggle') {
+                update = { [`alertRules.${field}.enabled`]: !rule.enabled };
+            } else if (action === 'abs') {
+                update = { [`alertRules.${field}.minAbsolute`]: this._nextPreset(ABSOLUTE_PRESETS, rule.minAbsolute) };
+            } else if (action === 'pct') {
+                update = { [`alertRules.${field}.minPercent`]: this._nextPreset(PERCENT_PRESETS, rule.minPercent) };
+            } else if (action === 'dir') {
+                update = { [`alertRules.${field}.direction`]: this._nextPreset(DIRECTIONS, rule.direction) };
+            }
+        } else if (FLAG_FIELDS[field] && action === 'toggle') {
+            update = { [`alertRules.${field}`]: !rules[field] };
+        }
+
+        if (!update) {
+            logger.warn(`Unknown alerts callback data: ${data}`);
+            return;
+        }
+
+        await MonitoredUser.updateOne({ _id: subscription._id }, { $set: update });
+        await this.showRules(chatId, username, msg ? msg.message_id : null);
+    }
+
+    _countRulePasses(rule, diff, base) {
+        if (!rule || !rule.enabled || diff === 0) return false;
+        if (rule.direction === 'increase' && diff < 0) return false;
+        if (rule.direction === 'decrease' && diff > 0) return false;
+        if (Math.abs(diff) < (rule.minAbsolute || 0)) return false;
+
+        if (rule.minPercent > 0) {
+            // A change from zero is treated as infinitely large.
+            if (base !== 0 && (Math.abs(diff) / Math.abs(base)) * 100 < rule.minPercent) return false;
+        }
+        return true;
+    }
+
+    _getRules(subscription) {
+        const stored = subscription.alertRules
+            ? (typeof subscription.alertRules.toObject === 'function' ? subscription.alertRules.toObject() : subscription.alertRules)
+            : {};
+        const rules = {};
+
+        for (const key of Object.keys(COUNT_FIELDS)) {
+            rules[key] = { enabled: true, minAbsolute: 1, minPercent: 0, direction: 'both', ...(stored[key] || {}) };
+        }
+        for (const key of Object.keys(FLAG_FIELDS)) {
+            rules[key] = stored[key] !== false;
+        }
+        return rules;
+    }
+
+    _parseRuleUpdate(field, setting, value) {
+        if (COUNT_FIELDS[field]) {
+            if (setting === 'on' || setting === 'off') {
+                return { [`alertRules.${field}.enabled`]: setting === 'on' };
+            }
+            if (setting === 'dir') {
+                return DIRECTIONS.includes(value) ? { [`alertRules.${field}.direction`]: value } : null;
+            }
+            const number = parseFloat(value);
+            if (isNaN(number) || number < 0) return null;
+            if (setting === 'abs') return { [`alertRules.${field}.minAbsolute`]: Math.floor(number) };
+            if (setting === 'pct') return { [`alertRules.${field}.minPercent`]: number };
+            return null;
+        }
+
+        if (FLAG_FIELDS[field] && (setting === 'on' || setting === 'off')) {
+            return { [`alertRules.${field}`]: setting === 'on' };
+        }
+        return null;
+    }
+
+    _nextPreset(presets, current) {
+        const index = presets.indexOf(current);
+        return presets[(index + 1) % presets.length];
+    }
+
+    _formatRulesMessage(username, rules) {
+        const lines = [`🔔 *Alert rules for @${escapeMarkdown(username)}*`, ''];
+
+        for (const [key, field] of Object.entries(COUNT_FIELDS)) {
+            const rule = rules[key];
+            if (!rule.enabled) {
+                lines.push(`🚫 *${field.label}:* off`);
+                continue;
+            }
+            const percent = rule.minPercent > 0 ? ` and ≥${rule.minPercent}%` : '';
+            lines.push(`✅ *${field.label}:* change of ≥${rule.minAbsolute}${percent}, ${rule.direction === 'both' ? 'either direction' : `${rule.direction} only`}`);
+        }
+
+        const flags = Object.entries(FLAG_FIELDS)
+            .map(([key, field]) => `${rules[key] ? '✅' : '🚫'} ${field.label}`)
+            .join('  ');
+        lines.push(flags);
+
+        lines.push('', '_Count thresholds are measured from the last value this chat was alerted about._');
+        return lines.join('\n');
+    }
+
+    _buildKeyboard(username, rules) {
+        const keyboard = Object.entries(COUNT_FIELDS).map(([key, field]) => {
+            const rule = rules[key];
+            return [
+                { text: `${rule.enabled ? '✅' : '🚫'} ${field.label}`, callback_data: `alerts:${key}:toggle:${username}` },
+                { text: `≥${rule.minAbsolute}`, callback_data: `alerts:${key}:abs:${username}` },
+                { text: `≥${rule.minPercent}%`, callback_data: `alerts:${key}:pct:${username}` },
+                { text: `${DIRECTION_ICONS[rule.direction]} ${rule.direction}`, callback_data: `alerts:${key}:dir:${username}` },
+            ];
+        });
+
+        const flagButtons = Object.entries(FLAG_FIELDS).map(([key, field]) => (
+            { text: `${rules[key] ? '✅' : '🚫'} ${field.label}`, callback_data: `alerts:${key}:toggle:${username}` }
+        ));
+        for (let i = 0; i < flagButtons.length; i += 3) {
+            keyboard.push(flagButtons.slice(i, i + 3));
+        }
+        keyboard.push([{ text: '🔄 Reset to defaults', callback_data: `alerts:all:reset:${username}` }]);
+
+        return keyboard;
+    }
+}
+
+module.exports = AlertRulesService;
@@ -0,0 +1,321 @@
+const { FollowerHistory } = require('../models/models');
+const config = require('../config/config');
+const { escapeMarkdown } = require('../utils/markdown');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milestones further out than this aren't worth projecting (and overflow Date for near-flat trends)
+const PROJECTION_HORIZON_DAYS = 3650;
+
+const GROWTH_PERIODS = {
+    '7d': 7 * DAY_MS,
+    '30d': 30 * DAY_MS,
+    '90d': 90 * DAY_MS,
+    '365d': 365 * DAY_MS,
+    'all': null
+};
+
+const BUCKET_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V'
+};
+
+class AnalyticsService {
+    constructor(bot) {
+        this.bot = bot;
+        this.options = {
+            timezone: config.ANALYTICS.TIMEZONE
+        };
+    }
+
+    static isValidPeriod(period) {
+        return Object.prototype.hasOwnProperty.call(GROWTH_PERIODS, period);
+    }
+
+    static get periods() {
+        return Object.keys(GROWTH_PERIODS);
+    }
+
+    /**
+     * Net change of `field` per day or ISO week. Each bucket's change is
+     * measured against the last value of the previous bucket, and the first
+     * bucket against the last snapshot before `since`.
+     */
+    async getPeriodChanges(username, { unit = 'day', since = null, until = new Date(), field = 'followersCount', timezone = this.options.timezone } = {}) {
+        const match = { username, createdAt: { $lte: until } };
+        if (since) match.createdAt.$gte = since;
+
+        const buckets = await FollowerHistory.aggregate([
+            { $match: match },
+            { $sort: { createdAt: 1 } },
+            {
+                $group: {
+                    _id: { $dateToString: { format: BUCKET_FORMATS[unit], date: '$createdAt', timezone } },
+                    first: { $first: `$${field}` },
+                    last: { $last: `$${field}` },
+                    min: { $min: `$${field}` },
+                    max: { $max: `$${field}` },
+                    snapshots: { $sum: 1 },
+                    lastAt: { $last: '$createdAt' }
+                }
+            },
+            { $sort: { _id: 1 } },
+            {
+                $setWindowFields: {
+                    sortBy: { _id: 1 },
+                    output: { previousLast: { $shift: { output: '$last', by: -1 } } }
+                }
+            }
+        ]);
+
+        if (!buckets.length) return [];
+
+        const anchor = since ? await this._getValueBefore(username, since, field) : null;
+        return buckets.map((bucket, index) => {
+            let reference = bucket.previousLast;
+            if (index === 0) reference = anchor ?? bucket.first;
+            return {
+                period: bucket._id,
+                start: reference ?? 0,
+                end: bucket.last ?? 0,
+                netChange: (bucket.last ?? 0) - (reference ?? 0),
+                min: bucket.min,
+                max: bucket.max,
+                snapshots: bucket.snapshots,
+                lastAt: bucket.lastAt
+            };
+        });
+    }
+
+    async getDailyChanges(username, options = {}) {
+        return this.getPeriodChanges(username, { ...options, unit: 'day' });
+    }
+
+    async getWeeklyChanges(username, options = {}) {
+        return this.getPeriodChanges(username, { ...options, unit: 'week' });
+    }
+
+    /**
+     * Least-squares fit of `field` over time, computed from running sums in
+     * the database. Returns the slope in units per day, or null when fewer
+     * than two snapshots exist.
+     */
+    async getTrend(username, { since = null, field = 'followersCount' } = {}) {
+        const match = { username };
+        if (since) match.createdAt = { $gte: since };
+
+        const [origin] = await FollowerHistory.find(match).sort({ createdAt: 1 }).limit(1).select('createdAt').lean();
+        if (!origin) return null;
+
+        const [sums] = await FollowerHistory.aggregate([
+            { $match: match },
+            {
+                $project: {
+                    x: { $divide: [{ $subtract: ['$createdAt', origin.createdAt] }, DAY_MS] },
+                    y: { $ifNull: [`$${field}`, 0] }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    n: { $sum: 1 },
+                    sumX: { $sum: '$x' },
+                    sumY: { $sum: '$y' },
+                    sumXY: { $sum: { $multiply: ['$x', '$y'] } },
+                    sumXX: { $sum: { $multiply: ['$x', '$x'] } }
+                }
+            }
+        ]);
+
+        if (!sums || sums.n < 2) return null;
+        const denominator = sums.n * sums.sumXX - sums.sumX * sums.sumX;
+        if (denominator === 0) return null;
+
+        const slope = (sums.n * sums.sumXY - sums.sumX * sums.sumY) / denominator;
+        const intercept = (sums.sumY - slope * sums.sumX) / sums.n;
+        return { slopePerDay: slope, intercept, origin: origin.createdAt, samples: sums.n };
+    }
+
+    /**
+     * State of an account at the start and end of a window, taken from the
+     * last snapshot before `since` (falling back to the first one inside the
+     * window) and the last snapshot up to `until`. Null without any data.
+     */
+    async getWindowSummary(username, since, until = new Date()) {
+        const fields = ['followersCount', 'followingCount', 'postsCount', 'isVerified', 'isPrivate'];
+        const lastValues = Object.fromEntries(fields.map(field => [field, { $last: `$${field}` }]));
+        const firstValues = Object.fromEntries(fields.map(field => [`first_${field}`, { $first: `$${field}` }]));
+
+        const [inWindow] = await FollowerHistory.aggregate([
+            { $match: { username, createdAt: { $gte: since, $lte: until } } },
+            { $sort: { createdAt: 1 } },
+            { $group: { _id: null, snapshots: { $sum: 1 }, ...firstValues, ...lastValues } }
+        ]);
+        const before = await FollowerHistory.findOne({ username, createdAt: { $lt: since } })
+            .sort({ createdAt: -1 })
+            .select(fields.join(' '))
+            .lean();
+
+        if (!inWindow && !before) return null;
+
+        const start = {};
+        const end = {};
+        for (const field of fields) {
+            start[field] = before ? before[field] : inWindow[`first_${field}`];
+            end[field] = inWindow ? inWindow[field] : before[field];
+        }
+
+        return {
+            username,
+            start,
+            end,
+            snapshots: inWindow ? inWindow.snapshots : 0,
+            followerDiff: (end.followersCount || 0) - (start.followersCount || 0),
+            followingDiff: (end.followingCount || 0) - (start.followingCount || 0),
+            postsDiff: (end.postsCount || 0) - (start.postsCount || 0),
+            verifiedChanged: Boolean(start.isVerified) !== Boolean(end.isVerified),
+            privateChanged: Boolean(start.isPrivate) !== Boolean(end.isPrivate)
+        };
+    }
+
+    /**
+     * Everything /growth shows: totals, averages, best and worst days,
+     * weekly buckets and the projection to the next follower milestone.
+     */
+    async getGrowthSummary(username, period = '30d') {
+        const span = GROWTH_PERIODS[period];
+        const now = new Date();
+        const since = span ? new Date(now.getTime() - span) : null;
+
+        const [daily, weekly, trend, latest] = await Promise.all([
+            this.getDailyChanges(username, { since, until: now }),
+            this.getWeeklyChanges(username, { since, until: now }),
+            this.getTrend(username, { since }),
+            FollowerHistory.findOne({ username }).sort({ createdAt: -1 }).select('followersCount createdAt').lean()
+        ]);
+
+        if (!latest || !daily.length) return null;
+
+        const startValue = daily[0].start;
+        const endValue = latest.followersCount || 0;
+        const netChange = endValue - startValue;
+        const firstAt = since || (await FollowerHistory.findOne({ username }).sort({ createdAt: 1 }).select('createdAt').lean()).createdAt;
+        const days = Math.max((now - firstAt) / DAY_MS, 1);
+
+        const sortedDays = [...daily].sort((a, b) => b.netChange - a.netChange);
+        const summary = {
+            username,
+            period,
+            startValue,
+            endValue,
+            netChange,
+            days,
+            averagePerDay: netChange / days,
+            averagePercentPerDay: startValue ? (netChange / startValue / days) * 100 : null,
+            bestDay: sortedDays[0],
+            worstDay: sortedDays[sortedDays.length - 1],
+            daily,
+            weekly,
+            projection: null
+        };
+
+        if (trend && trend.slopePerDay !== 0) {
+            const milestone = this.nextMilestone(endValue, trend.slopePerDay > 0 ? 1 : -1);
+            const daysToMilestone = milestone === null ? null : (milestone - endValue) / trend.slopePerDay;
+            if (Number.isFinite(daysToMilestone) && daysToMilestone <= PROJECTION_HORIZON_DAYS) {
+                summary.projection = {
+                    milestone,
+                    slopePerDay: trend.slopePerDay,
+                    days: daysToMilestone,
+                    date: new Date(now.getTime() + daysToMilestone * DAY_MS)
+                };
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Next round number on the 1-2-5 scale (1K, 2K, 5K, 10K, ...) above the
+     * value, or below it when `direction` is negative.
+     */
+    nextMilestone(value, direction = 1) {
+        if (direction < 0 && value <= 1) return null;
+
+        const magnitude = Math.pow(10, Math.floor(Math.log10(Math.max(value, 1))));
+        const candidates = [];
+        for (let i = -1; i <= 1; i++) {
+            const scale = magnitude * Math.pow(10, i);
+            candidates.push(scale, scale * 2, scale * 5);
+        }
+        const milestones = candidates.filter(candidate => candidate >= 1).sort((a, b) => a - b);
+
+        return direction > 0
+            ? milestones.find(candidate => candidate > value)
+            : [...milestones].reverse().find(candidate => candidate < value) ?? null;
+    }
+
+    async sendGrowthReport(chatId, username, period = '30d') {
+        if (!AnalyticsService.isValidPeriod(period)) {
+            await this.bot.sendMessage(chatId, `⚠️ Unknown period. Use one of: ${AnalyticsService.periods.join(', ')}`);
+            return;
+        }
+
+        const summary = await this.getGrowthSummary(username, period);
+        if (!summary) {
+            await this.bot.sendMessage(chatId, `📈 No historical data found for @${username} in the selected period.`);
+            return;
+        }
+
+        await this.bot.sendMessage(chatId, this._formatGrowthMessage(summary), { parse_mode: 'Markdown' });
+    }
+
+    async _getValueBefore(username, date, field) {
+        const doc = await FollowerHistory.findOne({ username, createdAt: { $lt: date } })
+            .sort({ createdAt: -1 })
+            .select(field)
+            .lean();
+        return doc ? doc[field] ?? null : null;
+    }
+
+    _formatGrowthMessage(summary) {
+        const periodLabel = summary.period === 'all' ? 'all time' : `last ${summary.period}`;
+        const lines = [`📈 *Growth for @${escapeMarkdown(summary.username)}* (${periodLabel})`, ''];
+
+        lines.push(`👥 *Followers:* ${summary.startValue.toLocaleString()} → ${summary.endValue.toLocaleString()} (${this._signed(summary.netChange)})`);
+        const percent = summary.averagePercentPerDay !== null ? ` (${this._signed(summary.averagePercentPerDay, 3)}%)` : '';
+        lines.push(`📊 *Average:* ${this._signed(summary.averagePerDay, 1)}/day${percent}`);
+        lines.push(`🏆 *Best day:* ${summary.bestDay.period} (${this._signed(summary.bestDay.netChange)})`);
+        lines.push(`🔻 *Worst day:* ${summary.worstDay.period} (${this._signed(summary.worstDay.netChange)})`);
+
+        lines.push('', '*Daily change:*');
+        for (const day of summary.daily.slice(-14)) {
+            lines.push(`\`${day.period}\` ${this._signed(day.netChange)}`);
+        }
+
+        if (summary.weekly.length > 1) {
+            lines.push('', '*Weekly change:*');
+            for (const week of summary.weekly.slice(-8)) {
+                lines.push(`\`${week.period}\` ${this._signed(week.netChange)}`);
+            }
+        }
+
+        lines.push('');
+        if (summary.projection) {
+            const { milestone, days, date } = summary.projection;
+            const verb = milestone > summary.endValue ? 'reach' : 'drop to';
+            lines.push(`🎯 *Projection:* ${verb} ${milestone.toLocaleString()} followers in ~${Math.ceil(days)} day(s) (${date.toISOString().substring(0, 10)})`);
+        } else {
+            lines.push('🎯 *Projection:* not enough movement to project a milestone.');
+        }
+
+        return lines.join('\n');
+    }
+
+    _signed(value, decimals = 0) {
+        const rounded = Number(value.toFixed(decimals));
+        return `${rounded > 0 ? '+' : ''}${rounded.toLocaleString()}`;
+    }
+}
+
+module.exports = AnalyticsService;
@@ -0,0 +1,327 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { MonitoredUser, FollowerHistory, StoryHistory, ArchivedMedia, ArchivePolicy } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'archive' });
+const config = require('../config/config');
+const { escapeMarkdown } = require('../utils/markdown');
+const { zonedDayRange } = require('../utils/timezone');
+const { createStorageBackend } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEDIA_GROUP_LIMIT = 10;
+// Upper bound for a single /archive reply so one command can't flood the chat
+const MAX_ITEMS_PER_REQUEST = 30;
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/heic': '.heic',
+    'video/mp4': '.mp4',
+    'video/quicktime': '.mov'
+};
+
+/**
+ * Downloads story media and profile pictures before their CDN links expire
+ * and keeps them in content-addressed storage (local disk or S3).
+ */
+class ArchiveService {
+    constructor(bot, usageService, storage = createStorageBackend()) {
+        this.bot = bot;
+        this.usageService = usageService;
+        this.storage = storage;
+        this.enabled = Boolean(storage);
+        this.intervalId = null;
+        this._isPruning = false;
+        this.options = {
+            timeout: config.ARCHIVE.TIMEOUT_MS,
+            maxFileBytes: config.ARCHIVE.MAX_FILE_BYTES,
+            retentionDays: config.ARCHIVE.RETENTION_DAYS,
+            maxItems: config.ARCHIVE.MAX_ITEMS_PER_ACCOUNT,
+            pruneInterval: config.ARCHIVE.PRUNE_INTERVAL_MS,
+            timezone: config.ANALYTICS.TIMEZONE
+        };
+    }
+
+    start() {
+        if (!this.enabled || this.intervalId) return;
+
+        this.intervalId = setInterval(() => {
+            this.pruneAll().catch(err => logger.error('Error in archive retention loop:', err));
+        }, this.options.pruneInterval);
+        logger.info(`Media archive enabled (${this.storage.name} storage).`);
+    }
+
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    async archiveStory(storyRecord) {
+        if (!this.enabled) return null;
+
+        const archived = await this._archive({
+            username: storyRecord.username,
+            kind: 'story',
+            mediaType: storyRecord.mediaType,
+            url: storyRecord.mediaUrl,
+            source: { storyHistoryId: storyRecord._id }
+        });
+        await StoryHistory.updateOne({ _id: storyRecord._id }, { archivedMediaId: archived._id });
+        return archived;
+    }
+
+    async archiveProfilePic(historyRecord) {
+        if (!this.enabled || !historyRecord.userProfilePic) return null;
+
+        const archived = await this._archive({
+            username: historyRecord.username,
+            kind: 'profile_pic',
+            mediaType: 'photo',
+            url: historyRecord.userProfilePic,
+            source: { followerHistoryId: historyRecord._id }
+        });
+        await FollowerHistory.updateOne({ _id: historyRecord._id }, { profilePicArchiveId: archived._id });
+        return archived;
+    }
+
+    /**
+     * Re-sends archived media for an account: everything captured on `date`
+     * (YYYY-MM-DD in the analytics timezone) or the most recent items.
+     */
+    async sendArchive(chatId, username, date = null) {
+        if (!this.enabled) {
+            await this.bot.sendMessage(chatId, 'ℹ️ Media archiving is disabled on this bot.');
+            return;
+        }
+        if (!(await MonitoredUser.exists({ username, chatId }))) {
+            await this.bot.sendMessage(chatId, `⚠️ @${escapeMarkdown(username)} is not monitored in this chat.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        let filter = { username };
+        let label = 'latest';
+        if (date) {
+            const range = zonedDayRange(date, this.options.timezone);
+            if (!range) {
+                await this.bot.sendMessage(chatId, '⚠️ Invalid date. Use YYYY-MM-DD, e.g. 2024-05-31.');
+                return;
+            }
+            filter = { username, capturedAt: { $gte: range.start, $lt: range.end } };
+            label = date;
+        }
+
+        const total = await ArchivedMedia.countDocuments(filter);
+        if (!total) {
+            await this.bot.sendMessage(chatId, `📭 No archived media for @${escapeMarkdown(username)}${date ? ` on ${date}` : ''}.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        // Oldest first within the selection so albums read chronologically
+        const items = (await ArchivedMedia.find(filter).sort({ capturedAt: -1 }).limit(MAX_ITEMS_PER_REQUEST)).reverse();
+        await this.bot.sendMessage(chatId,
+            `🗄️ *Archive for @${escapeMarkdown(username)}* (${label}): sending ${items.length} of ${total} item(s).`,
+            { parse_mode: 'Markdown' });
+
+        for (let i = 0; i < items.length; i += MEDIA_GROUP_LIMIT) {
+            await this._sendBatch(chatId, username, items.slice(i, i + MEDIA_GROUP_LIMIT));
+        }
+    }
+
+    async showRetention(chatId, username) {
+        const policy = await this._getPolicy(username);
+        const count = await ArchivedMedia.countDocuments({ username });
+        await this.bot.sendMessage(chatId,
+            `🗄️ *Archive retention for @${escapeMarkdown(username)}*\n\n` +
+            `Max age: ${policy.retentionDays ? `${policy.retentionDays} day(s)` : 'unlimited'}\n` +
+            `Max items: ${policy.maxItems || 'unlimited'}\n` +
+            `Archived items: ${count}${policy.isDefault ? '\n\n_Using the bot-wide defaults._' : ''}`,
+            { parse_mode: 'Markdown' });
+    }
+
+    async setRetention(chatId, userId, username, days, maxItems) {
+        if (!(await MonitoredUser.exists({ username, chatId }))) {
+            await this.bot.sendMessage(chatId, `⚠️ @${escapeMarkdown(username)} is not monitored in this chat.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        if (days === 'default') {
+            await ArchivePolicy.deleteOne({ username });
+            await this.bot.sendMessage(chatId, `✅ Archive retention for @${escapeMarkdown(username)} reset to the bot-wide defaults.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const retentionDays = days === 'off' ? 0 : parseInt(days, 10);
+        const itemLimit = maxItems === undefined ? undefined : (maxItems === 'off' ? 0 : parseInt(maxItems, 10));
+        if (isNaN(retentionDays) || retentionDays < 0 || (itemLimit !== undefined && (isNaN(itemLimit) || itemLimit < 0))) {
+            await this.bot.sendMessage(chatId,
+                '⚠️ Usage: /archive `username` retention `days|off|default` `max items|off` (optional)',
+                { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const update = { retentionDays, updatedByUserId: userId };
+        if (itemLimit !== undefined) update.maxItems = itemLimit;
+        await ArchivePolicy.findOneAndUpdate({ username }, update, { upsert: true, new: true, runValidators: true });
+        logger.info(`Archive retention for @${username} set to ${retentionDays} day(s)/${itemLimit ?? 'unchanged'} item(s) by user ${userId}.`);
+
+        const removed = await this.pruneAccount(username);
+        await this.showRetention(chatId, username);
+        if (removed > 0) {
+            await this.bot.sendMessage(chatId, `🧹 Removed ${removed} archived item(s) outside the new limits.`);
+        }
+    }
+
+    async pruneAll() {
+        if (!this.enabled || this._isPruning) return;
+        this._isPruning = true;
+
+        try {
+            const usernames = await ArchivedMedia.distinct('username');
+            for (const username of usernames) {
+                try {
+                    await this.pruneAccount(username);
+                } catch (error) {
+                    logger.error(`Failed to apply archive retention for @${username}:`, error);
+                }
+            }
+        } finally {
+            this._isPruning = false;
+        }
+    }
+
+    /**
+     * Drops archive entries older than the account's max age or beyond its
+     * item limit. Blobs are deleted once no entry references them anymore.
+     */
+    async pruneAccount(username) {
+        const policy = await this._getPolicy(username);
+        const expiredIds = [];
+
+        if (policy.retentionDays > 0) {
+            const cutoff = new Date(Date.now() - policy.retentionDays * DAY_MS);
+            const expired = await ArchivedMedia.find({ username, capturedAt: { $lt: cutoff } }).select('_id');
+            expiredIds.push(...expired.map(doc => doc._id));
+        }
+        if (policy.maxItems > 0) {
+            const overflow = await ArchivedMedia.find({ username }).sort({ capturedAt: -1 }).skip(policy.maxItems).select('_id');
+            expiredIds.push(...overflow.map(doc => doc._id));
+        }
+        if (!expiredIds.length) return 0;
+
+        const entries = await ArchivedMedia.find({ _id: { $in: expiredIds } });
+        for (const entry of entries) {
+            await ArchivedMedia.deleteOne({ _id: entry._id });
+            await Promise.all([
+                StoryHistory.updateMany({ archivedMediaId: entry._id }, { $unset: { archivedMediaId: 1 } }),
+                FollowerHistory.updateMany({ profilePicArchiveId: entry._id }, { $unset: { profilePicArchiveId: 1 } })
+            ]);
+
+            if (!(await ArchivedMedia.exists({ storageKey: entry.storageKey }))) {
+                await this.storage.delete(entry.storageKey).catch(error => {
+                    logger.warn(`Could not delete archived blob ${entry.storageKey}: ${error.message}`);
+                });
+            }
+        }
+
+        logger.info(`Archive retention removed ${entries.length} item(s) for @${username}.`);
+        return entries.length;
+    }
+
+    async _archive({ username, kind, mediaType, url, source }) {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: this.options.timeout,
+            maxContentLength: this.options.maxFileBytes
+        });
+        const buffer = Buffer.from(response.data);
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        const existing = await ArchivedMedia.findOne({ username, kind, hash });
+        if (existing) {
+            logger.debug(`${kind} media for @${username} already archived as ${existing.storageKey}.`);
+            return existing;
+        }
+
+        const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase() ||
+            (mediaType === 'video' ? 'video/mp4' : 'image/jpeg');
+        const storageKey = this._storageKey(hash, contentType, mediaType);
+
+        // Content addressing: identical bytes map to the same key, so the upload is skipped
+        if (!(await this.storage.exists(storageKey))) {
+            await this.storage.put(storageKey, buffer, contentType);
+        }
+
+        try {
+            const archived = await ArchivedMedia.create({
+                username,
+                kind,
+                mediaType,
+                hash,
+                storageKey,
+                backend: this.storage.name,
+                contentType,
+                size: buffer.length,
+                sourceUrl: url,
+                ...source
+            });
+            logger.info(`Archived ${kind} media for @${username} (${buffer.length} bytes) as ${storageKey}.`);
+            await this.pruneAccount(username);
+            return archived;
+        } catch (error) {
+            // Archived concurrently by another check
+            if (error.code === 11000) return ArchivedMedia.findOne({ username, kind, hash });
+            throw error;
+        }
+    }
+
+    async _sendBatch(chatId, username, items) {
+        const files = [];
+        for (const item of items) {
+            try {
+                files.push({ item, buffer: await this.storage.get(item.storageKey) });
+            } catch (error) {
+                logger.warn(`Archived blob ${item.storageKey} for @${username} is unavailable: ${error.message}`);
+            }
+        }
+        if (!files.length) return;
+
+        const toInput = ({ item, buffer }) => ({
+            type: item.mediaType === 'video' ? 'video' : 'photo',
+            media: buffer,
+            caption: this._caption(username, item),
+            fileOptions: { filename: item.storageKey.split('/').pop(), contentType: item.contentType }
+        });
+
+        let sent;
+        if (files.length > 1) {
+            sent = await this.bot.sendMediaGroup(chatId, files.map(toInput));
+        } else {
+            const { type, media, caption, fileOptions } = toInput(files[0]);
+            sent = type === 'video'
+                ? await this.bot.sendVideo(chatId, media, { caption }, fileOptions)
+                : await this.bot.sendPhoto(chatId, media, { caption }, fileOptions);
+        }
+        await this.usageService.recordDelivery(chatId, sent);
+    }
+
+    _caption(username, item) {
+        const kind = item.kind === 'story' ? 'Story' : 'Profile picture';
+        return `${kind} of @${username} · ${item.capturedAt.toISOString().replace('T', ' ').substring(0, 16)} UTC`;
+    }
+
+    _storageKey(hash, contentType, mediaType) {
+        const extension = EXTENSIONS[contentType] || (mediaType === 'video' ? '.mp4' : '.jpg');
+        return `${hash.substring(0, 2)}/${hash.substring(2, 4)}/${hash}${extension}`;
+    }
+
+    async _getPolicy(username) {
+        const policy = await ArchivePolicy.findOne({ username });
+        if (policy) return policy;
+        return { retentionDays: this.options.retentionDays, maxItems: this.options.maxItems, isDefault: true };
+    }
+}
+
+module.exports = ArchiveService;
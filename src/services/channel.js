@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { MonitoredUser, NotificationChannel } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'channels' });
+const config = require('../config/config');
+const { escapeMarkdown } = require('../utils/markdown');
+const { createChannel, TelegramChannel, DiscordChannel, SlackChannel, EmailChannel, HttpChannel } = require('./channels');
+
+const CHANNEL_TYPES = ['telegram', 'discord', 'slack', 'email', 'http'];
+const TYPE_ICONS = { telegram: '✈️', discord: '🎮', slack: '💬', email: '📧', http: '🌐' };
+// Keyword for the chat itself in /channel route
+const CHAT_TARGET = 'chat';
+
+/**
+ * Notification channels: destinations beyond the subscribing Telegram chat
+ * (Discord, Slack, email, HTTP, other Telegram chats). Each subscription
+ * routes to its chat and/or any channels registered in that chat.
+ */
+class ChannelService {
+    constructor(bot) {
+        this.bot = bot;
+        const smtp = config.CHANNELS.SMTP;
+        this.mailer = smtp.HOST
+            ? nodemailer.createTransport({
+                host: smtp.HOST,
+                port: smtp.PORT,
+                secure: smtp.SECURE,
+                auth: smtp.USER ? { user: smtp.USER, pass: smtp.PASS } : undefined,
+                connectionTimeout: config.CHANNELS.TIMEOUT_MS
+            })
+            : null;
+    }
+
+    /**
+     * Resolves the destinations of a subscription as [{ channel, doc }];
+     * `doc` is null for the subscribing chat itself.
+     */
+    async getTargets(subscription) {
+        const targets = [];
+        if (!subscription.muteChat) {
+            targets.push({ channel: new TelegramChannel({ bot: this.bot, chatId: subscription.chatId }), doc: null });
+        }
+        if (!subscription.channelIds?.length) return targets;
+
+        const docs = await NotificationChannel.find({ _id: { $in: subscription.channelIds }, chatId: subscription.chatId });
+        for (const doc of docs) {
+            try {
+                targets.push({ channel: createChannel(doc, { bot: this.bot, mailer: this.mailer }), doc });
+            } catch (error) {
+                logger.warn(`Skipping notification channel ${doc._id}: ${error.message}`);
+            }
+        }
+        return targets;
+    }
+
+    async recordStatus(doc, error = null) {
+        if (!doc) return;
+        const lastStatus = error ? `error: ${error.message}` : 'OK';
+        await NotificationChannel.updateOne({ _id: doc._id }, { lastDeliveryAt: new Date(), lastStatus: lastStatus.substring(0, 200) })
+            .catch(err => logger.warn(`Could not record channel status for ${doc._id}: ${err.message}`));
+    }
+
+    async handleAdd(chatId, userId, type, target) {
+        type = (type || '').toLowerCase();
+        if (!CHANNEL_TYPES.includes(type) || !target) {
+            await this.bot.sendMessage(chatId,
+                '⚠️ Usage: /channel add `discord|slack|http` `url`, /channel add email `address` or /channel add telegram `chat id`',
+                { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const problem = await this._validateTarget(type, target, userId);
+        if (problem) {
+            await this.bot.sendMessage(chatId, `⚠️ ${problem}`);
+            return;
+        }
+
+        const channel = await NotificationChannel.create({
+            chatId,
+            type,
+            target,
+            secret: type === 'http' ? crypto.randomBytes(24).toString('hex') : undefined,
+            createdByUserId: userId
+        });
+        logger.info(`Notification channel ${channel._id} (${type}) added in chat ${chatId} by user ${userId}.`);
+
+        const lines = [
+            `✅ ${TYPE_ICONS[type]} ${type} channel \`${channel._id}\` added.`,
+            '',
+            'Route accounts to it with /channel route `username` `chat,' + channel._id + '`.'
+        ];
+        if (type === 'http') {
+            lines.push('', `Signing secret (shown once):\n\`${channel.secret}\``,
+                'Each request carries `X-InstaBot-Signature: sha256=<hex>`, the HMAC-SHA256 of the raw body with this secret.');
+        }
+        await this.bot.sendMessage(chatId, lines.join('\n'), { parse_mode: 'Markdown' });
+    }
+
+    async handleList(chatId) {
+        const channels = await NotificationChannel.find({ chatId }).sort({ createdAt: 1 });
+        if (!channels.length) {
+            await this.bot.sendMessage(chatId, '📭 No notification channels. Use /channel add to add one.', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const routed = await MonitoredUser.find({ chatId, channelIds: { $ne: [] } }).select('username channelIds');
+        const lines = channels.map(channel => {
+            const accounts = routed.filter(sub => sub.channelIds.some(id => id.equals(channel._id))).length;
+            const status = channel.lastStatus ? ` · last: ${escapeMarkdown(channel.lastStatus)}` : '';
+            return `${TYPE_ICONS[channel.type]} \`${channel._id}\` ${channel.type} → ${escapeMarkdown(this._describeTarget(channel))} (${accounts} account(s))${status}`;
+        });
+        await this.bot.sendMessage(chatId, `📡 *Notification channels (${channels.length}):*\n\n${lines.join('\n')}`, { parse_mode: 'Markdown' });
+    }
+
+    async handleRemove(chatId, userId, channelId) {
+        const channel = await this._findChannel(chatId, channelId);
+        if (!channel) {
+            await this.bot.sendMessage(chatId, '⚠️ Channel not found. Use /channel list to see this chat\'s channels.');
+            return;
+        }
+
+        await NotificationChannel.deleteOne({ _id: channel._id });
+        await MonitoredUser.updateMany({ chatId, channelIds: channel._id }, { $pull: { channelIds: channel._id } });
+        // Accounts left without any destination go back to the chat
+        await MonitoredUser.updateMany({ chatId, muteChat: true, channelIds: { $size: 0 } }, { muteChat: false });
+        logger.info(`Notification channel ${channel._id} removed by user ${userId} in chat ${chatId}.`);
+        await this.bot.sendMessage(chatId, `✅ Channel \`${channel._id}\` removed.`, { parse_mode: 'Markdown' });
+    }
+
+    async handleTest(chatId, channelId) {
+        const channel = await this._findChannel(chatId, channelId);
+        if (!channel) {
+            await this.bot.sendMessage(chatId, '⚠️ Channel not found. Use /channel list to see this chat\'s channels.');
+            return;
+        }
+
+        let error = null;
+        try {
+            await createChannel(channel, { bot: this.bot, mailer: this.mailer }).send({
+                event: 'channel.test',
+                username: null,
+                title: 'InstaBot test notification',
+                text: '🧪 *Test notification*\n\nThis channel is set up correctly and will receive alerts for the accounts routed to it.',
+                media: []
+            });
+        } catch (err) {
+            error = err;
+        }
+        await this.recordStatus(channel, error);
+        await this.bot.sendMessage(chatId, error ? `❌ Test delivery failed: ${error.message}` : '✅ Test delivery succeeded.');
+    }
+
+    /**
+     * Shows or sets where notifications for `username` in this chat go.
+     * `spec` is a comma-separated list of channel ids and/or `chat`.
+     */
+    async handleRoute(chatId, username, spec) {
+        const subscription = await MonitoredUser.findOne({ username, chatId });
+        if (!subscription) {
+            await this.bot.sendMessage(chatId, `⚠️ @${escapeMarkdown(username)} is not monitored in this chat.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        if (spec) {
+            const parts = [...new Set(spec.split(',').map(part => part.trim()).filter(Boolean))];
+            const ids = parts.filter(part => part.toLowerCase() !== CHAT_TARGET);
+            const channels = ids.length && ids.every(id => /^[a-f0-9]{24}$/i.test(id))
+                ? await NotificationChannel.find({ _id: { $in: ids }, chatId })
+                : [];
+            if (!parts.length || channels.length !== ids.length) {
+                await this.bot.sendMessage(chatId,
+                    '⚠️ Usage: /channel route `username` `chat,<channel id>,...` using ids from /channel list.',
+                    { parse_mode: 'Markdown' });
+                return;
+            }
+
+            subscription.channelIds = channels.map(channel => channel._id);
+            subscription.muteChat = !parts.some(part => part.toLowerCase() === CHAT_TARGET);
+            await subscription.save();
+            logger.info(`Notifications for @${username} in chat ${chatId} routed to ${parts.join(', ')}.`);
+        }
+
+        const channels = await NotificationChannel.find({ _id: { $in: subscription.channelIds }, chatId });
+        const lines = [];
+        if (!subscription.muteChat) lines.push('💬 this chat');
+        lines.push(...channels.map(channel => `${TYPE_ICONS[channel.type]} ${channel.type} → ${escapeMarkdown(this._describeTarget(channel))} (\`${channel._id}\`)`));
+        await this.bot.sendMessage(chatId,
+            `📡 *Notifications for @${escapeMarkdown(username)} go to:*\n\n${lines.join('\n')}`,
+            { parse_mode: 'Markdown' });
+    }
+
+    async _validateTarget(type, target, userId) {
+        switch (type) {
+            case 'discord':
+                return DiscordChannel.isValidUrl(target) ? null : 'Please provide a Discord webhook URL (https://discord.com/api/webhooks/...).';
+            case 'slack':
+                return SlackChannel.isValidUrl(target) ? null : 'Please provide a Slack incoming webhook URL (https://hooks.slack.com/...).';
+            case 'http':
+                return HttpChannel.isValidUrl(target) ? null : 'Please provide a valid http(s) URL on a public host.';
+            case 'email':
+                if (!this.mailer) return 'Email channels are unavailable: SMTP is not configured on this bot.';
+                return EmailChannel.isValidAddress(target) ? null : 'Please provide a valid email address.';
+            case 'telegram':
+                return this._validateTelegramTarget(target, userId);
+            default:
+                return 'Unknown channel type.';
+        }
+    }
+
+    // Forwarding into another chat needs the user to administer that chat too
+    async _validateTelegramTarget(target, userId) {
+        if (!/^(-?\d+|@\w{5,})$/.test(target)) return 'Please provide a numeric chat id or an @channel username.';
+        if (config.TELEGRAM.AUTHORIZED_USERS.has(parseInt(userId, 10))) return null;
+
+        try {
+            const member = await this.bot.getChatMember(target, userId);
+            return ['creator', 'administrator'].includes(member.status) ? null : 'You must be an administrator of the target chat.';
+        } catch (error) {
+            logger.warn(`Could not verify membership of user ${userId} in chat ${target}: ${error.message}`);
+            return 'Could not verify the target chat. Make sure the bot has been added to it.';
+        }
+    }
+
+    _describeTarget(channel) {
+        if (channel.type === 'discord' || channel.type === 'slack' || channel.type === 'http') {
+            // Webhook URLs are credentials; only show where they point
+            const url = new URL(channel.target);
+            return channel.type === 'http' ? `${url.origin}${url.pathname}` : url.hostname;
+        }
+        return channel.target;
+    }
+
+    async _findChannel(chatId, channelId) {
+        if (!/^[a-f0-9]{24}$/i.test(channelId || '')) return null;
+        return NotificationChannel.findOne({ _id: channelId, chatId });
+    }
+}
+
+module.exports = ChannelService;
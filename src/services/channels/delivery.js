@@ -0,0 +1,37 @@
+const axios = require('axios');
+const { publicAgents } = require('../../utils/publicHost');
+
+class ChannelError extends Error {
+    constructor(channel, message, status = null) {
+        super(`${channel}: ${message}`);
+        this.name = 'ChannelError';
+        this.channel = channel;
+        this.status = status;
+    }
+}
+
+/**
+ * POSTs a JSON body and throws a ChannelError unless the endpoint answers 2xx.
+ */
+async function postJson(channel, url, body, { timeout, headers = {} }) {
+    let response;
+    try {
+        response = await axios.post(url, typeof body === 'string' ? body : JSON.stringify(body), {
+            timeout,
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'InstaBot-Notifications/1.0', ...headers },
+            validateStatus: () => true,
+            maxRedirects: 0,
+            ...publicAgents
+        });
+    } catch (error) {
+        throw new ChannelError(channel, error.code === 'ECONNABORTED' ? 'request timed out' : error.message);
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+        const detail = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+        throw new ChannelError(channel, `HTTP ${response.status}${detail ? ` (${detail.substring(0, 200)})` : ''}`, response.status);
+    }
+    return response;
+}
+
+module.exports = { ChannelError, postJson };
@@ -0,0 +1,58 @@
+const { markdownToDiscord } = require('../../utils/markdown');
+const { postJson } = require('./delivery');
+
+const CONTENT_LIMIT = 2000;
+const EMBED_LIMIT = 10;
+
+/**
+ * Posts to a Discord channel webhook. Photos become image embeds; videos
+ * can't be embedded by URL, so they are appended as links.
+ */
+class DiscordChannel {
+    constructor({ url, timeout }) {
+        this.name = 'discord';
+        this.url = url;
+        this.timeout = timeout;
+    }
+
+    async send(notification) {
+        const media = notification.media || [];
+        const photos = media.filter(item => item.type !== 'video').slice(0, EMBED_LIMIT);
+        const videos = media.filter(item => item.type === 'video');
+
+        const lines = [markdownToDiscord(notification.text)];
+        lines.push(...videos.map(item => `🎬 ${item.url}`));
+        let content = lines.join('\n');
+        if (content.length > CONTENT_LIMIT) content = `${content.substring(0, CONTENT_LIMIT - 1)}…`;
+
+        await postJson(this.name, this._webhookUrl(), {
+            content,
+            embeds: photos.map(item => ({
+                ...(item.caption && !notification.attachText ? { description: markdownToDiscord(item.caption) } : {}),
+                image: { url: item.url }
+            })),
+            allowed_mentions: { parse: [] }
+        }, { timeout: this.timeout });
+        return { media: [...photos, ...videos], messages: null };
+    }
+
+    static isValidUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' &&
+                ['discord.com', 'discordapp.com', 'canary.discord.com', 'ptb.discord.com'].includes(parsed.hostname) &&
+                parsed.pathname.startsWith('/api/webhooks/');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // wait=true makes Discord report failures instead of accepting blindly
+    _webhookUrl() {
+        const url = new URL(this.url);
+        url.searchParams.set('wait', 'true');
+        return url.toString();
+    }
+}
+
+module.exports = DiscordChannel;
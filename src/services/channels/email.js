@@ -0,0 +1,44 @@
+const { markdownToHtml, markdownToPlainText, escapeHtml } = require('../../utils/markdown');
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * Sends notifications by email through the bot's SMTP transport. Photos
+ * are attached (nodemailer downloads them); videos are linked, since they
+ * would bloat mailboxes.
+ */
+class EmailChannel {
+    constructor({ transport, from, to }) {
+        this.name = 'email';
+        this.transport = transport;
+        this.from = from;
+        this.to = to;
+    }
+
+    async send(notification) {
+        const media = notification.media || [];
+        const photos = media.filter(item => item.type !== 'video');
+        const videos = media.filter(item => item.type === 'video');
+
+        const text = [markdownToPlainText(notification.text), ...videos.map(item => `Video: ${item.url}`)].join('\n\n');
+        const html = `<div style="font-family: sans-serif; line-height: 1.4">${markdownToHtml(notification.text)}` +
+            videos.map(item => `<p><a href="${escapeHtml(item.url)}">🎬 Watch video</a></p>`).join('') +
+            '</div>';
+
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: markdownToPlainText(notification.title),
+            text,
+            html,
+            attachments: photos.map((item, index) => ({ filename: `photo-${index + 1}.jpg`, path: item.url }))
+        });
+        return { media, messages: null };
+    }
+
+    static isValidAddress(address) {
+        return typeof address === 'string' && address.length <= 254 && EMAIL_PATTERN.test(address);
+    }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { markdownToHtml, markdownToPlainText } = require('../../utils/markdown');
+const { postJson, ChannelError } = require('./delivery');
+const { isPublicHttpUrl } = require('../../utils/publicHost');
+
+/**
+ * Posts the rendered notification as JSON (plain text, Markdown and HTML
+ * bodies plus media URLs) to any HTTP endpoint, signed like webhooks:
+ * `X-InstaBot-Signature: sha256=<HMAC of the raw body>`.
+ */
+class HttpChannel {
+    constructor({ url, secret, timeout }) {
+        this.name = 'http';
+        this.url = url;
+        this.secret = secret;
+        this.timeout = timeout;
+    }
+
+    async send(notification) {
+        // Channels added before internal hosts were refused
+        if (!isPublicHttpUrl(this.url)) throw new ChannelError(this.name, 'URL does not point to a public host');
+
+        const media = notification.media || [];
+        const id = crypto.randomUUID();
+        const body = JSON.stringify({
+            id,
+            event: notification.event,
+            username: notification.username,
+            title: markdownToPlainText(notification.title),
+            text: markdownToPlainText(notification.text),
+            markdown: notification.text,
+            html: markdownToHtml(notification.text),
+            media: media.map(item => ({ type: item.type, url: item.url })),
+            timestamp: new Date().toISOString()
+        });
+
+        await postJson(this.name, this.url, body, {
+            timeout: this.timeout,
+            headers: {
+                'X-InstaBot-Event': notification.event,
+                'X-InstaBot-Delivery': id,
+                'X-InstaBot-Signature': `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`
+            }
+        });
+        return { media, messages: null };
+    }
+
+    static isValidUrl(url) {
+        return isPublicHttpUrl(url);
+    }
+}
+
+module.exports = HttpChannel;
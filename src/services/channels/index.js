@@ -0,0 +1,44 @@
+const config = require('../../config/config');
+const TelegramChannel = require('./telegram');
+const DiscordChannel = require('./discord');
+const SlackChannel = require('./slack');
+const EmailChannel = require('./email');
+const HttpChannel = require('./http');
+const { ChannelError } = require('./delivery');
+
+/**
+ * Builds the channel for a NotificationChannel document. Every channel has
+ * `send(notification)`, where a notification is
+ * { event, username, title, text, media: [{ type, url, caption }], attachText }
+ * with `title` and `text` in Telegram Markdown; each channel renders them
+ * for its platform. `attachText` asks for the text to be used as the media
+ * caption instead of a separate message where the platform has captions.
+ */
+function createChannel(doc, { bot, mailer }) {
+    const timeout = config.CHANNELS.TIMEOUT_MS;
+    switch (doc.type) {
+        case 'telegram':
+            return new TelegramChannel({ bot, chatId: doc.target });
+        case 'discord':
+            return new DiscordChannel({ url: doc.target, timeout });
+        case 'slack':
+            return new SlackChannel({ url: doc.target, timeout });
+        case 'email':
+            if (!mailer) throw new ChannelError('email', 'SMTP is not configured');
+            return new EmailChannel({ transport: mailer, from: config.CHANNELS.SMTP.FROM, to: doc.target });
+        case 'http':
+            return new HttpChannel({ url: doc.target, secret: doc.secret, timeout });
+        default:
+            throw new ChannelError(doc.type, 'unknown channel type');
+    }
+}
+
+module.exports = {
+    createChannel,
+    ChannelError,
+    TelegramChannel,
+    DiscordChannel,
+    SlackChannel,
+    EmailChannel,
+    HttpChannel
+};
@@ -0,0 +1,65 @@
+const logger = require('../../utils/logger').child({ module: 'channels.slack' });
+const { markdownToSlack, markdownToPlainText } = require('../../utils/markdown');
+const { postJson } = require('./delivery');
+
+const SECTION_LIMIT = 3000;
+const IMAGE_BLOCK_LIMIT = 10;
+
+/**
+ * Posts to a Slack incoming webhook using mrkdwn. Photos become image
+ * blocks; if Slack can't fetch one of them it rejects the whole message,
+ * so that case is retried with plain links.
+ */
+class SlackChannel {
+    constructor({ url, timeout }) {
+        this.name = 'slack';
+        this.url = url;
+        this.timeout = timeout;
+    }
+
+    async send(notification) {
+        const media = notification.media || [];
+        const text = markdownToSlack(notification.text);
+        const photos = media.filter(item => item.type !== 'video').slice(0, IMAGE_BLOCK_LIMIT);
+        const links = media.filter(item => !photos.includes(item));
+
+        try {
+            await this._post(text, photos, links, notification);
+        } catch (error) {
+            if (!photos.length || error.status !== 400) throw error;
+            logger.warn(`Slack rejected image blocks (${error.message}), retrying with links.`);
+            await this._post(text, [], media, notification);
+        }
+        return { media, messages: null };
+    }
+
+    async _post(text, photos, links, notification) {
+        const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: text.substring(0, SECTION_LIMIT) } }];
+        for (const item of photos) {
+            blocks.push({
+                type: 'image',
+                image_url: item.url,
+                alt_text: markdownToPlainText(item.caption || notification.title || 'Instagram media')
+            });
+        }
+        if (links.length) {
+            blocks.push({
+                type: 'section',
+                text: { type: 'mrkdwn', text: links.map(item => `${item.type === 'video' ? '🎬' : '🖼️'} <${item.url}|Open ${item.type}>`).join('\n') }
+            });
+        }
+        // `text` is the fallback shown in notifications
+        await postJson(this.name, this.url, { text, blocks }, { timeout: this.timeout });
+    }
+
+    static isValidUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' && parsed.hostname === 'hooks.slack.com';
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = SlackChannel;
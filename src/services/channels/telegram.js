@@ -0,0 +1,83 @@
+const logger = require('../../utils/logger').child({ module: 'channels.telegram' });
+const { escapeMarkdown } = require('../../utils/markdown');
+
+const CAPTION_LIMIT = 1024;
+const MEDIA_GROUP_LIMIT = 10;
+
+/**
+ * Delivers notifications to a Telegram chat. Media goes out as albums of up
+ * to 10; if Telegram rejects an album (e.g. it can't fetch one of the URLs)
+ * the items are retried one by one, falling back to plain links. An item
+ * that can't be sent at all is skipped, so the caller learns which ones
+ * arrived instead of resending everything.
+ */
+class TelegramChannel {
+    constructor({ bot, chatId }) {
+        this.name = 'telegram';
+        this.bot = bot;
+        this.chatId = chatId;
+    }
+
+    /**
+     * Resolves to { media, messages }: the media items that reached the chat
+     * and the Message objects Telegram returned. Rejects only when nothing
+     * reached the chat.
+     */
+    async send(notification) {
+        const { text, media = [] } = notification;
+        const messages = [];
+        const useCaption = notification.attachText && text.length <= CAPTION_LIMIT;
+
+        if (!media.length || !useCaption) {
+            messages.push(await this.bot.sendMessage(this.chatId, text, { parse_mode: 'Markdown' }));
+        }
+
+        const delivered = [];
+        for (let i = 0; i < media.length; i += MEDIA_GROUP_LIMIT) {
+            const batch = media.slice(i, i + MEDIA_GROUP_LIMIT);
+            const caption = useCaption && i === 0 ? text : undefined;
+            delivered.push(...await this._sendBatch(batch, caption, messages));
+        }
+        if (!messages.length) {
+            throw new Error(`None of ${media.length} media item(s) could be sent to chat ${this.chatId}`);
+        }
+        return { media: delivered, messages };
+    }
+
+    async _sendBatch(batch, caption, messages) {
+        if (batch.length > 1) {
+            try {
+                messages.push(...await this.bot.sendMediaGroup(this.chatId, batch.map((item, index) => ({
+                    type: item.type === 'video' ? 'video' : 'photo',
+                    media: item.url,
+                    ...(index === 0 && caption ? { caption, parse_mode: 'Markdown' } : {})
+                }))));
+                return batch;
+            } catch (error) {
+                logger.warn(`Media group rejected in chat ${this.chatId} (${error.message}), sending items individually.`);
+            }
+        }
+
+        const sent = [];
+        for (const item of batch) {
+            // Items sent on their own carry their own caption when they have one
+            const itemCaption = (batch.length > 1 ? item.caption : null) || caption || item.caption || '';
+            try {
+                const method = item.type === 'video' ? 'sendVideo' : 'sendPhoto';
+                messages.push(await this.bot[method](this.chatId, item.url, { caption: itemCaption, parse_mode: 'Markdown' }));
+            } catch (error) {
+                logger.warn(`Sending media to chat ${this.chatId} failed, falling back to link: ${error.message}`);
+                try {
+                    messages.push(await this.bot.sendMessage(this.chatId, `${itemCaption}\n${escapeMarkdown(item.url)}`.trim(), { parse_mode: 'Markdown' }));
+                } catch (fallbackError) {
+                    logger.error(`Could not send media or its link to chat ${this.chatId}: ${fallbackError.message}`);
+                    continue;
+                }
+            }
+            sent.push(item);
+        }
+        return sent;
+    }
+}
+
+module.exports = TelegramChannel;
@@ -0,0 +1,166 @@
+const { FollowerHistory } = require('../models/models');
+const Raster = require('../utils/raster');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CHART_WINDOWS = {
+    '24h': 24 * HOUR_MS,
+    '7d': 7 * 24 * HOUR_MS,
+    '30d': 30 * 24 * HOUR_MS,
+    'all': null
+};
+
+const SERIES = [
+    { key: 'followersCount', label: 'FOLLOWERS', color: [33, 150, 243] },
+    { key: 'followingCount', label: 'FOLLOWING', color: [67, 160, 71] },
+    { key: 'postsCount', label: 'POSTS', color: [251, 140, 0] },
+];
+
+const COLORS = {
+    background: [255, 255, 255],
+    panel: [248, 249, 251],
+    grid: [225, 228, 232],
+    axis: [150, 155, 160],
+    text: [55, 60, 65],
+    muted: [120, 125, 130],
+};
+
+const LAYOUT = {
+    width: 900,
+    height: 660,
+    marginLeft: 96,
+    marginRight: 24,
+    marginTop: 48,
+    marginBottom: 40,
+    panelGap: 18,
+    textScale: 2,
+};
+
+class ChartService {
+    static isValidWindow(window) {
+        return Object.prototype.hasOwnProperty.call(CHART_WINDOWS, window);
+    }
+
+    static get windows() {
+        return Object.keys(CHART_WINDOWS);
+    }
+
+    /**
+     * Loads the follower/following/post series for a window. Snapshots are only
+     * stored when something changed, so the last snapshot before the window is
+     * included to anchor the series at the window start.
+     */
+    async getSeries(username, window) {
+        const now = Date.now();
+        const span = CHART_WINDOWS[window];
+        const projection = 'followersCount followingCount postsCount createdAt -_id';
+
+        if (span === null) {
+            const points = await FollowerHistory.find({ username }).select(projection).sort({ createdAt: 1 }).lean();
+            return { points, from: points.length ? points[0].createdAt.getTime() : now, to: now };
+        }
+
+        const since = new Date(now - span);
+        const [anchor, points] = await Promise.all([
+            FollowerHistory.findOne({ username, createdAt: { $lt: since } }).select(projection).sort({ createdAt: -1 }).lean(),
+            FollowerHistory.find({ username, createdAt: { $gte: since } }).select(projection).sort({ createdAt: 1 }).lean()
+        ]);
+
+        if (anchor) points.unshift({ ...anchor, createdAt: since });
+        return { points, from: since.getTime(), to: now };
+    }
+
+    async renderHistoryChart(username, window) {
+        const { points, from, to } = await this.getSeries(username, window);
+        if (!points.length) return null;
+
+        return this.renderChart(points, {
+            title: `@${username} - ${window === 'all' ? 'ALL TIME' : `LAST ${window}`}`,
+            from,
+            to
+        });
+    }
+
+    renderChart(points, { title, from, to }) {
+        const { width, height, marginLeft, marginRight, marginTop, marginBottom, panelGap, textScale } = LAYOUT;
+        const raster = new Raster(width, height, COLORS.background);
+        const textHeight = Raster.textHeight(textScale);
+
+        raster.drawText(title, marginLeft, (marginTop - textHeight) / 2, COLORS.text, textScale);
+
+        const plotWidth = width - marginLeft - marginRight;
+        const panelHeight = (height - marginTop - marginBottom - panelGap * (SERIES.length - 1)) / SERIES.length;
+        const timeSpan = Math.max(to - from, 1);
+        const toX = (time) => marginLeft + ((time - from) / timeSpan) * plotWidth;
+
+        SERIES.forEach((series, index) => {
+            const top = marginTop + index * (panelHeight + panelGap);
+            this._drawPanel(raster, points, series, { left: marginLeft, top, width: plotWidth, height: panelHeight, toX, to });
+        });
+
+        const axisY = height - marginBottom + 12;
+        const startLabel = this._formatTime(from);
+        const endLabel = this._formatTime(to);
+        raster.drawText(startLabel, marginLeft, axisY, COLORS.muted, textScale);
+        raster.drawText(endLabel, width - marginRight - Raster.measureText(endLabel, textScale), axisY, COLORS.muted, textScale);
+
+        return raster.toPng();
+    }
+
+    _drawPanel(raster, points, series, area) {
+        const { left, top, width, height, toX, to } = area;
+        const values = points.map(point => point[series.key] || 0);
+        // Not Math.min(...values): long histories exceed the argument limit
+        let min = values.reduce((lowest, value) => Math.min(lowest, value), Infinity);
+        let max = values.reduce((highest, value) => Math.max(highest, value), -Infinity);
+        if (min === max) {
+            // Flat series: centre the line instead of pinning it to an edge.
+            min -= 1;
+            max += 1;
+        }
+
+        const inset = 8;
+        const toY = (value) => top + inset + (1 - (value - min) / (max - min)) * (height - inset * 2);
+
+        raster.fillRect(left, top, width, height, COLORS.panel);
+        for (let step = 0; step <= 4; step++) {
+            const y = top + inset + (step / 4) * (height - inset * 2);
+            raster.drawLine(left, y, left + width - 1, y, COLORS.grid);
+        }
+        raster.drawLine(left, top, left, top + height - 1, COLORS.axis);
+
+        const scale = LAYOUT.textScale;
+        raster.drawText(series.label, left + 8, top + 6, series.color, scale);
+
+        const maxLabel = this._formatCount(max);
+        const minLabel = this._formatCount(min);
+        raster.drawText(maxLabel, left - 8 - Raster.measureText(maxLabel, scale), toY(max) - Raster.textHeight(scale) / 2, COLORS.muted, scale);
+        raster.drawText(minLabel, left - 8 - Raster.measureText(minLabel, scale), toY(min) - Raster.textHeight(scale) / 2, COLORS.muted, scale);
+
+        // Values hold until the next snapshot, so draw the series as steps.
+        for (let i = 0; i < points.length; i++) {
+            const x = toX(new Date(points[i].createdAt).getTime());
+            const y = toY(values[i]);
+            const nextX = i < points.length - 1 ? toX(new Date(points[i + 1].createdAt).getTime()) : toX(to);
+
+            raster.drawLine(x, y, nextX, y, series.color, 3);
+            if (i < points.length - 1) {
+                raster.drawLine(nextX, y, nextX, toY(values[i + 1]), series.color, 3);
+            }
+        }
+    }
+
+    _formatCount(value) {
+        const abs = Math.abs(value);
+        if (abs >= 1e6) return `${+(value / 1e6).toFixed(abs >= 1e7 ? 1 : 2)}M`;
+        if (abs >= 1e4) return `${+(value / 1e3).toFixed(1)}K`;
+        return String(Math.round(value));
+    }
+
+    _formatTime(time) {
+        const iso = new Date(time).toISOString();
+        return `${iso.substring(0, 10)} ${iso.substring(11, 16)} UTC`;
+    }
+}
+
+module.exports = ChartService;
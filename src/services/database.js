@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child({ module: 'database' });
 const config = require('../config/config');
+const { StoryHistory } = require('../models/models');
+
+// Stories used to be unique per media URL; the same URL may now be stored under a new story id
+const LEGACY_STORY_URL_INDEX = 'username_1_mediaUrl_1';
 
 class DatabaseService {
     constructor() {
@@ -20,6 +24,7 @@ class DatabaseService {
             this.isConnected = true;
             logger.info('Successfully connected to MongoDB');
             this._setupEventListeners();
+            await this._migrate();
 
         } catch (error) {
             logger.error('MongoDB connection failed:', error);
@@ -43,6 +48,31 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Index changes autoIndex can't apply to an existing database by itself.
+     * Safe to run on every start.
+     */
+    async _migrate() {
+        await this._replaceLegacyStoryUrlIndex();
+    }
+
+    async _replaceLegacyStoryUrlIndex() {
+        // Let autoIndex finish first; it fails on the old index without touching it
+        await StoryHistory.init().catch(() => {});
+
+        const indexes = await StoryHistory.collection.indexes().catch(error => {
+            if (error.codeName === 'NamespaceNotFound') return [];
+            throw error;
+        });
+        const legacy = indexes.find(index => index.name === LEGACY_STORY_URL_INDEX && index.unique);
+        if (!legacy) return;
+
+        // MongoDB can't make a unique index non-unique in place
+        await StoryHistory.collection.dropIndex(LEGACY_STORY_URL_INDEX);
+        await StoryHistory.createIndexes();
+        logger.info(`Replaced the unique ${LEGACY_STORY_URL_INDEX} story index with a non-unique one.`);
+    }
+
     _setupEventListeners() {
         mongoose.connection.on('error', err => {
             this.isConnected = false;
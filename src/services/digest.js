@@ -0,0 +1,195 @@
+const { MonitoredUser, StoryHistory, DigestSchedule } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'digest' });
+const config = require('../config/config');
+const { escapeMarkdown } = require('../utils/markdown');
+const { packSections } = require('../utils/messages');
+const { isValidTimezone, nextOccurrence } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const WEEKLY_DIGEST_WEEKDAY = 1; // Monday
+
+class DigestService {
+    constructor(bot, analyticsService, usageService) {
+        this.bot = bot;
+        this.analyticsService = analyticsService;
+        this.usageService = usageService;
+        this.intervalId = null;
+        this._isRunningDue = false;
+        this.options = {
+            pollInterval: config.DIGEST.POLL_INTERVAL_MS,
+            defaultTime: config.DIGEST.DEFAULT_TIME
+        };
+    }
+
+    async start() {
+        if (this.intervalId) return;
+
+        // Catch up on digests that fell due while the bot was down.
+        await this.runDueDigests();
+        this.intervalId = setInterval(() => {
+            this.runDueDigests().catch(err => logger.error('Error in digest loop:', err));
+        }, this.options.pollInterval);
+        logger.info('Digest scheduler started.');
+    }
+
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    async configure(chatId, userId, frequency, time, timezone) {
+        if (frequency === 'off') {
+            const result = await DigestSchedule.deleteOne({ chatId });
+            await this.bot.sendMessage(chatId, result.deletedCount > 0
+                ? '🔕 Digests turned off for this chat.'
+                : 'ℹ️ No digest was scheduled for this chat.');
+            return;
+        }
+
+        const existing = await DigestSchedule.findOne({ chatId });
+        const digestTime = time || existing?.time || this.options.defaultTime;
+        const digestTimezone = timezone || existing?.timezone || 'UTC';
+
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(digestTime)) {
+            await this.bot.sendMessage(chatId, '⚠️ Invalid time. Use 24-hour HH:MM, e.g. 09:00.');
+            return;
+        }
+        if (!isValidTimezone(digestTimezone)) {
+            await this.bot.sendMessage(chatId, '⚠️ Unknown timezone. Use an IANA name such as `Europe/Berlin` or `UTC`.', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const nextRunAt = this._nextRunAt(frequency, digestTime, digestTimezone);
+        await DigestSchedule.findOneAndUpdate(
+            { chatId },
+            { frequency, time: digestTime, timezone: digestTimezone, nextRunAt, createdByUserId: userId },
+            { upsert: true, new: true, runValidators: true }
+        );
+
+        logger.info(`Digest for chat ${chatId} set to ${frequency} at ${digestTime} ${digestTimezone}.`);
+        await this.bot.sendMessage(chatId,
+            `🗞️ ${frequency === 'daily' ? 'Daily' : 'Weekly'} digest scheduled at ${digestTime} (${digestTimezone})` +
+            `${frequency === 'weekly' ? ' every Monday' : ''}.\nNext digest: ${this._formatDate(nextRunAt, digestTimezone)}`);
+    }
+
+    async showSchedule(chatId) {
+        const schedule = await DigestSchedule.findOne({ chatId });
+        if (!schedule) {
+            await this.bot.sendMessage(chatId, '🔕 No digest scheduled. Usage: /digest `daily|weekly|off` `HH:MM` `timezone`', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        await this.bot.sendMessage(chatId,
+            `🗞️ ${schedule.frequency === 'daily' ? 'Daily' : 'Weekly'} digest at ${schedule.time} (${schedule.timezone}).\n` +
+            `Next digest: ${this._formatDate(schedule.nextRunAt, schedule.timezone)}`);
+    }
+
+    async runDueDigests() {
+        if (this._isRunningDue) return;
+        this._isRunningDue = true;
+
+        try {
+            const due = await DigestSchedule.find({ nextRunAt: { $lte: new Date() } });
+            for (const schedule of due) {
+                // Claim the run by moving nextRunAt first: with several replicas only one
+                // of them wins, and a failing chat is rescheduled instead of spinning the loop.
+                const now = new Date();
+                const claimed = await DigestSchedule.findOneAndUpdate(
+                    { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+                    { lastSentAt: now, nextRunAt: this._nextRunAt(schedule.frequency, schedule.time, schedule.timezone, now) }
+                );
+                if (!claimed) continue;
+
+                try {
+                    await this.sendDigest(schedule);
+                } catch (error) {
+                    logger.error(`Failed to send digest to chat ${schedule.chatId}:`, error);
+                }
+            }
+        } finally {
+            this._isRunningDue = false;
+        }
+    }
+
+    async sendDigest(schedule) {
+        const until = new Date();
+        const since = new Date(until.getTime() - PERIODS[schedule.frequency]);
+        const accounts = await MonitoredUser.find({ chatId: schedule.chatId }).sort({ username: 1 });
+
+        const title = schedule.frequency === 'daily' ? 'Daily digest' : 'Weekly digest';
+        const header = `🗞️ *${title}*\n${this._formatDate(since, schedule.timezone)} → ${this._formatDate(until, schedule.timezone)}`;
+
+        if (!accounts.length) {
+            const sent = await this.bot.sendMessage(schedule.chatId, `${header}\n\n📝 No accounts are monitored in this chat.`, { parse_mode: 'Markdown' });
+            await this.usageService.recordDelivery(schedule.chatId, sent);
+            return;
+        }
+
+        const sections = [];
+        for (const account of accounts) {
+            const [summary, storyCount] = await Promise.all([
+                this.analyticsService.getWindowSummary(account.username, since, until),
+                StoryHistory.countDocuments({ username: account.username, createdAt: { $gte: since, $lte: until } })
+            ]);
+            sections.push(this._formatAccountSection(account.username, summary, storyCount));
+        }
+
+        for (const message of packSections(header, sections)) {
+            const sent = await this.bot.sendMessage(schedule.chatId, message, { parse_mode: 'Markdown' });
+            await this.usageService.recordDelivery(schedule.chatId, sent);
+        }
+        logger.info(`${title} sent to chat ${schedule.chatId} (${accounts.length} account(s)).`);
+    }
+
+    _formatAccountSection(username, summary, storyCount) {
+        const title = `*@${escapeMarkdown(username)}*`;
+        if (!summary) return `${title}\nNo data yet.`;
+
+        const lines = [
+            title,
+            `👥 ${this._formatCount(summary.end.followersCount)} (${this._signed(summary.followerDiff)}) · ` +
+            `➡️ ${this._formatCount(summary.end.followingCount)} (${this._signed(summary.followingDiff)}) · ` +
+            `📝 ${this._formatCount(summary.end.postsCount)} (${this._signed(summary.postsDiff)})`
+        ];
+
+        if (summary.verifiedChanged) {
+            lines.push(summary.end.isVerified ? '✅ Became verified' : '❎ Lost verification');
+        }
+        if (summary.privateChanged) {
+            lines.push(summary.end.isPrivate ? '🔒 Switched to private' : '🌎 Switched to public');
+        }
+        if (storyCount > 0) {
+            lines.push(`📸 ${storyCount} new stor${storyCount === 1 ? 'y' : 'ies'}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    _nextRunAt(frequency, time, timezone, after = new Date()) {
+        return nextOccurrence(time, timezone, {
+            after,
+            weekday: frequency === 'weekly' ? WEEKLY_DIGEST_WEEKDAY : null
+        });
+    }
+
+    _formatDate(date, timezone) {
+        return new Date(date).toLocaleString('en-GB', {
+            timeZone: timezone,
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+    }
+
+    _formatCount(value) {
+        return typeof value === 'number' ? value.toLocaleString() : 'N/A';
+    }
+
+    _signed(value) {
+        return `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+    }
+}
+
+module.exports = DigestService;
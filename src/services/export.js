@@ -0,0 +1,273 @@
+const { MonitoredUser, FollowerHistory, StoryHistory } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'export' });
+const config = require('../config/config');
+const { escapeMarkdown } = require('../utils/markdown');
+const { zonedDayRange } = require('../utils/timezone');
+const { XlsxWriter } = require('../utils/xlsx');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8' },
+    json: { contentType: 'application/json; charset=utf-8' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+const DATASETS = ['history', 'stories', 'all'];
+// Telegram bots can't upload documents larger than 50 MB
+const TELEGRAM_DOCUMENT_LIMIT = 50 * 1024 * 1024;
+
+const HISTORY_COLUMNS = [
+    ['capturedAt', doc => doc.createdAt],
+    ['username', doc => doc.username],
+    ['followers', doc => doc.followersCount],
+    ['following', doc => doc.followingCount],
+    ['posts', doc => doc.postsCount],
+    ['fullName', doc => doc.userFullname],
+    ['bio', doc => doc.userDescription],
+    ['isPrivate', doc => doc.isPrivate],
+    ['isVerified', doc => doc.isVerified],
+    ['profilePicUrl', doc => doc.userProfilePic],
+    ['provider', doc => doc.provider]
+];
+
+const STORY_COLUMNS = [
+    ['capturedAt', doc => doc.createdAt || doc.processedAt],
+    ['username', doc => doc.username],
+    ['storyId', doc => doc.storyId],
+    ['mediaType', doc => doc.mediaType],
+    ['mediaUrl', doc => doc.mediaUrl],
+    ['archived', doc => Boolean(doc.archivedMediaId)]
+];
+
+const SHEET_NAMES = { history: 'History', stories: 'Stories' };
+
+class ExportTooLargeError extends Error {
+    constructor() {
+        super('Export exceeds the Telegram document size limit');
+        this.name = 'ExportTooLargeError';
+    }
+}
+
+/**
+ * Wraps a writable stream in an async write function that respects
+ * backpressure and fails once the stream is closed (e.g. the HTTP client
+ * went away), so exports never buffer more than a chunk.
+ */
+function streamWriter(stream) {
+    return chunk => new Promise((resolve, reject) => {
+        if (stream.destroyed) return reject(new Error('Output stream closed'));
+        if (stream.write(chunk)) return resolve();
+
+        const cleanup = () => {
+            stream.off('drain', onDrain);
+            stream.off('close', onClose);
+        };
+        const onDrain = () => { cleanup(); resolve(); };
+        const onClose = () => { cleanup(); reject(new Error('Output stream closed')); };
+        stream.on('drain', onDrain);
+        stream.on('close', onClose);
+    });
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Keep spreadsheet apps from evaluating bios like "=HYPERLINK(...)"
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports FollowerHistory snapshots and the StoryHistory log of an account
+ * as CSV, JSON or XLSX. Rows are read from Mongo cursors and written as
+ * they arrive, so REST exports stream in constant memory.
+ */
+class ExportService {
+    constructor(bot) {
+        this.bot = bot;
+        this.timezone = config.ANALYTICS.TIMEZONE;
+    }
+
+    static get formats() {
+        return Object.keys(FORMATS);
+    }
+
+    static get datasets() {
+        return DATASETS;
+    }
+
+    static contentType(format) {
+        return FORMATS[format].contentType;
+    }
+
+    static fileName(username, format, dataset) {
+        const stamp = new Date().toISOString().substring(0, 10).replace(/-/g, '');
+        return `${username}-${dataset === 'all' ? 'export' : dataset}-${stamp}.${format}`;
+    }
+
+    static streamWriter(stream) {
+        return streamWriter(stream);
+    }
+
+    /**
+     * Writes an export through `write` (an async function taking a string
+     * or Buffer). CSV holds a single table, so `dataset` must not be 'all'.
+     * Resolves to the number of rows written per table.
+     */
+    async writeExport(write, { username, format, dataset = 'history', from = null, to = null, includeRaw = false }) {
+        if (!FORMATS[format]) throw new Error(`Unknown export format '${format}'`);
+        if (format === 'csv' && dataset === 'all') throw new Error('CSV exports hold a single dataset');
+
+        const tables = (dataset === 'all' ? ['history', 'stories'] : [dataset])
+            .map(name => this._table(name, { username, from, to, includeRaw }));
+        const counts = {};
+        const counted = (table, transform) => (async function* () {
+            counts[table.name] = 0;
+            for await (const doc of table.cursor()) {
+                counts[table.name]++;
+                yield transform(doc);
+            }
+        })();
+
+        if (format === 'csv') {
+            const [table] = tables;
+            // The BOM makes Excel read the file as UTF-8
+            await write(`\ufeff${table.columns.map(([name]) => name).join(',')}\r\n`);
+            for await (const values of counted(table, doc => table.values(doc))) {
+                await write(`${values.map(csvValue).join(',')}\r\n`);
+            }
+        } else if (format === 'json') {
+            await write(`{"username":${JSON.stringify(username)},"from":${JSON.stringify(from)},"to":${JSON.stringify(to)},` +
+                `"exportedAt":${JSON.stringify(new Date())}`);
+            for (const table of tables) {
+                await write(`,${JSON.stringify(table.name)}:[`);
+                let first = true;
+                for await (const record of counted(table, doc => table.record(doc))) {
+                    await write(`${first ? '' : ','}\n${JSON.stringify(record)}`);
+                    first = false;
+                }
+                await write('\n]');
+            }
+            await write('}\n');
+        } else {
+            const xlsx = new XlsxWriter(write);
+            for (const table of tables) {
+                await xlsx.addSheet(SHEET_NAMES[table.name], table.columns.map(([name]) => name),
+                    counted(table, doc => table.values(doc).map(value => (value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value))));
+            }
+            await xlsx.finish();
+        }
+        return counts;
+    }
+
+    /**
+     * Handles /export: `args` are optional from/to days (YYYY-MM-DD in the
+     * analytics timezone), a format and the `stories` and `raw` flags.
+     */
+    async sendExport(chatId, username, args) {
+        if (!(await MonitoredUser.exists({ username, chatId }))) {
+            await this.bot.sendMessage(chatId, `⚠️ @${escapeMarkdown(username)} is not monitored in this chat.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const options = this._parseArgs(args);
+        if (!options) {
+            await this.bot.sendMessage(chatId,
+                '⚠️ Usage: /export `username` `from` `to` `csv|json|xlsx` `stories` `raw` (all optional, dates as YYYY-MM-DD)',
+                { parse_mode: 'Markdown' });
+            return;
+        }
+
+        await this.bot.sendChatAction(chatId, 'upload_document').catch(() => {});
+        // A CSV file holds one table, so the story log goes out as a second file
+        const datasets = options.format === 'csv' && options.dataset === 'all' ? ['history', 'stories'] : [options.dataset];
+        const range = `${options.fromLabel || 'start'} → ${options.toLabel || 'now'}`;
+
+        for (const dataset of datasets) {
+            const chunks = [];
+            let size = 0;
+            const counts = await this.writeExport(async chunk => {
+                const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+                size += buffer.length;
+                if (size > TELEGRAM_DOCUMENT_LIMIT) throw new ExportTooLargeError();
+                chunks.push(buffer);
+            }, { username, ...options, dataset }).catch(error => {
+                if (!(error instanceof ExportTooLargeError)) throw error;
+                return null;
+            });
+
+            if (!counts) {
+                await this.bot.sendMessage(chatId,
+                    '⚠️ This export is larger than Telegram\'s 50 MB limit. Narrow the date range or use the REST API export.');
+                return;
+            }
+
+            const summary = Object.entries(counts).map(([name, count]) => `${count} ${name === 'history' ? 'snapshot(s)' : 'story item(s)'}`).join(', ');
+            await this.bot.sendDocument(chatId, Buffer.concat(chunks), {
+                caption: `📦 @${username} (${range}): ${summary}`
+            }, {
+                filename: ExportService.fileName(username, options.format, dataset),
+                contentType: ExportService.contentType(options.format)
+            });
+            logger.info(`Sent ${options.format} export of @${username} (${dataset}, ${summary}) to chat ${chatId}.`);
+        }
+    }
+
+    _parseArgs(args) {
+        const options = { format: 'csv', dataset: 'history', includeRaw: false, from: null, to: null };
+        const days = [];
+
+        for (const arg of args.map(value => value.toLowerCase())) {
+            if (FORMATS[arg]) {
+                options.format = arg;
+            } else if (arg === 'stories') {
+                options.dataset = 'all';
+            } else if (arg === 'raw') {
+                options.includeRaw = true;
+            } else if (/^\d{4}-\d{2}-\d{2}$/.test(arg) && days.length < 2) {
+                days.push(arg);
+            } else {
+                return null;
+            }
+        }
+
+        if (days[0]) {
+            const range = zonedDayRange(days[0], this.timezone);
+            if (!range) return null;
+            options.from = range.start;
+            options.fromLabel = days[0];
+        }
+        if (days[1]) {
+            const range = zonedDayRange(days[1], this.timezone);
+            if (!range) return null;
+            // `to` is inclusive of the whole day
+            options.to = new Date(range.end.getTime() - 1);
+            options.toLabel = days[1];
+        }
+        if (options.from && options.to && options.from > options.to) return null;
+        return options;
+    }
+
+    _table(name, { username, from, to, includeRaw }) {
+        const model = name === 'history' ? FollowerHistory : StoryHistory;
+        const columns = [...(name === 'history' ? HISTORY_COLUMNS : STORY_COLUMNS)];
+        if (name === 'history' && includeRaw) columns.push(['apiResponseJson', doc => doc.apiResponseJson ?? null]);
+
+        const filter = { username };
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+        const projection = name === 'history' && !includeRaw ? '-apiResponseJson' : null;
+
+        return {
+            name,
+            columns,
+            cursor: () => model.find(filter).select(projection).sort({ createdAt: 1 }).lean().cursor(),
+            values: doc => columns.map(([, value]) => value(doc) ?? null),
+            record: doc => Object.fromEntries(columns.map(([column, value]) => [column, value(doc) ?? null]))
+        };
+    }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,209 @@
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ module: 'health' });
+const { escapeMarkdown } = require('../utils/markdown');
+
+/**
+ * Deep health model behind /health. Besides the database connection it
+ * looks at whether the check loop still ticks and succeeds, whether
+ * providers keep failing and whether Telegram polling is alive, and
+ * reports DEGRADED with the reasons instead of a blanket UP.
+ *
+ * A watchdog re-evaluates this periodically: it restarts a stalled
+ * scheduler or polling loop, and tells TELEGRAM_AUTHORIZED_USERS when a
+ * provider has failed UPSTREAM_FAILURE_THRESHOLD times in a row (and again
+ * once it recovers).
+ */
+class HealthService {
+    constructor(bot, { databaseService, monitorService, instagramService, telegramService, archiveService }) {
+        this.bot = bot;
+        this.databaseService = databaseService;
+        this.monitorService = monitorService;
+        this.instagramService = instagramService;
+        this.telegramService = telegramService;
+        this.archiveService = archiveService;
+        this.intervalId = null;
+        this._outages = new Map(); // 'kind:provider' -> when the admins were alerted
+        this.options = {
+            checkInterval: config.HEALTH.CHECK_INTERVAL_MS,
+            // A tick-based loop can't be stalled before it was due to tick a few times
+            stallMs: Math.max(config.HEALTH.LOOP_STALL_MS, 3 * config.SCHEDULER.TICK_MS),
+            jobStuckMs: config.HEALTH.JOB_STUCK_MS,
+            upstreamFailureThreshold: config.HEALTH.UPSTREAM_FAILURE_THRESHOLD,
+            pollingErrorThreshold: config.HEALTH.POLLING_ERROR_THRESHOLD
+        };
+    }
+
+    start() {
+        if (this.intervalId) return;
+        this.intervalId = setInterval(() => {
+            this.runWatchdog().catch(err => logger.error('Error in health watchdog:', err));
+        }, this.options.checkInterval);
+    }
+
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    async runWatchdog() {
+        await this._healStalledLoops();
+        await this._alertUpstreamOutages();
+    }
+
+    getReport({ isInitializing = false } = {}) {
+        const dbState = this.databaseService.getConnectionState();
+        const telegram = this.telegramService.getStatus();
+        const scheduler = this.monitorService.getSchedulerStats();
+        const providers = this.instagramService.getProviderHealth();
+
+        // DOWN: the bot can't do its job at all. DEGRADED: it runs, but something is failing.
+        const down = [];
+        if (!dbState.isConnected) down.push('Database is disconnected');
+        if (!this.monitorService.isRunning) down.push('Monitoring is not running');
+        if (telegram.status !== 'UP') {
+            down.push(telegram.details.mode === 'webhook' ? 'Telegram webhook is not registered' : 'Telegram polling has stopped');
+        }
+
+        const degraded = [
+            ...this._schedulerProblems(scheduler),
+            ...this._providerProblems(providers),
+            ...this._pollingProblems(telegram)
+        ];
+
+        let status = 'UP';
+        if (isInitializing) status = 'INITIALIZING';
+        else if (down.length) status = 'DOWN';
+        else if (degraded.length) status = 'DEGRADED';
+
+        return {
+            status,
+            reasons: [...down, ...degraded],
+            components: {
+                database: {
+                    status: dbState.isConnected ? 'UP' : 'DOWN',
+                    details: {
+                        readyState: dbState.readyState
+                    }
+                },
+                monitor: {
+                    status: this.monitorService.isRunning ? 'UP' : 'DOWN',
+                    details: {
+                        isInitializing: this.monitorService.isInitializing,
+                        checkInterval: this.monitorService.options.checkInterval,
+                        maxCheckInterval: this.monitorService.options.maxCheckInterval
+                    }
+                },
+                telegram,
+                scheduler,
+                providers,
+                archive: {
+                    status: this.archiveService.enabled ? 'UP' : 'DISABLED',
+                    details: { backend: this.archiveService.storage?.name || null }
+                }
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    _schedulerProblems(stats) {
+        const scheduler = this.monitorService.scheduler;
+        const problems = [];
+        if (scheduler.isStalled(this.options.stallMs)) {
+            problems.push(`Check loop stalled: no scheduler tick since ${stats.lastTickAt || stats.startedAt}`);
+        }
+        const stuck = scheduler.countLongRunning(this.options.jobStuckMs);
+        if (stuck) {
+            problems.push(`${stuck} check(s) running for more than ${Math.round(this.options.jobStuckMs / 60000)} min`);
+        }
+        for (const type of scheduler.overdueTypes()) {
+            problems.push(`No successful ${type} check since ${stats.lastSuccessAt[type] || `startup (${stats.startedAt})`}`);
+        }
+        return problems;
+    }
+
+    _providerProblems(providers) {
+        return this._failingProviders(providers).map(({ kind, name, consecutiveFailures, failingSince }) =>
+            `${kind} provider ${name} failed ${consecutiveFailures} times in a row since ${failingSince.toISOString()}`);
+    }
+
+    _pollingProblems(telegram) {
+        const problems = [];
+        if (this.telegramService.isPollingStalled(this.options.stallMs)) {
+            problems.push('Telegram polling stalled: no getUpdates response');
+        }
+        const errors = this.telegramService.getPollingErrors();
+        if (errors >= this.options.pollingErrorThreshold) {
+            problems.push(`Telegram polling failed ${errors} times in a row (${telegram.details.lastError})`);
+        }
+        return problems;
+    }
+
+    _failingProviders(providers = this.instagramService.getProviderHealth()) {
+        return Object.entries(providers).flatMap(([kind, list]) => list.map(provider => ({ kind, ...provider })))
+            .filter(provider => provider.consecutiveFailures >= this.options.upstreamFailureThreshold);
+    }
+
+    async _healStalledLoops() {
+        const scheduler = this.monitorService.scheduler;
+        const stalled = scheduler.isStalled(this.options.stallMs);
+        const stuck = scheduler.countLongRunning(this.options.jobStuckMs);
+        if (stalled || stuck) {
+            logger.warn(`Restarting the check scheduler: ${stalled ? 'no tick completed recently' : `${stuck} check(s) stuck`}.`);
+            await scheduler.restart({ abandonAfterMs: this.options.jobStuckMs });
+        }
+
+        if (this.telegramService.isPollingStalled(this.options.stallMs)) {
+            logger.warn('Restarting Telegram polling: no getUpdates response recently.');
+            await this.telegramService.restartPolling();
+        }
+    }
+
+    async _alertUpstreamOutages() {
+        const providers = this.instagramService.getProviderHealth();
+
+        for (const provider of this._failingProviders(providers)) {
+            const key = `${provider.kind}:${provider.name}`;
+            if (this._outages.has(key)) continue;
+
+            this._outages.set(key, new Date());
+            logger.error(`${provider.kind} provider ${provider.name} is down: ${provider.consecutiveFailures} consecutive failures.`,
+                { provider: provider.name, lastError: provider.lastError });
+            await this._alertAdmins(
+                `🚨 *${escapeMarkdown(provider.kind)} provider ${escapeMarkdown(provider.name)} is failing*\n\n` +
+                `${provider.consecutiveFailures} requests in a row have failed since ${provider.failingSince.toISOString()}.\n` +
+                `Last error: ${escapeMarkdown(provider.lastError || 'unknown')}`
+            );
+        }
+
+        // Recovered: a success after the alert went out
+        for (const [kind, list] of Object.entries(providers)) {
+            for (const provider of list) {
+                const key = `${kind}:${provider.name}`;
+                const alertedAt = this._outages.get(key);
+                if (!alertedAt || !(provider.lastSuccessAt > alertedAt)) continue;
+
+                this._outages.delete(key);
+                logger.info(`${kind} provider ${provider.name} has recovered.`, { provider: provider.name });
+                await this._alertAdmins(`✅ *${escapeMarkdown(kind)} provider ${escapeMarkdown(provider.name)} has recovered*`);
+            }
+        }
+    }
+
+    async _alertAdmins(message) {
+        if (!config.TELEGRAM.AUTHORIZED_USERS.size) {
+            logger.warn('No TELEGRAM_AUTHORIZED_USERS to alert about an upstream outage.');
+            return;
+        }
+        for (const userId of config.TELEGRAM.AUTHORIZED_USERS) {
+            try {
+                await this.bot.sendMessage(userId, message, { parse_mode: 'Markdown' });
+            } catch (error) {
+                logger.warn(`Could not send health alert to admin ${userId}: ${error.message}`);
+            }
+        }
+    }
+}
+
+module.exports = HealthService;
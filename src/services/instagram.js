@@ -1,91 +1,79 @@
 const axios = require('axios');
-const crypto = require('crypto');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child({ module: 'instagram' });
 const config = require('../config/config');
+const { createProviderRegistries } = require('./providers');
+const { contentStoryId } = require('../utils/storyId');
+const { imageHash, isPerceptualHash } = require('../utils/imageHash');
+const { timeUpstream } = require('../utils/metrics');
 
 class InstagramService {
     constructor() {
         this.options = {
-            apiTimeout: config.API.TIMEOUT_MS,
             imageFetchTimeout: config.API.IMAGE_FETCH_TIMEOUT_MS,
-            apiUrlBase: config.API.INSTAGRAM_API_URL_BASE
+            storyHashMaxBytes: config.API.STORY_HASH_MAX_BYTES
         };
+        this.providers = createProviderRegistries();
     }
 
     async fetchProfileData(username) {
         logger.info(`Fetching profile data for @${username}...`);
         try {
-            const apiData = await this._fetchFromAPI(username);
+            const { result: apiData, provider, calls } = await this.providers.profile.execute('fetchProfile', username);
             let profileData = this._parseApiResponse(apiData, username);
+            profileData.provider = provider;
 
             if (profileData.apiResponseJson && profileData.apiResponseJson.status === true && profileData.userProfilePic) {
                 profileData.userProfilePicHash = await this._getImageHash(profileData.userProfilePic);
             }
 
-            return { success: true, data: profileData, timestamp: new Date().toISOString() };
+            return { success: true, data: profileData, provider, calls, timestamp: new Date().toISOString() };
         } catch (error) {
             logger.error(`Error fetching profile data for @${username}: ${error.message}`);
-            return { success: false, error: error.message, timestamp: new Date().toISOString() };
+            return { success: false, error: error.message, calls: error.attempts?.length || 0, timestamp: new Date().toISOString() };
         }
     }
 
     async fetchStoryData(username) {
-        const apiUrl = `https://content.mollygram.com/?url=${encodeURIComponent(username)}&method=allstories`;
-        logger.info(`Fetching story data for @${username} from: ${apiUrl}`);
+        logger.info(`Fetching story data for @${username}...`);
         try {
-            const response = await axios.get(apiUrl, { timeout: 15000 });
-            const data = response.data;
-            
-            if (data && data.status === 'ok' && data.html) {
-                const mediaData = this._extractMediaUrl(data.html);
-                if (mediaData.url) {
-                    return { 
-                        status: 'ok', 
-                        mediaType: mediaData.type,
-                        mediaUrl: mediaData.url 
-                    };
-                }
-                return { status: 'error', msg: 'No media URL found in story HTML.' };
-            } 
-            
-            if (data && data.status === 'error' && data.msg && data.msg.includes('no stories')) {
-                return { status: 'no_stories', msg: data.msg };
-            }
-            
-            return { status: 'error', msg: data && data.msg ? data.msg : 'Unknown error from story API.' };
+            const { result, provider, calls } = await this.providers.story.execute('fetchStory', username);
+            return { ...result, provider, calls };
         } catch (error) {
             logger.error(`Error fetching/parsing story for @${username}: ${error.message}`);
-            return { status: 'error', msg: error.message };
+            return { status: 'error', msg: error.message, calls: error.attempts?.length || 0 };
         }
     }
 
-    async _fetchFromAPI(username) {
-        const apiUrl = `${this.options.apiUrlBase}?username=${encodeURIComponent(username)}`;
-        logger.debug(`Calling Instagram API for @${username}: ${apiUrl}`);
+    /**
+     * Content-hash identity for story media whose URL carries no stable ID.
+     * Returns null when the media can't be downloaded or is larger than
+     * storyHashMaxBytes; callers then go by the URL.
+     */
+    async getMediaContentId(url) {
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.options.apiTimeout);
-
-            const response = await fetch(apiUrl, {
-                method: "GET",
-                headers: {
-                    "Origin": "https://www.tucktools.com",
-                    "Referer": "https://www.tucktools.com/",
-                    "User-Agent": "Mozilla/5.0 (compatible; InstagramMonitorBot/1.0)",
-                },
-                signal: controller.signal,
-            });
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`API request failed for @${username} (status ${response.status})`);
-            }
-            return await response.json();
+            const response = await timeUpstream('image', 'cdn', () => axios.get(url, {
+                responseType: 'arraybuffer',
+                timeout: this.options.imageFetchTimeout,
+                maxContentLength: this.options.storyHashMaxBytes
+            }));
+            return contentStoryId(Buffer.from(response.data));
         } catch (error) {
-            throw error;
+            if (/maxContentLength/.test(error.message)) {
+                logger.debug(`Story media exceeds ${this.options.storyHashMaxBytes} bytes; identifying it by URL.`);
+                return null;
+            }
+            logger.warn(`Error fetching story media for hashing: ${error.message}`);
+            return null;
         }
     }
 
+    getProviderHealth() {
+        return {
+            profile: this.providers.profile.getHealth(),
+            story: this.providers.story.getHealth()
+        };
+    }
+
     _parseApiResponse(apiData, targetUsername) {
         if (!apiData || apiData.status !== true) {
             return {
@@ -121,13 +109,17 @@ class InstagramService {
         if (!url) return null;
         
         try {
-            const response = await axios.get(url, {
+            const response = await timeUpstream('image', 'cdn', () => axios.get(url, {
                 responseType: 'arraybuffer',
                 timeout: this.options.imageFetchTimeout
-            });
+            }));
             
             if (response.status === 200 && response.data) {
-                return crypto.createHash('md5').update(response.data).digest('hex');
+                const hash = imageHash(Buffer.from(response.data));
+                if (!isPerceptualHash(hash)) {
+                    logger.debug(`Can't hash ${response.headers['content-type'] || 'unknown'} images perceptually; comparing bytes instead.`);
+                }
+                return hash;
             }
             return null;
         } catch (error) {
@@ -135,45 +127,6 @@ class InstagramService {
             return null;
         }
     }
-
-    _extractMediaUrl(html) {
-        const { JSDOM } = require('jsdom');
-        const dom = new JSDOM(html);
-        const doc = dom.window.document;
-
-        // Try video source first
-        const sourceElement = doc.querySelector('video > source[type="video/mp4"]');
-        if (sourceElement && sourceElement.src) {
-            return { type: 'video', url: sourceElement.src };
-        }
-
-        // Try download link for video
-        const downloadLink = doc.querySelector('a.btn.bg-gradient-success[href]');
-        if (downloadLink && downloadLink.href && downloadLink.href.endsWith('.mp4')) {
-            return { type: 'video', url: downloadLink.href };
-        }
-
-        // Try generic MP4 links
-        const genericVideoLink = doc.querySelector('a[href$=".mp4"], video > source[src$=".mp4"]');
-        if (genericVideoLink) {
-            return { type: 'video', url: genericVideoLink.href || genericVideoLink.src };
-        }
-
-        // Try image sources
-        const imgElement = doc.querySelector('img.story-image');
-        if (imgElement && imgElement.src) {
-            return { type: 'photo', url: imgElement.src };
-        }
-
-        // Try generic image links
-        const imageLink = doc.querySelector('a[href$=".jpg"], a[href$=".jpeg"], a[href$=".png"]');
-        if (imageLink && imageLink.href) {
-            return { type: 'photo', url: imageLink.href };
-        }
-
-        // If no media found
-        return { type: null, url: null };
-    }
 }
 
 module.exports = InstagramService;
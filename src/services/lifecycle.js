@@ -0,0 +1,93 @@
+const { AccountStatus } = require('../models/models');
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ module: 'lifecycle' });
+
+const STATES = {
+    ACTIVE: 'active',
+    NOT_FOUND: 'not_found',
+    RENAMED: 'renamed',
+    SUSPECTED_BANNED: 'suspected_banned'
+};
+
+// Profile API messages for accounts Instagram took down rather than ones that never existed
+const BANNED_PATTERN = /\b(banned|suspended|disabled|deactivated|restricted|violat\w*)\b/i;
+
+/**
+ * Tracks whether each monitored account still exists under its handle.
+ *
+ * Only answers in which the profile API says the account is unavailable
+ * count; provider outages fail before reaching here. After
+ * FAILURE_THRESHOLD such answers in a row an account becomes not_found,
+ * or suspected_banned when the message hints at a takedown. A successful
+ * fetch whose profile carries another handle marks it renamed, and any
+ * other success makes it active again.
+ *
+ * record* resolve to the transition ({ from, to, renamedTo, reason }) or
+ * null; telling chats about it is up to the caller.
+ */
+class AccountLifecycleService {
+    constructor() {
+        this.options = {
+            failureThreshold: config.LIFECYCLE.FAILURE_THRESHOLD,
+            autoFollowRenames: config.LIFECYCLE.AUTO_FOLLOW_RENAMES
+        };
+    }
+
+    static classify(message) {
+        return BANNED_PATTERN.test(message || '') ? STATES.SUSPECTED_BANNED : STATES.NOT_FOUND;
+    }
+
+    async getStatus(username) {
+        return AccountStatus.findOne({ username }).lean();
+    }
+
+    async getStatuses(usernames) {
+        const statuses = await AccountStatus.find({ username: { $in: usernames } }).lean();
+        return new Map(statuses.map(status => [status.username, status]));
+    }
+
+    async recordSeen(username, profile) {
+        const renamedTo = profile.scrapedUsername && profile.scrapedUsername !== username ? profile.scrapedUsername : null;
+        const state = renamedTo ? STATES.RENAMED : STATES.ACTIVE;
+        const previous = await AccountStatus.findOneAndUpdate(
+            { username },
+            { $set: { state, renamedTo, consecutiveFailures: 0, lastError: null, lastSeenAt: new Date() } },
+            { upsert: true, new: false, lean: true }
+        );
+
+        const from = previous?.state || STATES.ACTIVE;
+        if (from === state && (previous?.renamedTo || null) === renamedTo) return null;
+
+        await AccountStatus.updateOne({ username }, { since: new Date() });
+        logger.info(`@${username} is ${renamedTo ? `now @${renamedTo}` : 'available again'} (was ${from}).`, { username });
+        return { from, to: state, renamedTo, reason: null };
+    }
+
+    async recordUnavailable(username, apiResponse) {
+        const reason = apiResponse?.message || 'Profile not available';
+        const status = await AccountStatus.findOneAndUpdate(
+            { username },
+            { $inc: { consecutiveFailures: 1 }, $set: { lastError: reason } },
+            { upsert: true, new: true, lean: true }
+        );
+        if (status.consecutiveFailures < this.options.failureThreshold) return null;
+
+        // The old handle of a renamed account is expected to stop resolving; chats were told already
+        if (status.state === STATES.RENAMED) return null;
+
+        const state = AccountLifecycleService.classify(reason);
+        if (status.state === state) return null;
+
+        await AccountStatus.updateOne({ username }, { state, since: new Date() });
+        logger.warn(`@${username} looks ${state === STATES.NOT_FOUND ? 'gone' : 'banned'} after ${status.consecutiveFailures} failed checks: ${reason}`, { username });
+        return { from: status.state, to: state, renamedTo: null, reason, failures: status.consecutiveFailures };
+    }
+
+    async forget(username) {
+        await AccountStatus.deleteOne({ username });
+    }
+}
+
+AccountLifecycleService.STATES = STATES;
+
+module.exports = AccountLifecycleService;
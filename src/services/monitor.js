@@ -1,26 +1,133 @@
 const { MonitoredUser, FollowerHistory, StoryHistory } = require('../models/models');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child({ module: 'monitor' });
 const config = require('../config/config');
+const { diffLines } = require('../utils/textDiff');
+const { escapeMarkdown } = require('../utils/markdown');
+const { packSections } = require('../utils/messages');
+const { deriveStoryId } = require('../utils/storyId');
+const { isPerceptualHash, isContentHash, hammingDistance } = require('../utils/imageHash');
+const metrics = require('../utils/metrics');
+const { rejectOnAbort } = require('../utils/abort');
+const ChartService = require('./chart');
+const { JobScheduler, MemoryJobStore, MongoJobStore } = require('./scheduler');
+const AlertRulesService = require('./alertRules');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._]{1,30}$/;
+
+// Snapshots stored before providers were pluggable all came from tucktools.
+const LEGACY_PROVIDER = 'tucktools';
+
+// apiResponseJson fields that _detectChanges already compares through their parsed counterparts.
+// The profile pic URL is re-signed on every request; picture changes are tracked by hash instead.
+const PARSED_API_FIELDS = new Set([
+    'status', 'username', 'user_fullname', 'user_description', 'user_profile_pic',
+    'is_private', 'user_followers', 'user_following', 'total_posts', 'is_verified'
+]);
 
 class MonitorService {
-    constructor(instagramService, bot) {  // Add bot parameter
+    constructor(instagramService, bot, notificationService, digestService, archiveService, usageService, lifecycleService) {
         this.instagramService = instagramService;
         this.bot = bot;  // Use the provided bot instance
+        this.notificationService = notificationService;
+        this.digestService = digestService;
+        this.archiveService = archiveService;
+        this.usageService = usageService;
+        this.lifecycleService = lifecycleService;
+        this.chartService = new ChartService();
         this.isRunning = false;
         this.isInitializing = true;
-        this.isReady = false; // New flag to track full initialization
-        this.intervalId = null;
-        this.storyIntervalId = null;
-        this._recentlyAddedAccounts = {};
-        this._lastStoryVideoUrl = new Map();
+        this._accountLocks = new Map();
         this.options = {
-            requestDelay: config.API.REQUEST_DELAY_MS,
-            checkInterval: config.API.CHECK_INTERVAL_MS
+            checkInterval: config.API.CHECK_INTERVAL_MS,
+            maxCheckInterval: config.SCHEDULER.MAX_CHECK_INTERVAL_MS,
+            storyCheckInterval: config.SCHEDULER.STORY_CHECK_INTERVAL_MS,
+            profilePicHashThreshold: config.DIFF.PROFILE_PIC_HASH_THRESHOLD
         };
+        this.scheduler = this._createScheduler();
     }
 
-    async _delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    _createScheduler() {
+        const store = config.SCHEDULER.STORE === 'memory'
+            ? new MemoryJobStore()
+            : new MongoJobStore({ leaseMs: config.SCHEDULER.LEASE_MS });
+        const scheduler = new JobScheduler({
+            store,
+            concurrency: config.SCHEDULER.CONCURRENCY,
+            tickMs: config.SCHEDULER.TICK_MS,
+            syncIntervalMs: config.SCHEDULER.SYNC_INTERVAL_MS,
+            jitterRatio: config.SCHEDULER.JITTER_RATIO,
+            renewIntervalMs: Math.floor(config.SCHEDULER.LEASE_MS / 3)
+        });
+
+        scheduler.defineJob('profile', {
+            handler: (username, { signal }) => this._runProfileJob(username, { signal }),
+            listKeys: () => this._getUniqueMonitoredAccounts(),
+            interval: this.options.checkInterval,
+            maxInterval: this.options.maxCheckInterval,
+            adaptive: true,
+            backoffAfter: config.SCHEDULER.BACKOFF_AFTER_UNCHANGED
+        });
+        scheduler.defineJob('story', {
+            handler: username => this._runStoryJob(username),
+            listKeys: () => this._getUniqueMonitoredAccounts(),
+            interval: this.options.storyCheckInterval,
+            // Stories expire after a day; only failures back off
+            maxInterval: 4 * this.options.storyCheckInterval
+        });
+        return scheduler;
+    }
+
+    static isValidUsername(username) {
+        return USERNAME_PATTERN.test(username || '');
+    }
+
+    /**
+     * Adds a subscription without any chat output.
+     * Resolves to { status: 'added' | 'exists' | 'invalid' | 'quota_exceeded' },
+     * with a `reason` for quota_exceeded. With `imported`, the first check is
+     * queued right away instead of being run by the caller.
+     */
+    async registerAccount(username, chatId, userId, { imported = false } = {}) {
+        if (!MonitorService.isValidUsername(username)) return { status: 'invalid' };
+
+        const existing = await MonitoredUser.findOne({ username, chatId });
+        if (existing) return { status: 'exists', subscription: existing };
+
+        const reason = await this.usageService.checkAccountQuota(chatId, userId);
+        if (reason) return { status: 'quota_exceeded', reason };
+
+        const subscription = await new MonitoredUser({
+            username,
+            chatId,
+            addedByUserId: userId,
+            ...(imported ? { importedAt: new Date() } : {})
+        }).save();
+        logger.info(`User @${username} ${imported ? 'imported' : 'added'} for monitoring in chat ${chatId} by user ${userId}.`);
+
+        // Unless imported, the caller runs the initial profile check; stories are picked up right away
+        await this.scheduler.schedule('profile', username, imported ? new Date() : new Date(Date.now() + this.options.checkInterval));
+        await this.scheduler.schedule('story', username);
+        return { status: 'added', subscription };
+    }
+
+    /**
+     * Removes a subscription without any chat output. History is deleted once
+     * no chat monitors the account anymore.
+     */
+    async unregisterAccount(username, chatId) {
+        const result = await MonitoredUser.deleteOne({ username, chatId });
+        if (result.deletedCount === 0) return { removed: false, dataDeleted: false };
+
+        logger.info(`User @${username} removed from monitoring in chat ${chatId}.`);
+        const stillMonitored = await MonitoredUser.countDocuments({ username });
+        if (stillMonitored === 0) {
+            await this.scheduler.unschedule('profile', username);
+            await this.scheduler.unschedule('story', username);
+            await FollowerHistory.deleteMany({ username });
+            await this.lifecycleService.forget(username);
+            return { removed: true, dataDeleted: true };
+        }
+        return { removed: true, dataDeleted: false };
     }
 
     async addAccount(username, chatId, userId) {
@@ -29,39 +136,44 @@ class MonitorService {
             return;
         }
 
-        if (!/^[a-zA-Z0-9._]{1,30}$/.test(username)) {
+        const { status, reason } = await this.registerAccount(username, chatId, userId);
+        if (status === 'quota_exceeded') {
+            await this.bot.sendMessage(chatId, `🚫 Can't add @${username}: ${reason}`);
+            return;
+        }
+        if (status === 'invalid') {
             await this.bot.sendMessage(chatId, '⚠️ Invalid Instagram username format.');
             return;
         }
-
-        const existing = await MonitoredUser.findOne({ username, chatId });
-        if (existing) {
+        if (status === 'exists') {
             await this.bot.sendMessage(chatId, `ℹ️ @${username} is already being monitored in this chat.`);
             return;
         }
 
-        await new MonitoredUser({ username, chatId, addedByUserId: userId }).save();
-        logger.info(`User @${username} added for monitoring in chat ${chatId} by user ${userId}.`);
         await this.bot.sendMessage(chatId, `✅ @${username} added to monitoring list. Performing an initial check...`);
-
-        this._recentlyAddedAccounts[username] = Date.now();
         await this.checkSingleAccount(username, { forceInitialNotification: true });
     }
 
-    async removeAccount(username, chatId) {
-        const result = await MonitoredUser.deleteOne({ username, chatId });
-        if (result.deletedCount > 0) {
-            logger.info(`User @${username} removed from monitoring in chat ${chatId}.`);
-            const stillMonitored = await MonitoredUser.countDocuments({ username });
-            
-            if (stillMonitored === 0) {
-                const delResult = await FollowerHistory.deleteMany({ username });
-                await this.bot.sendMessage(chatId, `✅ @${username} has been removed and all their data has been deleted.`);
-            } else {
-                await this.bot.sendMessage(chatId, `✅ @${username} has been removed from this chat's monitoring list.`);
+    /**
+     * `actor` ({ userId, isAdmin }) restricts removal to the user who added
+     * the account or a chat admin; without it no ownership check is done.
+     */
+    async removeAccount(username, chatId, actor = null) {
+        if (actor && !actor.isAdmin) {
+            const subscription = await MonitoredUser.findOne({ username, chatId });
+            if (subscription && subscription.addedByUserId !== actor.userId) {
+                await this.bot.sendMessage(chatId, `❌ Only the user who added @${username} or a chat admin can remove it.`);
+                return;
             }
-        } else {
+        }
+
+        const { removed, dataDeleted } = await this.unregisterAccount(username, chatId);
+        if (!removed) {
             await this.bot.sendMessage(chatId, `⚠️ @${username} was not found in your monitoring list.`);
+        } else if (dataDeleted) {
+            await this.bot.sendMessage(chatId, `✅ @${username} has been removed and all their data has been deleted.`);
+        } else {
+            await this.bot.sendMessage(chatId, `✅ @${username} has been removed from this chat's monitoring list.`);
         }
     }
 
@@ -73,24 +185,155 @@ class MonitorService {
             return;
         }
 
-        const userList = users.map((user, index) => `${index + 1}. @${user.username}`).join('\n');
+        const statuses = await this.lifecycleService.getStatuses(users.map(user => user.username));
+        const userList = users.map((user, index) =>
+            `${index + 1}. @${escapeMarkdown(user.username)}${this._formatLifecycleState(statuses.get(user.username))}`).join('\n');
         await this.bot.sendMessage(chatId, `📋 *Monitored Accounts (${users.length}):*\n\n${userList}`, { parse_mode: 'Markdown' });
     }
 
+    _formatLifecycleState(status) {
+        switch (status?.state) {
+            case 'not_found': return ' ❓ _not found_';
+            case 'suspected_banned': return ' 🚫 _possibly banned_';
+            case 'renamed': return ` 🔀 _now @${escapeMarkdown(status.renamedTo)}_`;
+            default: return '';
+        }
+    }
+
+    /**
+     * Moves subscriptions of a renamed account to its new handle: one chat's,
+     * or every chat's without `chatId`. Alert rules and channels stay with
+     * each subscription. A chat that already monitors the new handle just
+     * drops the old one; one whose quota has no room for it stays behind.
+     * The new handle continues from the old one's history, moved once nobody
+     * monitors the old handle and copied while somebody still does, unless
+     * it already has history of its own.
+     * Resolves to { status: 'followed' | 'quota_exceeded' | 'not_monitored' | 'not_renamed' },
+     * with `renamedTo` and the chats left behind (`blocked`, [{ chatId, reason }])
+     * once a rename was found.
+     */
+    async followRename(username, chatId = null) {
+        const status = await this.lifecycleService.getStatus(username);
+        const subscriptions = await MonitoredUser.find(chatId ? { username, chatId } : { username });
+        if (!subscriptions.length) return { status: 'not_monitored' };
+        if (status?.state !== 'renamed' || !status.renamedTo) return { status: 'not_renamed' };
+
+        const renamedTo = status.renamedTo;
+        const blocked = [];
+        for (const subscription of subscriptions) {
+            if (await MonitoredUser.exists({ username: renamedTo, chatId: subscription.chatId })) {
+                await MonitoredUser.deleteOne({ _id: subscription._id });
+                continue;
+            }
+            const reason = await this.usageService.checkAccountQuota(subscription.chatId, subscription.addedByUserId, { replacing: subscription._id });
+            if (reason) {
+                blocked.push({ chatId: subscription.chatId, reason });
+                continue;
+            }
+            subscription.username = renamedTo;
+            await subscription.save();
+        }
+        if (blocked.length === subscriptions.length) return { status: 'quota_exceeded', renamedTo, blocked };
+        logger.info(`Moved ${subscriptions.length - blocked.length} subscription(s) of @${username} to @${renamedTo}.`);
+
+        const stillMonitored = await MonitoredUser.countDocuments({ username }) > 0;
+        const hasOwnHistory = await FollowerHistory.exists({ username: renamedTo }) || await StoryHistory.exists({ username: renamedTo });
+        if (hasOwnHistory) {
+            if (!stillMonitored) await FollowerHistory.deleteMany({ username });
+        } else if (stillMonitored) {
+            await this._copyHistory(FollowerHistory, username, renamedTo);
+            await this._copyHistory(StoryHistory, username, renamedTo);
+        } else {
+            await FollowerHistory.updateMany({ username }, { username: renamedTo });
+            await StoryHistory.updateMany({ username }, { username: renamedTo });
+        }
+
+        // Only now, so the first check of the new handle finds the snapshot it continues from
+        await this.scheduler.schedule('profile', renamedTo);
+        await this.scheduler.schedule('story', renamedTo);
+        if (!stillMonitored) {
+            await this.scheduler.unschedule('profile', username);
+            await this.scheduler.unschedule('story', username);
+            await this.lifecycleService.forget(username);
+        }
+        return { status: 'followed', renamedTo, blocked };
+    }
+
+    // Inserts raw copies so the documents keep their original timestamps
+    async _copyHistory(model, from, to) {
+        let batch = [];
+        for await (const { _id, ...document } of model.find({ username: from }).lean().cursor()) {
+            batch.push({ ...document, username: to });
+            if (batch.length === 500) {
+                await model.collection.insertMany(batch);
+                batch = [];
+            }
+        }
+        if (batch.length) await model.collection.insertMany(batch);
+    }
+
+    async followAccount(username, chatId) {
+        const { status, renamedTo, blocked } = await this.followRename(username, chatId);
+        if (status === 'not_monitored') {
+            await this.bot.sendMessage(chatId, `⚠️ @${username} was not found in your monitoring list.`);
+        } else if (status === 'not_renamed') {
+            await this.bot.sendMessage(chatId, `ℹ️ @${username} hasn't been renamed as far as the bot can tell.`);
+        } else if (status === 'quota_exceeded') {
+            await this.bot.sendMessage(chatId, `🚫 Can't follow @${renamedTo}: ${blocked[0].reason}`);
+        } else {
+            await this.bot.sendMessage(chatId, `✅ This chat now monitors @${renamedTo} (formerly @${username}).`);
+        }
+    }
+
+    async _handleLifecycleTransition(username, transition, options = {}) {
+        try {
+            await this.notificationService.notifyLifecycle(username, transition, options);
+        } catch (error) {
+            logger.error(`Error sending lifecycle notification for @${username}:`, error);
+        }
+    }
+
+    _followsRename(transition) {
+        return transition.to === 'renamed' && this.lifecycleService.options.autoFollowRenames;
+    }
+
+    /**
+     * Follows a rename in every chat, then tells each chat whether it moved.
+     * Runs after the old handle's profile check, which the move unschedules.
+     */
+    async _followRenameAndNotify(username, transition) {
+        const subscriptions = await MonitoredUser.find({ username });
+        const { renamedTo, blocked = [] } = await this.followRename(username);
+        await this._handleLifecycleTransition(username, transition, {
+            followed: Boolean(renamedTo),
+            blocked: new Map(blocked.map(({ chatId, reason }) => [chatId, reason])),
+            subscriptions
+        });
+    }
+
     async getStatus(chatId) {
         const statusMessage = this.isRunning ? '🟢 Actively Monitoring' : '🟡 Starting up or issue occurred';
         let nextCheckInfo = this.isRunning ? 
-            `Checks occur every ${Math.round(this.options.checkInterval / 1000)} seconds.` :
+            `Accounts are checked every ${Math.round(this.options.checkInterval / 1000)} seconds, ` +
+            `backing off to ${Math.round(this.options.maxCheckInterval / 1000)} seconds while they stay unchanged.` :
             this.isInitializing ? "Bot is currently initializing." : "⚠️ WARNING: Monitoring loop is not active.";
 
+        if (this.isRunning) {
+            const stats = this.scheduler.getStats();
+            nextCheckInfo += `\nQueue: ${stats.queueDepth} due, ${stats.inFlight} running.`;
+            if (stats.lastCycleDurationMs !== null) {
+                nextCheckInfo += `\nLast cycle: ${stats.lastCycleJobs} check(s) in ${(stats.lastCycleDurationMs / 1000).toFixed(1)}s.`;
+            }
+        }
+
         await this.bot.sendMessage(chatId, 
             `📊 *Bot Status*\n\nOperational Status: ${statusMessage}\n${nextCheckInfo}`, 
             { parse_mode: 'Markdown' });
     }
 
-    async getStats(chatId, username) {
+    async getStats(chatId, username, window = null) {
         if (username) {
-            await this.sendAccountStats(chatId, username);
+            await this.sendAccountStats(chatId, username, window);
         } else {
             const monitoredAccounts = await MonitoredUser.find({ chatId }).sort({ username: 1 });
             if (!monitoredAccounts.length) {
@@ -124,24 +367,65 @@ class MonitorService {
         }
     }
 
-    async sendAccountStats(chatId, username) {
+    async sendAccountStats(chatId, username, window = null) {
         const history = await FollowerHistory.find({ username })
             .sort({ createdAt: -1 })
             .limit(10);
 
-        let statsText;
         if (!history || history.length === 0) {
-            statsText = `📊 No historical data found for @${username}. Has it been checked yet?`;
-        } else {
-            const latest = history[0];
-            const oldest = history[history.length - 1];
-            const followerChange = (latest.followersCount || 0) - (oldest.followersCount || 0);
-            const changeIcon = followerChange > 0 ? '📈' : followerChange < 0 ? '📉' : '➖';
+            await this.bot.sendMessage(chatId, `📊 No historical data found for @${username}. Has it been checked yet?`, { parse_mode: 'Markdown' });
+            return;
+        }
 
-            statsText = this._formatStatsMessage(latest, followerChange, history.length);
+        const latest = history[0];
+        const oldest = history[history.length - 1];
+        const followerChange = (latest.followersCount || 0) - (oldest.followersCount || 0);
+        const statsText = this._formatStatsMessage(latest, followerChange, history.length);
+
+        // Offer the chart windows as buttons unless a chart was explicitly requested.
+        const options = { parse_mode: 'Markdown' };
+        if (!window) {
+            options.reply_markup = {
+                inline_keyboard: [ChartService.windows.map(chartWindow => ({
+                    text: `📈 ${chartWindow}`,
+                    callback_data: `chart:${chartWindow}:${username}`
+                }))]
+            };
+        }
+
+        await this.bot.sendMessage(chatId, statsText, options);
+        if (window) {
+            await this.sendStatsChart(chatId, username, window);
+        }
+    }
+
+    async sendStatsChart(chatId, username, window) {
+        if (!ChartService.isValidWindow(window)) {
+            await this.bot.sendMessage(chatId, `⚠️ Unknown chart window. Use one of: ${ChartService.windows.join(', ')}`);
+            return;
+        }
+
+        const chart = await this.chartService.renderHistoryChart(username, window);
+        if (!chart) {
+            await this.bot.sendMessage(chatId, `📈 No data for @${username} in the selected window.`);
+            return;
+        }
+
+        await this.bot.sendPhoto(chatId, chart, {
+            caption: `📈 Followers, following and posts for @${username} (${window})`
+        }, {
+            filename: `${username}-${window}.png`,
+            contentType: 'image/png'
+        });
+    }
+
+    async handleChartCallback(username, window, chatId) {
+        try {
+            await this.sendStatsChart(chatId, username, window);
+        } catch (error) {
+            logger.error(`Error rendering ${window} chart for @${username}:`, error);
+            await this.bot.sendMessage(chatId, `❌ Error rendering chart for @${username}.`);
         }
-        
-        await this.bot.sendMessage(chatId, statsText, { parse_mode: 'Markdown' });
     }
 
     _formatStatsMessage(latest, followerChange, historyLength) {
@@ -167,29 +451,124 @@ class MonitorService {
         return message;
     }
 
+    async sendProfileDiff(chatId, username, count = 2) {
+        const limit = Math.min(Math.max(count, 2), config.DIFF.MAX_SNAPSHOTS);
+        const history = await FollowerHistory.find({ username })
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        if (history.length < 2) {
+            await this.bot.sendMessage(chatId, `🔍 Not enough history for @${username} to compare yet. At least two snapshots are needed.`);
+            return;
+        }
+
+        const sections = [];
+        // Walk oldest to newest so the report reads chronologically.
+        for (let i = history.length - 1; i > 0; i--) {
+            const changes = this._detectChanges(history[i - 1], history[i]);
+            const lines = this.notificationService.formatChangeLines(changes);
+            if (!lines.length) continue;
+            sections.push(`🕒 *${new Date(history[i - 1].createdAt).toLocaleString()}*\n${lines.join('\n')}`);
+        }
+
+        const header = `🔍 *Changes for @${escapeMarkdown(username)} across the last ${history.length} snapshots*`;
+        if (!sections.length) {
+            await this.bot.sendMessage(chatId, `${header}\n\nNo differences found.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        for (const message of packSections(header, sections)) {
+            await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        }
+    }
+
     async checkSingleAccount(username, options = {}) {
-        const result = await this.instagramService.fetchProfileData(username);
-        if (!result.success) return null;
+        const { data, followRename } = await this._checkAccount(username, options);
+        if (followRename) await followRename();
+        return data;
+    }
+
+    /**
+     * Fetches and processes one profile. Checks of the same account never run
+     * concurrently, whether they come from the scheduler, /add or the API.
+     * Resolves to { data, changed }; data is null when the fetch failed.
+     * A rename to follow comes back as followRename(), for the caller to run
+     * once the check is done. Aborting options.signal gives up the account
+     * lock at once.
+     */
+    async _checkAccount(username, options = {}) {
+        return logger.withContext({ username }, () => this._withAccountLock(username, async () => {
+            const result = await this.instagramService.fetchProfileData(username);
+            await this.usageService.recordApiCalls(username, 'profile', result.calls);
+            if (!result.success) return { data: null, changed: false, error: result.error };
+
+            const currentData = result.data;
+            if (!currentData.apiResponseJson?.status) {
+                const transition = await this.lifecycleService.recordUnavailable(username, currentData.apiResponseJson);
+                if (transition) await this._handleLifecycleTransition(username, transition);
+                return { data: null, changed: false, error: currentData.apiResponseJson?.message || 'Profile not available' };
+            }
 
-        const currentData = result.data;
-        if (!currentData.apiResponseJson?.status) return null;
+            const transition = await this.lifecycleService.recordSeen(username, currentData);
+            const changed = await this._processProfileData(username, currentData, options);
+            if (transition && this._followsRename(transition)) {
+                return { data: currentData, changed, followRename: () => this._followRenameAndNotify(username, transition) };
+            }
+            if (transition) await this._handleLifecycleTransition(username, transition);
+            return { data: currentData, changed };
+        }, options.signal));
+    }
 
-        await this._processProfileData(username, currentData, options);
-        return currentData;
+    /**
+     * Runs fn once every earlier holder of the username's lock has settled.
+     * A run whose signal aborts (an abandoned scheduler job) releases the
+     * lock right away, even though fn itself may never return.
+     */
+    async _withAccountLock(username, fn, signal) {
+        const previous = this._accountLocks.get(username) || Promise.resolve();
+        const run = previous.then(() => {
+            signal?.throwIfAborted();
+            return fn();
+        });
+        const held = signal ? Promise.race([run, rejectOnAbort(signal)]) : run;
+        const tail = held.catch(() => {});
+        this._accountLocks.set(username, tail);
+        tail.then(() => {
+            if (this._accountLocks.get(username) === tail) this._accountLocks.delete(username);
+        });
+        return held;
     }
 
     async _processProfileData(username, currentData, options) {
         const previousData = await FollowerHistory.findOne({ username }).sort({ createdAt: -1 });
         const changes = this._detectChanges(currentData, previousData);
 
+        if (previousData && !changes.profilePicChanged) {
+            if (!isPerceptualHash(previousData.userProfilePicHash) && isPerceptualHash(currentData.userProfilePicHash)) {
+                // Migrate snapshots hashed with MD5 (or not at all): adopt the perceptual hash as the baseline for future comparisons
+                await FollowerHistory.updateOne({ _id: previousData._id }, { userProfilePicHash: currentData.userProfilePicHash });
+                logger.debug(`Upgraded legacy profile picture hash for @${username}.`);
+            } else if (!currentData.userProfilePicHash) {
+                // The picture couldn't be fetched this time; keep comparing against the last known hash
+                currentData.userProfilePicHash = previousData.userProfilePicHash;
+            }
+        }
+
         if (changes.hasChanged) {
-            await new FollowerHistory(currentData).save();
+            if (previousData) {
+                AlertRulesService.changedTypes(changes).forEach(type => metrics.changesDetected.inc({ type }));
+            }
+            const historyRecord = await new FollowerHistory(currentData).save();
+            if (!previousData || changes.profilePicChanged) {
+                await this._archiveSafely(username, 'profile picture', () => this.archiveService.archiveProfilePic(historyRecord));
+            }
             if (previousData) {
                 await this._notifyChanges(username, changes);
-            } else if (!this._shouldSuppressNotification(username, options)) {
+            } else if (!(await this._shouldSuppressNotification(username, options))) {
                 await this._notifyNewAccount(username, currentData);
             }
         }
+        return changes.hasChanged;
     }
 
     _detectChanges(current, previous) {
@@ -202,30 +581,111 @@ class MonitorService {
             postsDiff: (current.postsCount || 0) - (previous.postsCount || 0),
             verifiedChanged: current.isVerified !== previous.isVerified,
             privateChanged: current.isPrivate !== previous.isPrivate,
-            profilePicChanged: current.userProfilePicHash !== previous.userProfilePicHash,
+            profilePicChanged: this._profilePicChanged(current, previous),
             nameChanged: current.userFullname !== previous.userFullname,
+            bioChanged: (current.userDescription || '') !== (previous.userDescription || ''),
+            // Providers expose different extra fields, so only diff snapshots from the same source
+            fieldChanges: (current.provider || LEGACY_PROVIDER) === (previous.provider || LEGACY_PROVIDER)
+                ? this._diffApiFields(current.apiResponseJson, previous.apiResponseJson)
+                : [],
             current,
             previous
         };
 
+        changes.bioDiff = changes.bioChanged ? diffLines(previous.userDescription, current.userDescription) : [];
+        changes.fieldsChanged = changes.fieldChanges.length > 0;
+
         changes.hasChanged = changes.followerDiff !== 0 || changes.followingDiff !== 0 ||
             changes.postsDiff !== 0 || changes.verifiedChanged || changes.privateChanged ||
-            changes.profilePicChanged || changes.nameChanged;
+            changes.profilePicChanged || changes.nameChanged || changes.bioChanged || changes.fieldsChanged;
 
         return changes;
     }
 
-    _shouldSuppressNotification(username, options) {
-        if (options.forceInitialNotification) return false;
-        
-        const addedAt = this._recentlyAddedAccounts[username];
-        if (!addedAt) return false;
+    /**
+     * Compares perceptual hashes by Hamming distance so CDN recompression or
+     * resizing doesn't count as a new picture, and content hashes of images
+     * that couldn't be decoded exactly. When the hashes can't be compared
+     * (download failed, different kinds, legacy MD5) the CDN file name
+     * decides: Instagram re-signs picture URLs, but only a new picture gets
+     * a new file.
+     */
+    _profilePicChanged(current, previous) {
+        const currentHash = current.userProfilePicHash;
+        const previousHash = previous.userProfilePicHash;
+        if (isPerceptualHash(currentHash) && isPerceptualHash(previousHash)) {
+            return hammingDistance(currentHash, previousHash) > this.options.profilePicHashThreshold;
+        }
+        if (isContentHash(currentHash) && isContentHash(previousHash)) return currentHash !== previousHash;
+
+        const currentFile = this._profilePicFileName(current.userProfilePic);
+        const previousFile = this._profilePicFileName(previous.userProfilePic);
+        return Boolean(currentFile && previousFile) && currentFile !== previousFile;
+    }
 
-        const now = Date.now();
-        if (now - addedAt < 90000) return true;
+    _profilePicFileName(url) {
+        try {
+            // Format conversions keep the name but may change the extension
+            return new URL(url).pathname.split('/').pop().replace(/\.[a-z0-9]+$/i, '') || null;
+        } catch (error) {
+            return null;
+        }
+    }
 
-        delete this._recentlyAddedAccounts[username];
-        return false;
+    _diffApiFields(currentJson, previousJson) {
+        // Snapshots from failed requests carry error payloads, not profile fields.
+        if (currentJson?.status !== true || previousJson?.status !== true) return [];
+
+        const current = this._flattenFields(currentJson);
+        const previous = this._flattenFields(previousJson);
+        const fields = [...new Set([...Object.keys(previous), ...Object.keys(current)])].sort();
+
+        return fields
+            .filter(field => !PARSED_API_FIELDS.has(field) && !config.DIFF.IGNORED_FIELDS.has(field))
+            .filter(field => JSON.stringify(current[field]) !== JSON.stringify(previous[field]))
+            .map(field => {
+                const before = previous[field] ?? null;
+                const after = current[field] ?? null;
+                const isText = typeof before === 'string' || typeof after === 'string';
+                return {
+                    field,
+                    before,
+                    after,
+                    lines: isText ? diffLines(before === null ? '' : String(before), after === null ? '' : String(after)) : null
+                };
+            });
+    }
+
+    _flattenFields(object, prefix = '', result = {}) {
+        for (const [key, value] of Object.entries(object || {})) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this._flattenFields(value, path, result);
+            } else {
+                result[path] = value;
+            }
+        }
+        return result;
+    }
+
+    async _notifyChanges(username, changes) {
+        await this.notificationService.notifyChanges(username, changes);
+    }
+
+    async _notifyNewAccount(username, currentData) {
+        await this.notificationService.notifyNewAccount(username, currentData);
+    }
+
+    // The check that /add or the API runs sends the first-seen card itself; a scheduled
+    // check on any replica that gets there first stays quiet. Subscription creation
+    // times live in MongoDB, so this works across processes. Imported accounts never
+    // get the card, since a bulk import would otherwise post one per account.
+    async _shouldSuppressNotification(username, options) {
+        if (options.forceInitialNotification) return false;
+        return Boolean(await MonitoredUser.exists({
+            username,
+            $or: [{ createdAt: { $gte: new Date(Date.now() - 90000) } }, { importedAt: { $exists: true } }]
+        }));
     }
 
     async start() {
@@ -244,23 +704,14 @@ class MonitorService {
             this.isInitializing = false;
             this.isRunning = true;
             
-            // Start monitoring loops
-            logger.info('Starting initial account check...');
-            await this.checkAllAccounts();
-            
-            logger.info('Setting up monitoring intervals...');
-            this.intervalId = setInterval(() => {
-                if (!this.isRunning) {
-                    clearInterval(this.intervalId);
-                    this.intervalId = null;
-                    return;
-                }
-                this.checkAllAccounts().catch(err => 
-                    logger.error('Error in periodic account check:', err));
-            }, this.options.checkInterval);
-            
-            // Start story monitoring
-            await this._startStoryMonitor();
+            // Profile and story checks run from the job scheduler; every account is due on startup
+            await this.scheduler.start();
+
+            // Start scheduled digests (schedules are persisted, so this resumes after restarts)
+            await this.digestService.start();
+
+            // Start archive retention sweeps
+            this.archiveService.start();
             
             logger.info('Monitoring service started successfully.');
         } catch (error) {
@@ -271,61 +722,45 @@ class MonitorService {
     }
 
     async stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
-        
-        if (this.storyIntervalId) {
-            clearInterval(this.storyIntervalId);
-            this.storyIntervalId = null;
-        }
-
         this.isRunning = false;
+
+        // Waits for checks already in progress
+        await this.scheduler.stop();
+
+        this.digestService.stop();
+        this.archiveService.stop();
+
         logger.info('Monitoring stopped.');
     }
 
-    async checkAllAccounts() {
-        if (this.isInitializing) {
-            logger.warn("Account check cycle skipped: Service is still initializing.");
-            return;
-        }
+    getSchedulerStats() {
+        return this.scheduler.getStats();
+    }
 
-        if (!this.isRunning) {
-            logger.warn("Account check cycle skipped: Service is not running.");
-            return;
-        }
+    async getMonitoringCounts() {
+        const [accounts, subscriptions] = await Promise.all([
+            MonitoredUser.distinct('username'),
+            MonitoredUser.countDocuments()
+        ]);
+        return { accounts: accounts.length, subscriptions };
+    }
 
-        try {
-            const accounts = await this._getUniqueMonitoredAccounts();
-            if (!accounts.length) {
-                logger.debug('No accounts currently configured for monitoring.');
-                return;
-            }
+    async _runProfileJob(username, { signal } = {}) {
+        const { data, changed, error, followRename } = await this._checkAccount(username, { signal });
+        if (!data) throw new Error(`Profile check for @${username} failed: ${error}`);
+        // The move unschedules this very job, so it waits until the job's state is saved
+        return { changed, afterComplete: followRename };
+    }
 
-            logger.info(`Starting check cycle for ${accounts.length} account(s)...`);
-            for (const [index, username] of accounts.entries()) {
-                if (!this.isRunning) {
-                    logger.info('Monitoring stopped, interrupting check cycle.');
-                    break;
-                }
+    async _runStoryJob(username) {
+        return logger.withContext({ username }, async () => {
+            const storyResult = await this.instagramService.fetchStoryData(username);
+            await this.usageService.recordApiCalls(username, 'story', storyResult.calls);
+            if (storyResult.status === 'error') throw new Error(`Story check for @${username} failed: ${storyResult.msg}`);
 
-                try {
-                    await this.checkSingleAccount(username);
-                    if (index < accounts.length - 1) {
-                        await this._delay(this.options.requestDelay + Math.floor(Math.random() * 500));
-                    }
-                } catch (error) {
-                    logger.error(`Error checking account @${username}:`, error);
-                    // Continue with next account despite error
-                }
-            }
-            
-            logger.info('Account check cycle completed.');
-        } catch (error) {
-            logger.error('Error during account check cycle:', error);
-            // Don't throw the error to avoid crashing the monitoring loop
-        }
+            const newStories = await this._processStoryResult(username, storyResult);
+            return { changed: newStories > 0 };
+        });
     }
 
     async _getUniqueMonitoredAccounts() {
@@ -337,103 +772,70 @@ class MonitorService {
         }
     }
 
-    async _startStoryMonitor() {
-        const STORY_CHECK_INTERVAL = 3600000; // 1 hour
-        
-        const checkStories = async () => {
-            if (this.isInitializing) return;
-            
-            const usernames = await this._getUniqueMonitoredAccounts();
-            for (const username of usernames) {
+    async _processStoryResult(username, storyResult) {
+        if (storyResult.status === 'ok' && storyResult.items?.length) {
+            const newStories = [];
+
+            for (const item of storyResult.items) {
+                let storyId = deriveStoryId(item.mediaUrl);
+                let existingStory = await StoryHistory.findOne(storyId
+                    ? { username, $or: [{ storyId }, { mediaUrl: item.mediaUrl }] }
+                    : { username, mediaUrl: item.mediaUrl });
+                // Media without an ID in its URL is downloaded for a content hash, but only the first time it shows up
+                if (!existingStory && !storyId) {
+                    storyId = await this.instagramService.getMediaContentId(item.mediaUrl);
+                    if (storyId) existingStory = await StoryHistory.findOne({ username, storyId });
+                }
+
+                if (existingStory) {
+                    logger.debug(`Story already processed for @${username}: ${storyId || item.mediaUrl}`);
+                    continue;
+                }
+
                 try {
-                    const storyResult = await this.instagramService.fetchStoryData(username);
-                    await this._processStoryResult(username, storyResult);
-                    await this._delay(2000 + Math.floor(Math.random() * 1000));
+                    const storyRecord = await new StoryHistory({
+                        username,
+                        storyId,
+                        mediaUrl: item.mediaUrl,
+                        mediaType: item.mediaType,
+                        sentTo: [] // Will be populated as we send notifications
+                    }).save();
+                    newStories.push(storyRecord);
+                    metrics.storiesDetected.inc({ media_type: item.mediaType || 'unknown' });
                 } catch (error) {
-                    logger.error(`Error checking stories for @${username}:`, error);
+                    // Another check recorded the same story in the meantime
+                    if (error.code === 11000) continue;
+                    throw error;
                 }
             }
-        };
-
-        await checkStories();
-        this.storyIntervalId = setInterval(checkStories, STORY_CHECK_INTERVAL);
-        logger.info('Story monitor started (hourly checks)');
-    }
-
-    async _processStoryResult(username, storyResult) {
-        if (storyResult.status === 'ok' && storyResult.mediaUrl) {
-            // Check if we've already processed this story
-            const existingStory = await StoryHistory.findOne({
-                username,
-                mediaUrl: storyResult.mediaUrl
-            });
 
-            if (!existingStory) {
-                // New story, create record and notify
-                logger.info(`New story detected for @${username}`);
-                const storyRecord = new StoryHistory({
-                    username,
-                    mediaUrl: storyResult.mediaUrl,
-                    mediaType: storyResult.mediaType,
-                    sentTo: [] // Will be populated as we send notifications
-                });
-                await storyRecord.save();
-                await this._notifyStory(username, storyResult.mediaUrl, storyResult.mediaType, storyRecord);
-            } else {
-                logger.debug(`Story already processed for @${username}: ${storyResult.mediaUrl}`);
+            if (newStories.length) {
+                logger.info(`${newStories.length} new story item(s) detected for @${username}`);
+                await this._notifyStories(username, newStories);
+                for (const storyRecord of newStories) {
+                    await this._archiveSafely(username, 'story', () => this.archiveService.archiveStory(storyRecord));
+                }
             }
+            return newStories.length;
         } else if (storyResult.status === 'no_stories') {
             // Optional: You could clean up old stories here if needed
             logger.debug(`No active stories for @${username}`);
         }
+        return 0;
     }
 
-    async _notifyStory(username, mediaUrl, mediaType, storyRecord) {
-        const subscribers = await MonitoredUser.find({ username }).select('chatId -_id');
-        const uniqueChatIds = [...new Set(subscribers.map(s => s.chatId))];
-        
-        for (const chatId of uniqueChatIds) {
-            // Skip if already sent to this chat
-            if (storyRecord.sentTo.includes(chatId)) {
-                logger.debug(`Story already sent to chat ${chatId} for @${username}`);
-                continue;
-            }
-
-            try {
-                const emoji = mediaType === 'video' ? '🎬' : '📸';
-                let sent = false;
-
-                if (mediaType === 'video') {
-                    await this.bot.sendVideo(chatId, mediaUrl, {
-                        caption: `${emoji} New Instagram story from @${username}!`
-                    }).then(() => sent = true).catch(async () => {
-                        await this.bot.sendMessage(chatId, 
-                            `${emoji} New Instagram story from @${username}: ${mediaUrl}`);
-                        sent = true;
-                    });
-                } else if (mediaType === 'photo') {
-                    await this.bot.sendPhoto(chatId, mediaUrl, {
-                        caption: `${emoji} New Instagram story from @${username}!`
-                    }).then(() => sent = true).catch(async () => {
-                        await this.bot.sendMessage(chatId, 
-                            `${emoji} New Instagram story from @${username}: ${mediaUrl}`);
-                        sent = true;
-                    });
-                }
-
-                if (sent) {
-                    // Update the story record to mark this chat as notified
-                    await StoryHistory.updateOne(
-                        { _id: storyRecord._id },
-                        { $addToSet: { sentTo: chatId } }
-                    );
-                    logger.debug(`Story notification sent and recorded for chat ${chatId}`);
-                }
-            } catch (error) {
-                logger.error(`Failed to notify chat ${chatId} about story from @${username}:`, error);
-            }
+    // Archiving is best effort; a failed download must never stop monitoring.
+    async _archiveSafely(username, what, archiveFn) {
+        try {
+            await archiveFn();
+        } catch (error) {
+            logger.warn(`Could not archive ${what} for @${username}: ${error.message}`);
         }
     }
+
+    async _notifyStories(username, storyRecords) {
+        await this.notificationService.notifyStories(username, storyRecords);
+    }
 }
 
 module.exports = MonitorService;
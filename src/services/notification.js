@@ -0,0 +1,362 @@
+const { MonitoredUser, StoryHistory } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'notification' });
+const { escapeMarkdown } = require('../utils/markdown');
+const { formatDiff } = require('../utils/textDiff');
+
+class NotificationService {
+    constructor(bot, alertRulesService, webhookService, usageService, channelService) {
+        this.bot = bot;
+        this.alertRulesService = alertRulesService;
+        this.webhookService = webhookService;
+        this.usageService = usageService;
+        this.channelService = channelService;
+    }
+
+    async notifyChanges(username, changes) {
+        await this._emitWebhook('profile.changed', username, {
+            changes: this._serializeChanges(changes),
+            current: this._serializeProfile(changes.current),
+            previous: this._serializeProfile(changes.previous)
+        });
+
+        const subscriptions = await MonitoredUser.find({ username });
+        if (!subscriptions.length) {
+            logger.debug(`No subscribers for @${username}, skipping change notification.`);
+            return;
+        }
+
+        for (const subscription of subscriptions) {
+            const chatId = subscription.chatId;
+            const chatChanges = this.alertRulesService.applyRules(changes, subscription);
+
+            try {
+                if (!chatChanges.hasChanged) {
+                    logger.debug(`Changes for @${username} are below the alert rules of chat ${chatId}.`);
+                    await this.alertRulesService.updateBaseline(subscription, chatChanges.baselineUpdates);
+                    continue;
+                }
+
+                const media = chatChanges.profilePicChanged && changes.current.userProfilePic
+                    ? [{ type: 'photo', url: changes.current.userProfilePic, caption: `🖼️ New profile picture for @${escapeMarkdown(username)}` }]
+                    : [];
+                const results = await this._notify(subscription, {
+                    event: 'profile.changed',
+                    username,
+                    title: `Changes detected for @${escapeMarkdown(username)}`,
+                    text: this.formatChangesMessage(username, chatChanges),
+                    media
+                });
+
+                // Keep accumulating towards the thresholds until someone was told
+                if (!results.length) continue;
+                await this.alertRulesService.updateBaseline(subscription, chatChanges.baselineUpdates);
+                logger.info(`Change notification for @${username} sent for chat ${chatId}.`, { chatId });
+            } catch (error) {
+                logger.error(`Failed to notify chat ${chatId} about changes for @${username}:`, error, { chatId });
+            }
+        }
+    }
+
+    async notifyNewAccount(username, data) {
+        await this._emitWebhook('account.new', username, { profile: this._serializeProfile(data) });
+
+        const subscriptions = await MonitoredUser.find({ username });
+        if (!subscriptions.length) return;
+
+        const notification = {
+            event: 'account.new',
+            username,
+            title: `Now monitoring @${escapeMarkdown(username)}`,
+            text: this.formatProfileCard(username, data),
+            media: data.userProfilePic ? [{ type: 'photo', url: data.userProfilePic }] : [],
+            attachText: true
+        };
+        logger.info(`Sending first-seen profile card for @${username} to ${subscriptions.length} chat(s).`);
+
+        for (const subscription of subscriptions) {
+            try {
+                await this._notify(subscription, notification);
+            } catch (error) {
+                logger.error(`Failed to send profile card for @${username} to chat ${subscription.chatId}:`, error, { chatId: subscription.chatId });
+            }
+        }
+    }
+
+    /**
+     * Tells every subscription that an account disappeared, was renamed or
+     * is back. `followed` means the subscriptions were moved to the new
+     * handle, so there's nothing left for the chat to do, except in chats
+     * `blocked` maps to the quota reason they stayed behind for. Pass
+     * `subscriptions` when they no longer carry the old handle.
+     */
+    async notifyLifecycle(username, transition, { followed = false, blocked = new Map(), subscriptions = null } = {}) {
+        await this._emitWebhook('account.status', username, {
+            from: transition.from,
+            to: transition.to,
+            renamedTo: transition.renamedTo,
+            reason: transition.reason
+        });
+
+        const recipients = subscriptions || await MonitoredUser.find({ username });
+        for (const subscription of recipients) {
+            const { title, text } = this.formatLifecycleMessage(username, transition, {
+                followed,
+                blockedReason: blocked.get(subscription.chatId)
+            });
+            try {
+                await this._notify(subscription, { event: 'account.status', username, title, text, media: [] });
+            } catch (error) {
+                logger.error(`Failed to notify chat ${subscription.chatId} about @${username} becoming ${transition.to}:`, error, { chatId: subscription.chatId });
+            }
+        }
+    }
+
+    formatLifecycleMessage(username, { to, renamedTo, reason, failures }, { followed = false, blockedReason = null } = {}) {
+        const handle = `@${escapeMarkdown(username)}`;
+        let title;
+        let lines;
+
+        if (to === 'renamed') {
+            const newHandle = `@${escapeMarkdown(renamedTo)}`;
+            title = `${handle} is now ${newHandle}`;
+            if (blockedReason) {
+                lines = [`🔀 *${title}*`, '', `This chat can't monitor ${newHandle} instead: ${escapeMarkdown(blockedReason)}`,
+                    `Checks continue under the old handle. Use /follow ${escapeMarkdown(username)} once there is room.`];
+            } else {
+                lines = [`🔀 *${title}*`, '', followed
+                    ? `This chat now monitors ${newHandle} instead, keeping its alert rules and channels.`
+                    : `Checks continue under the old handle. Use /follow ${escapeMarkdown(username)} to monitor ${newHandle} instead.`];
+            }
+        } else if (to === 'not_found' || to === 'suspected_banned') {
+            title = to === 'not_found' ? `${handle} can't be found` : `${handle} may have been banned`;
+            lines = [
+                `${to === 'not_found' ? '❓' : '🚫'} *${title}*`,
+                '',
+                `Instagram answered "${escapeMarkdown(reason)}" to the last ${failures} checks.`,
+                to === 'not_found'
+                    ? 'The account may have been deleted, deactivated or renamed.'
+                    : 'The account may have been suspended or restricted by Instagram.',
+                "Monitoring continues; you'll be told if it comes back."
+            ];
+        } else {
+            title = `${handle} is back`;
+            lines = [`✅ *${title}*`, '', 'The account can be fetched again and monitoring resumes as before.'];
+        }
+
+        lines.push('', `🕒 ${new Date().toLocaleString()}`);
+        return { title, text: lines.join('\n') };
+    }
+
+    /**
+     * Sends newly seen story items to every subscription. Items from the
+     * same check go out together (a Telegram album, one Discord/Slack
+     * message, one email); an item counts as sent to a chat once any of its
+     * destinations received it.
+     */
+    async notifyStories(username, storyRecords) {
+        for (const story of storyRecords) {
+            await this._emitWebhook('story.new', username, {
+                storyId: story.storyId,
+                mediaUrl: story.mediaUrl,
+                mediaType: story.mediaType
+            });
+        }
+
+        const subscriptions = await MonitoredUser.find({ username });
+        for (const subscription of subscriptions) {
+            const chatId = subscription.chatId;
+            // Skip items already sent to this chat
+            const pending = storyRecords.filter(story => !story.sentTo.includes(chatId));
+            if (!pending.length) {
+                logger.debug(`Stories already sent to chat ${chatId} for @${username}`);
+                continue;
+            }
+
+            const storiesByItem = new Map(pending.map(story => [{
+                type: story.mediaType === 'video' ? 'video' : 'photo',
+                url: story.mediaUrl,
+                caption: `${story.mediaType === 'video' ? '🎬' : '📸'} New Instagram story from @${escapeMarkdown(username)}!`
+            }, story]));
+            const media = [...storiesByItem.keys()];
+
+            try {
+                const results = await this._notify(subscription, {
+                    event: 'story.new',
+                    username,
+                    title: `New Instagram ${media.length > 1 ? 'stories' : 'story'} from @${escapeMarkdown(username)}`,
+                    text: media.length > 1
+                        ? `📸 ${media.length} new Instagram stories from @${escapeMarkdown(username)}!`
+                        : media[0].caption,
+                    media,
+                    attachText: true
+                });
+
+                const sent = [...new Set(results.flatMap(result => result.media))].map(item => storiesByItem.get(item));
+                if (sent.length) {
+                    await StoryHistory.updateMany(
+                        { _id: { $in: sent.map(story => story._id) } },
+                        { $addToSet: { sentTo: chatId } }
+                    );
+                    logger.debug(`${sent.length} story item(s) for @${username} sent and recorded for chat ${chatId}`, { chatId });
+                }
+            } catch (error) {
+                logger.error(`Failed to notify chat ${chatId} about stories from @${username}:`, error, { chatId });
+            }
+        }
+    }
+
+    /**
+     * Delivers a notification to every destination of a subscription. A
+     * failing destination doesn't stop the others; resolves to the results
+     * of the successful deliveries.
+     */
+    async _notify(subscription, notification) {
+        const targets = await this.channelService.getTargets(subscription);
+        const results = [];
+
+        for (const { channel, doc } of targets) {
+            try {
+                const result = await channel.send(notification);
+                await this.usageService.recordDelivery(subscription.chatId, result.messages);
+                await this.channelService.recordStatus(doc);
+                results.push(result);
+            } catch (error) {
+                logger.error(`Failed to deliver ${notification.event} for @${notification.username} via ${channel.name} (chat ${subscription.chatId}):`, error, { chatId: subscription.chatId, channel: channel.name });
+                await this.channelService.recordStatus(doc, error);
+            }
+        }
+        return results;
+    }
+
+    formatChangesMessage(username, changes) {
+        const lines = [`🔔 *Changes detected for @${escapeMarkdown(username)}*`, ''];
+        lines.push(...this.formatChangeLines(changes));
+        lines.push('', `🕒 ${new Date().toLocaleString()}`);
+        return lines.join('\n');
+    }
+
+    formatChangeLines(changes) {
+        const { current, previous } = changes;
+        const lines = [];
+
+        if (changes.followerDiff !== 0) {
+            lines.push(`👥 *Followers:* ${this._formatCountChange(previous.followersCount, current.followersCount, changes.followerDiff)}`);
+        }
+        if (changes.followingDiff !== 0) {
+            lines.push(`➡️ *Following:* ${this._formatCountChange(previous.followingCount, current.followingCount, changes.followingDiff)}`);
+        }
+        if (changes.postsDiff !== 0) {
+            lines.push(`📝 *Posts:* ${this._formatCountChange(previous.postsCount, current.postsCount, changes.postsDiff)}`);
+        }
+        if (changes.verifiedChanged) {
+            lines.push(current.isVerified ? '✅ *Account is now verified*' : '❎ *Account is no longer verified*');
+        }
+        if (changes.privateChanged) {
+            lines.push(current.isPrivate ? '🔒 *Account is now private*' : '🌎 *Account is now public*');
+        }
+        if (changes.nameChanged) {
+            const oldName = previous.userFullname ? escapeMarkdown(previous.userFullname) : '_(empty)_';
+            const newName = current.userFullname ? escapeMarkdown(current.userFullname) : '_(empty)_';
+            lines.push(`👤 *Name:* ${oldName} → ${newName}`);
+        }
+        if (changes.profilePicChanged) {
+            lines.push('🖼️ *Profile picture changed*');
+        }
+        if (changes.bioChanged) {
+            lines.push('📜 *Bio changed:*', this._formatCodeBlock(formatDiff(changes.bioDiff || [])));
+        }
+        if (changes.fieldsChanged) {
+            for (const change of changes.fieldChanges) {
+                lines.push(this._formatFieldChange(change));
+            }
+        }
+
+        return lines;
+    }
+
+    formatProfileCard(username, data) {
+        const lines = [`🆕 *Now monitoring @${escapeMarkdown(username)}*`, ''];
+
+        if (data.userFullname) lines.push(`👤 *Name:* ${escapeMarkdown(data.userFullname)}`);
+        lines.push(`👥 *Followers:* ${this._formatNumber(data.followersCount)}`);
+        lines.push(`➡️ *Following:* ${this._formatNumber(data.followingCount)}`);
+        lines.push(`📝 *Posts:* ${this._formatNumber(data.postsCount)}`);
+        lines.push(`✅ *Verified:* ${data.isVerified ? 'Yes' : 'No'}`);
+        lines.push(data.isPrivate ? '🔒 Private Account' : '🌎 Public Account');
+
+        if (data.userDescription) {
+            const bio = data.userDescription.replace(/\n/g, ' ');
+            const snippet = bio.length > 200 ? `${bio.substring(0, 200)}...` : bio;
+            lines.push(`📜 *Bio:* ${escapeMarkdown(snippet)}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    _formatCountChange(before, after, diff) {
+        const sign = diff > 0 ? '+' : '';
+        const icon = diff > 0 ? '📈' : '📉';
+        return `${this._formatNumber(before)} → ${this._formatNumber(after)} (${icon} ${sign}${diff.toLocaleString()})`;
+    }
+
+    _formatFieldChange(change) {
+        const label = `🔧 *${escapeMarkdown(change.field)}:*`;
+        if (change.lines) {
+            return `${label}\n${this._formatCodeBlock(formatDiff(change.lines))}`;
+        }
+        const before = change.before === null ? '_(empty)_' : escapeMarkdown(JSON.stringify(change.before));
+        const after = change.after === null ? '_(empty)_' : escapeMarkdown(JSON.stringify(change.after));
+        return `${label} ${before} → ${after}`;
+    }
+
+    _formatCodeBlock(text) {
+        // Backticks inside the block would terminate it early.
+        return '```\n' + (text || ' ').replace(/`/g, "'") + '\n```';
+    }
+
+    _formatNumber(value) {
+        return typeof value === 'number' ? value.toLocaleString() : 'N/A';
+    }
+
+    async _emitWebhook(event, username, data) {
+        // Webhook problems must never block chat notifications.
+        try {
+            await this.webhookService.emit(event, username, data);
+        } catch (error) {
+            logger.error(`Failed to queue ${event} webhook for @${username}:`, error);
+        }
+    }
+
+    _serializeChanges(changes) {
+        return {
+            followerDiff: changes.followerDiff,
+            followingDiff: changes.followingDiff,
+            postsDiff: changes.postsDiff,
+            verifiedChanged: changes.verifiedChanged,
+            privateChanged: changes.privateChanged,
+            profilePicChanged: changes.profilePicChanged,
+            nameChanged: changes.nameChanged,
+            bioChanged: changes.bioChanged,
+            bioDiff: changes.bioDiff,
+            fieldChanges: changes.fieldChanges
+        };
+    }
+
+    _serializeProfile(data) {
+        if (!data) return null;
+        return {
+            username: data.username,
+            userFullname: data.userFullname,
+            userDescription: data.userDescription,
+            userProfilePic: data.userProfilePic,
+            isPrivate: data.isPrivate,
+            isVerified: data.isVerified,
+            followersCount: data.followersCount,
+            followingCount: data.followingCount,
+            postsCount: data.postsCount,
+            capturedAt: data.createdAt || new Date()
+        };
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,54 @@
+const STATES = {
+    CLOSED: 'CLOSED',
+    OPEN: 'OPEN',
+    HALF_OPEN: 'HALF_OPEN'
+};
+
+/**
+ * Per-provider circuit breaker. After `failureThreshold` consecutive failures
+ * the circuit opens and requests are skipped for `cooldownMs`; the first
+ * request after the cooldown is a trial that either closes the circuit again
+ * or re-opens it.
+ */
+class CircuitBreaker {
+    constructor({ failureThreshold, cooldownMs }) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+    }
+
+    canRequest(now = Date.now()) {
+        if (this.state === STATES.OPEN && now - this.openedAt >= this.cooldownMs) {
+            this.state = STATES.HALF_OPEN;
+        }
+        return this.state !== STATES.OPEN;
+    }
+
+    recordSuccess() {
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure(now = Date.now()) {
+        this.consecutiveFailures++;
+        if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+            this.state = STATES.OPEN;
+            this.openedAt = now;
+        }
+    }
+
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,53 @@
+const config = require('../../config/config');
+const logger = require('../../utils/logger').child({ module: 'providers' });
+const { ProviderRegistry } = require('./registry');
+const TucktoolsProfileProvider = require('./tucktools');
+const InstagramWebProfileProvider = require('./instagramWeb');
+const MollygramStoryProvider = require('./mollygram');
+
+const PROFILE_PROVIDERS = {
+    'tucktools': () => new TucktoolsProfileProvider({
+        apiUrlBase: config.API.INSTAGRAM_API_URL_BASE,
+        timeout: config.API.TIMEOUT_MS
+    }),
+    'instagram-web': () => new InstagramWebProfileProvider({ timeout: config.API.TIMEOUT_MS })
+};
+
+const STORY_PROVIDERS = {
+    'mollygram': () => new MollygramStoryProvider({
+        apiUrlBase: config.API.STORY_API_URL_BASE,
+        timeout: config.API.STORY_TIMEOUT_MS
+    })
+};
+
+function buildProviders(kind, available, names) {
+    return names
+        .filter(name => {
+            if (available[name]) return true;
+            logger.warn(`Unknown ${kind} provider '${name}' in configuration, ignoring it.`);
+            return false;
+        })
+        .map(name => available[name]());
+}
+
+/**
+ * Builds the profile and story provider registries in the order given by
+ * PROFILE_PROVIDERS / STORY_PROVIDERS.
+ */
+function createProviderRegistries() {
+    const breakerOptions = {
+        failureThreshold: config.PROVIDERS.FAILURE_THRESHOLD,
+        cooldownMs: config.PROVIDERS.COOLDOWN_MS,
+        rateLimitFor: name => ({
+            ratePerMinute: config.PROVIDERS.RATE_LIMITS[name] || config.PROVIDERS.RATE_PER_MINUTE,
+            capacity: config.PROVIDERS.RATE_BURST
+        })
+    };
+
+    return {
+        profile: new ProviderRegistry('profile', buildProviders('profile', PROFILE_PROVIDERS, config.PROVIDERS.PROFILE), breakerOptions),
+        story: new ProviderRegistry('story', buildProviders('story', STORY_PROVIDERS, config.PROVIDERS.STORY), breakerOptions)
+    };
+}
+
+module.exports = { createProviderRegistries };
@@ -0,0 +1,70 @@
+const axios = require('axios');
+const { ProviderError } = require('./registry');
+
+// Public app id used by instagram.com's own web client.
+const WEB_APP_ID = '936619743392459';
+
+/**
+ * Profile data straight from Instagram's web_profile_info endpoint,
+ * normalized to the tucktools response shape.
+ */
+class InstagramWebProfileProvider {
+    constructor({ timeout }) {
+        this.name = 'instagram-web';
+        this.timeout = timeout;
+    }
+
+    async fetchProfile(username) {
+        let response;
+        try {
+            response = await axios.get('https://i.instagram.com/api/v1/users/web_profile_info/', {
+                params: { username },
+                timeout: this.timeout,
+                headers: {
+                    'X-IG-App-ID': WEB_APP_ID,
+                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+                    'Accept': 'application/json'
+                },
+                validateStatus: () => true
+            });
+        } catch (error) {
+            throw new ProviderError(this.name, error.message);
+        }
+
+        if (response.status === 404) {
+            return { status: false, message: 'User not found' };
+        }
+        if (response.status !== 200) {
+            throw new ProviderError(this.name, `API request failed for @${username} (status ${response.status})`);
+        }
+
+        const user = response.data?.data?.user;
+        if (response.data?.data && user === null) {
+            return { status: false, message: 'User not found' };
+        }
+        if (!user || typeof user.edge_followed_by?.count !== 'number') {
+            throw new ProviderError(this.name, 'unexpected response shape');
+        }
+
+        return this._normalize(user);
+    }
+
+    _normalize(user) {
+        return {
+            status: true,
+            username: user.username,
+            user_fullname: user.full_name || null,
+            user_description: user.biography || null,
+            user_profile_pic: user.profile_pic_url_hd || user.profile_pic_url || null,
+            is_private: user.is_private === true,
+            is_verified: user.is_verified === true,
+            user_followers: user.edge_followed_by.count,
+            user_following: user.edge_follow?.count ?? 0,
+            total_posts: user.edge_owner_to_timeline_media?.count ?? 0,
+            external_url: user.external_url || null,
+            category: user.category_name || null
+        };
+    }
+}
+
+module.exports = InstagramWebProfileProvider;
@@ -0,0 +1,85 @@
+const axios = require('axios');
+const { JSDOM } = require('jsdom');
+const { ProviderError } = require('./registry');
+
+/**
+ * Story data scraped from mollygram's `allstories` HTML endpoint.
+ */
+class MollygramStoryProvider {
+    constructor({ apiUrlBase, timeout }) {
+        this.name = 'mollygram';
+        this.apiUrlBase = apiUrlBase;
+        this.timeout = timeout;
+    }
+
+    async fetchStory(username) {
+        const apiUrl = `${this.apiUrlBase}?url=${encodeURIComponent(username)}&method=allstories`;
+
+        let data;
+        try {
+            const response = await axios.get(apiUrl, { timeout: this.timeout });
+            data = response.data;
+        } catch (error) {
+            throw new ProviderError(this.name, error.message);
+        }
+
+        if (data && data.status === 'ok' && data.html) {
+            const items = this._extractMediaItems(data.html);
+            if (!items.length) {
+                throw new ProviderError(this.name, 'No media URL found in story HTML.');
+            }
+            return { status: 'ok', items };
+        }
+
+        if (data && data.status === 'error' && data.msg && data.msg.includes('no stories')) {
+            return { status: 'no_stories', msg: data.msg };
+        }
+
+        throw new ProviderError(this.name, data && data.msg ? data.msg : 'Unknown error from story API.');
+    }
+
+    /**
+     * Collects every story item in the `allstories` HTML in document order,
+     * which follows the order of the reel itself. A story usually
+     * appears as a player plus a download link for the same file, so items
+     * are de-duplicated by URL and each container contributes one item.
+     */
+    _extractMediaItems(html) {
+        const dom = new JSDOM(html);
+        const doc = dom.window.document;
+        const items = [];
+        const seenUrls = new Set();
+
+        const addItem = (type, url) => {
+            if (!url || seenUrls.has(url)) return;
+            seenUrls.add(url);
+            items.push({ mediaType: type, mediaUrl: url });
+        };
+
+        for (const element of doc.querySelectorAll('video, img.story-image')) {
+            if (element.tagName === 'VIDEO') {
+                const source = element.querySelector('source[type="video/mp4"], source[src]');
+                addItem('video', (source && source.src) || element.src);
+            } else if (!element.parentElement || !element.parentElement.querySelector('video')) {
+                // Images sharing a container with a video are its poster frame, not a story.
+                addItem('photo', element.src);
+            }
+        }
+
+        // Download links only count when the page has no inline players at all.
+        if (!items.length) {
+            for (const link of doc.querySelectorAll('a[href]')) {
+                const path = link.href.split('?')[0].toLowerCase();
+                if (path.endsWith('.mp4')) {
+                    addItem('video', link.href);
+                } else if (/\.(jpe?g|png|webp)$/.test(path)) {
+                    addItem('photo', link.href);
+                }
+            }
+        }
+
+        return items;
+    }
+}
+
+module.exports = MollygramStoryProvider;
@@ -0,0 +1,121 @@
+const CircuitBreaker = require('./circuitBreaker');
+const TokenBucket = require('../../utils/tokenBucket');
+const logger = require('../../utils/logger').child({ module: 'providers' });
+const metrics = require('../../utils/metrics');
+
+class ProviderError extends Error {
+    constructor(provider, message) {
+        super(`[${provider}] ${message}`);
+        this.name = 'ProviderError';
+        this.provider = provider;
+    }
+}
+
+class AllProvidersFailedError extends Error {
+    constructor(kind, attempts) {
+        const summary = attempts.length
+            ? attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')
+            : 'all circuits are open';
+        super(`No ${kind} provider succeeded (${summary})`);
+        this.name = 'AllProvidersFailedError';
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Ordered set of interchangeable data-source providers for one kind of data
+ * (profiles or stories). Calls go to the first provider whose circuit is
+ * closed and fall through to the next one when it throws. Each provider has
+ * its own token bucket, so concurrent callers queue instead of hammering it.
+ */
+class ProviderRegistry {
+    constructor(kind, providers, { failureThreshold, cooldownMs, rateLimitFor }) {
+        if (!providers.length) {
+            throw new Error(`At least one ${kind} provider must be configured`);
+        }
+
+        this.kind = kind;
+        this.providers = providers.map(provider => ({
+            provider,
+            breaker: new CircuitBreaker({ failureThreshold, cooldownMs }),
+            limiter: new TokenBucket(rateLimitFor(provider.name)),
+            stats: {
+                successes: 0,
+                failures: 0,
+                lastSuccessAt: null,
+                lastFailureAt: null,
+                lastError: null,
+                lastLatencyMs: null,
+                // Reset by the next success; HealthService alerts on long streaks
+                consecutiveFailures: 0,
+                failingSince: null
+            }
+        }));
+    }
+
+    /**
+     * Calls `method` on the providers in order until one succeeds.
+     * Resolves to { result, provider, calls } with the name of the provider
+     * used and the number of upstream requests made, failed ones included.
+     */
+    async execute(method, ...args) {
+        const attempts = [];
+
+        for (const entry of this.providers) {
+            const { provider, breaker, limiter, stats } = entry;
+            if (!breaker.canRequest()) {
+                logger.debug(`Skipping ${this.kind} provider ${provider.name}: circuit open.`);
+                continue;
+            }
+
+            await limiter.take();
+
+            const startedAt = Date.now();
+            try {
+                const result = await provider[method](...args);
+                breaker.recordSuccess();
+                stats.successes++;
+                stats.lastSuccessAt = new Date();
+                stats.consecutiveFailures = 0;
+                stats.failingSince = null;
+                stats.lastLatencyMs = Date.now() - startedAt;
+                this._observe(provider, 'success', stats.lastLatencyMs);
+                logger.debug(`${this.kind} provider ${provider.name} answered ${method}.`, { provider: provider.name, durationMs: stats.lastLatencyMs });
+                return { result, provider: provider.name, calls: attempts.length + 1 };
+            } catch (error) {
+                breaker.recordFailure();
+                stats.failures++;
+                stats.lastFailureAt = new Date();
+                stats.consecutiveFailures++;
+                stats.failingSince = stats.failingSince || stats.lastFailureAt;
+                stats.lastError = error.message;
+                stats.lastLatencyMs = Date.now() - startedAt;
+                this._observe(provider, 'error', stats.lastLatencyMs);
+                attempts.push({ provider: provider.name, error: error.message });
+
+                const { state } = breaker.getState();
+                logger.warn(`${this.kind} provider ${provider.name} failed (${error.message})` +
+                    `${state === CircuitBreaker.STATES.OPEN ? ' - circuit opened' : ''}, trying next provider.`,
+                { provider: provider.name, durationMs: stats.lastLatencyMs, circuit: state });
+            }
+        }
+
+        throw new AllProvidersFailedError(this.kind, attempts);
+    }
+
+    _observe(provider, outcome, latencyMs) {
+        metrics.upstreamRequestDuration.observe({ endpoint: this.kind, provider: provider.name, outcome }, latencyMs / 1000);
+    }
+
+    getHealth() {
+        return this.providers.map(({ provider, breaker, limiter, stats }) => ({
+            name: provider.name,
+            status: breaker.getState().state === CircuitBreaker.STATES.CLOSED ? 'UP' : 'DOWN',
+            circuit: breaker.getState(),
+            rateLimit: limiter.getState(),
+            ...stats
+        }));
+    }
+}
+
+module.exports = { ProviderRegistry, ProviderError, AllProvidersFailedError };
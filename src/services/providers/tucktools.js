@@ -0,0 +1,51 @@
+const { ProviderError } = require('./registry');
+
+/**
+ * Profile data from the tucktools backend. Its response is the reference
+ * shape every other profile provider normalizes to.
+ */
+class TucktoolsProfileProvider {
+    constructor({ apiUrlBase, timeout }) {
+        this.name = 'tucktools';
+        this.apiUrlBase = apiUrlBase;
+        this.timeout = timeout;
+    }
+
+    async fetchProfile(username) {
+        const apiUrl = `${this.apiUrlBase}?username=${encodeURIComponent(username)}`;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(apiUrl, {
+                method: "GET",
+                headers: {
+                    "Origin": "https://www.tucktools.com",
+                    "Referer": "https://www.tucktools.com/",
+                    "User-Agent": "Mozilla/5.0 (compatible; InstagramMonitorBot/1.0)",
+                },
+                signal: controller.signal,
+            });
+        } catch (error) {
+            throw new ProviderError(this.name, error.name === 'AbortError' ? 'request timed out' : error.message);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!response.ok) {
+            throw new ProviderError(this.name, `API request failed for @${username} (status ${response.status})`);
+        }
+
+        const data = await response.json().catch(() => null);
+        if (!data || typeof data !== 'object' || typeof data.status !== 'boolean') {
+            throw new ProviderError(this.name, 'unexpected response shape');
+        }
+        if (data.status === true && data.user_followers === undefined) {
+            throw new ProviderError(this.name, 'profile response is missing follower counts');
+        }
+        return data;
+    }
+}
+
+module.exports = TucktoolsProfileProvider;
@@ -0,0 +1,5 @@
+const JobScheduler = require('./jobScheduler');
+const MemoryJobStore = require('./memoryJobStore');
+const MongoJobStore = require('./mongoJobStore');
+
+module.exports = { JobScheduler, MemoryJobStore, MongoJobStore };
@@ -0,0 +1,327 @@
+const logger = require('../../utils/logger').child({ module: 'scheduler' });
+const metrics = require('../../utils/metrics');
+const { rejectOnAbort } = require('../../utils/abort');
+
+/**
+ * Runs recurring per-account jobs (profile checks, story checks) from a
+ * job store. Each job has its own next-run time; a fixed-size worker pool
+ * picks up due jobs, and a job is never started while it is still running.
+ *
+ * Handlers resolve to { changed } — accounts that keep coming back
+ * unchanged are backed off exponentially up to the type's maxInterval;
+ * failures back off the same way until the next success. A result's
+ * afterComplete() runs once the job's state is saved and its lease
+ * released, for follow-up work that reschedules or removes the job.
+ *
+ * Handlers are called as handler(key, { signal }); the signal aborts when
+ * the run is abandoned, and whatever it still does afterwards is ignored.
+ */
+class JobScheduler {
+    constructor({ store, concurrency, tickMs, syncIntervalMs, jitterRatio, renewIntervalMs }) {
+        this.store = store;
+        this.types = new Map();
+        this.options = { concurrency, tickMs, syncIntervalMs, jitterRatio, renewIntervalMs };
+        this.isRunning = false;
+        this.tickId = null;
+        this._inFlight = new Map(); // execution promise -> { job, startedAt, controller }
+        this._isTicking = false;
+        this._tickGeneration = 0;
+        this._startedAt = null;
+        this._lastTickAt = null;
+        this._lastSuccessAt = new Map(); // type -> ms
+        this._lastSyncAt = 0;
+        this._lastRenewAt = 0;
+        this._cycle = null;
+        this._stats = {
+            queueDepth: 0,
+            scheduledJobs: 0,
+            completedJobs: 0,
+            failedJobs: 0,
+            lastCycleDurationMs: null,
+            lastCycleJobs: null,
+            lastCycleCompletedAt: null,
+            restarts: 0
+        };
+    }
+
+    /**
+     * @param {string} type Job type, e.g. 'profile'
+     * @param {object} definition handler(key, { signal }), listKeys(), interval, maxInterval, adaptive, backoffAfter
+     */
+    defineJob(type, definition) {
+        this.types.set(type, { adaptive: false, backoffAfter: 1, ...definition });
+    }
+
+    async start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this._startedAt = Date.now();
+
+        await this._sync();
+        this._startTicking();
+        await this._tick();
+        logger.info(`Job scheduler started (concurrency ${this.options.concurrency}).`);
+    }
+
+    _startTicking() {
+        this.tickId = setInterval(() => {
+            this._tick().catch(err => logger.error('Error in scheduler tick:', err));
+        }, this.options.tickMs);
+    }
+
+    /**
+     * True when no tick has completed for `stallMs`, e.g. because a store
+     * call never returned and every later tick is skipped behind it.
+     */
+    isStalled(stallMs) {
+        if (!this.isRunning) return false;
+        return Date.now() - (this._lastTickAt || this._startedAt) > stallMs;
+    }
+
+    /**
+     * Job types that have jobs but no successful run for twice their longest
+     * interval (counted from startup until the first success), e.g. because
+     * every upstream request has been failing.
+     */
+    overdueTypes() {
+        if (!this.isRunning || !this._stats.scheduledJobs) return [];
+        const now = Date.now();
+        return [...this.types].filter(([type, definition]) => {
+            const since = this._lastSuccessAt.get(type) || this._startedAt;
+            return now - since > 2 * (definition.maxInterval || definition.interval);
+        }).map(([type]) => type);
+    }
+
+    // Jobs running for longer than `ms`; each one holds a worker slot
+    countLongRunning(ms) {
+        const now = Date.now();
+        return [...this._inFlight.values()].filter(({ startedAt }) => now - startedAt > ms).length;
+    }
+
+    /**
+     * Recovers a stalled loop: restarts the tick timer and gives up on jobs
+     * running longer than `abandonAfterMs`, freeing their worker slots.
+     * Abandoned runs are aborted and their leases released, so they are due
+     * again right away. A tick stuck in a store call is abandoned too: it
+     * hands back anything it claims once it returns and never dispatches.
+     */
+    async restart({ abandonAfterMs }) {
+        if (!this.isRunning) return;
+        clearInterval(this.tickId);
+        this._tickGeneration++;
+        this._isTicking = false;
+        this._stats.restarts++;
+
+        const now = Date.now();
+        for (const [execution, { job, startedAt, controller }] of this._inFlight) {
+            if (now - startedAt < abandonAfterMs) continue;
+            this._inFlight.delete(execution);
+            logger.warn(`Abandoning ${job.type} job for ${job.key}, running for ${Math.round((now - startedAt) / 1000)}s.`);
+            controller.abort(new Error(`Abandoned after ${Math.round((now - startedAt) / 1000)}s`));
+            await this.store.complete(job, {})
+                .catch(error => logger.error(`Could not release ${job.type} job for ${job.key}:`, error));
+        }
+
+        this._lastTickAt = now;
+        this._startTicking();
+        this._tick().catch(err => logger.error('Error in scheduler tick:', err));
+    }
+
+    /**
+     * Stops dispatching new jobs and drains the running ones, so their
+     * results are saved and their leases released before shutdown.
+     */
+    async stop() {
+        this.isRunning = false;
+        if (this.tickId) {
+            clearInterval(this.tickId);
+            this.tickId = null;
+        }
+
+        if (!this._inFlight.size) return;
+        logger.info(`Draining ${this._inFlight.size} in-flight job(s)...`);
+
+        // Keep renewing leases while draining so slow jobs aren't picked up elsewhere
+        const renewId = setInterval(() => this._renewLeases(true), this.options.renewIntervalMs);
+        try {
+            await Promise.allSettled([...this._inFlight.keys()]);
+        } finally {
+            clearInterval(renewId);
+        }
+        logger.info('In-flight jobs drained.');
+    }
+
+    async schedule(type, key, runAt = new Date()) {
+        await this.store.add(type, key, runAt);
+    }
+
+    async unschedule(type, key) {
+        await this.store.remove(type, key);
+    }
+
+    getStats() {
+        return {
+            ...this._stats,
+            startedAt: this._startedAt ? new Date(this._startedAt).toISOString() : null,
+            lastTickAt: this._lastTickAt ? new Date(this._lastTickAt).toISOString() : null,
+            lastSuccessAt: Object.fromEntries([...this.types.keys()].map(type => [
+                type, this._lastSuccessAt.has(type) ? new Date(this._lastSuccessAt.get(type)).toISOString() : null
+            ])),
+            inFlight: this._inFlight.size,
+            concurrency: this.options.concurrency,
+            workerId: this.store.workerId || null,
+            currentCycleStartedAt: this._cycle ? new Date(this._cycle.startedAt).toISOString() : null
+        };
+    }
+
+    async _tick() {
+        if (this._isTicking || !this.isRunning) return;
+        this._isTicking = true;
+        const generation = this._tickGeneration;
+        const abandoned = () => generation !== this._tickGeneration;
+
+        try {
+            if (Date.now() - this._lastSyncAt >= this.options.syncIntervalMs) {
+                await this._sync();
+            }
+            await this._renewLeases();
+
+            const now = new Date();
+            const free = this.options.concurrency - this._inFlight.size;
+            if (free > 0) {
+                const jobs = await this.store.claimDue(now, free);
+                if (abandoned()) {
+                    await Promise.all(jobs.map(job => this.store.complete(job, {})));
+                    return;
+                }
+                if (jobs.length && !this._cycle) {
+                    this._cycle = { startedAt: now.getTime(), jobs: 0 };
+                }
+                jobs.forEach(job => this._run(job));
+            }
+
+            this._stats.queueDepth = await this.store.countDue(now);
+            this._stats.scheduledJobs = await this.store.count();
+            this._finishCycleIfIdle();
+        } finally {
+            // An abandoned tick must not unlock the ticks that replaced it
+            if (!abandoned()) {
+                this._isTicking = false;
+                this._lastTickAt = Date.now();
+            }
+        }
+    }
+
+    async _renewLeases(force = false) {
+        if (!this._inFlight.size || (!force && Date.now() - this._lastRenewAt < this.options.renewIntervalMs)) return;
+        this._lastRenewAt = Date.now();
+        try {
+            await this.store.renew([...this._inFlight.values()].map(({ job }) => job));
+        } catch (error) {
+            logger.error('Failed to renew job leases:', error);
+        }
+    }
+
+    async _sync() {
+        this._lastSyncAt = Date.now();
+        for (const [type, definition] of this.types) {
+            if (!definition.listKeys) continue;
+            try {
+                await this.store.sync(type, await definition.listKeys());
+            } catch (error) {
+                logger.error(`Failed to sync ${type} jobs:`, error);
+            }
+        }
+    }
+
+    _run(job) {
+        const definition = this.types.get(job.type);
+        const startedAt = Date.now();
+        const controller = new AbortController();
+        const { signal } = controller;
+
+        // Each run is one traceable unit: everything it logs shares a correlation ID
+        const execution = logger.withCorrelation({ job: job.type, key: job.key }, async () => {
+            let outcome;
+            try {
+                const result = await Promise.race([definition.handler(job.key, { signal }), rejectOnAbort(signal)]);
+                outcome = { ok: true, changed: result?.changed !== false, afterComplete: result?.afterComplete };
+                this._lastSuccessAt.set(job.type, Date.now());
+                logger.debug(`${job.type} job for ${job.key} finished.`, { changed: outcome.changed, durationMs: Date.now() - startedAt });
+            } catch (error) {
+                if (signal.aborted) return;
+                const attempt = (job.failures || 0) + 1;
+                logger.warn(`${job.type} job for ${job.key} failed (attempt ${attempt}): ${error.message}`, { attempt, durationMs: Date.now() - startedAt });
+                outcome = { ok: false, error: error.message };
+            }
+            // Once abandoned, restart() has released the lease; the run replacing this one records the outcome
+            if (signal.aborted) return;
+
+            this._stats[outcome.ok ? 'completedJobs' : 'failedJobs']++;
+            metrics.checkDuration.observe({ type: job.type, outcome: outcome.ok ? 'success' : 'error' }, (Date.now() - startedAt) / 1000);
+            await this.store.complete(job, this._nextState(job, definition, outcome, startedAt));
+            if (outcome.afterComplete) {
+                await outcome.afterComplete()
+                    .catch(error => logger.error(`Follow-up of ${job.type} job for ${job.key} failed:`, error));
+            }
+        })
+            .catch(error => logger.error(`Could not reschedule ${job.type} job for ${job.key}:`, error))
+            .finally(() => {
+                this._inFlight.delete(execution);
+                if (this._cycle) this._cycle.jobs++;
+            });
+
+        this._inFlight.set(execution, { job, startedAt, controller });
+    }
+
+    _nextState(job, definition, outcome, startedAt) {
+        const failures = outcome.ok ? 0 : (job.failures || 0) + 1;
+        let unchangedStreak = job.unchangedStreak || 0;
+        let intervalMs = definition.interval;
+
+        if (!outcome.ok) {
+            intervalMs = definition.interval * Math.pow(2, failures - 1);
+        } else if (outcome.changed) {
+            unchangedStreak = 0;
+        } else {
+            unchangedStreak++;
+            if (definition.adaptive && unchangedStreak >= definition.backoffAfter) {
+                intervalMs = definition.interval * Math.pow(2, unchangedStreak - definition.backoffAfter + 1);
+            }
+        }
+        intervalMs = Math.min(intervalMs, definition.maxInterval || definition.interval);
+
+        // Jitter keeps accounts added together from staying in lockstep
+        const jitter = Math.floor(Math.random() * intervalMs * this.options.jitterRatio);
+        const now = Date.now();
+        return {
+            nextRunAt: new Date(now + intervalMs + jitter),
+            intervalMs,
+            unchangedStreak,
+            failures,
+            lastRunAt: new Date(startedAt),
+            lastDurationMs: now - startedAt,
+            lastError: outcome.ok ? null : outcome.error
+        };
+    }
+
+    /**
+     * A cycle spans from the first due job being picked up until the queue
+     * is empty and every worker is idle again.
+     */
+    _finishCycleIfIdle() {
+        if (!this._cycle || this._stats.queueDepth > 0 || this._inFlight.size > 0) return;
+
+        const durationMs = Date.now() - this._cycle.startedAt;
+        Object.assign(this._stats, {
+            lastCycleDurationMs: durationMs,
+            lastCycleJobs: this._cycle.jobs,
+            lastCycleCompletedAt: new Date().toISOString()
+        });
+        metrics.checkCycleDuration.observe(durationMs / 1000);
+        logger.debug(`Check cycle completed: ${this._cycle.jobs} job(s) in ${(durationMs / 1000).toFixed(1)}s.`, { jobs: this._cycle.jobs, durationMs });
+        this._cycle = null;
+    }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,94 @@
+/**
+ * In-process job store: one job per (type, key) with its next run time and
+ * backoff state. Jobs are lost on restart and everything is due again.
+ */
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+        this._leases = 0;
+    }
+
+    /**
+     * Makes the jobs of `type` match `keys`: missing ones are added (due
+     * immediately) and jobs for keys no longer present are dropped.
+     */
+    async sync(type, keys, now = new Date()) {
+        const wanted = new Set(keys);
+        for (const [id, job] of this.jobs) {
+            if (job.type === type && !wanted.has(job.key) && !job.running) this.jobs.delete(id);
+        }
+        for (const key of wanted) {
+            if (!this.jobs.has(this._id(type, key))) await this.add(type, key, now);
+        }
+    }
+
+    async add(type, key, runAt = new Date()) {
+        const id = this._id(type, key);
+        const existing = this.jobs.get(id);
+        if (existing) {
+            if (runAt < existing.nextRunAt) existing.nextRunAt = runAt;
+            return;
+        }
+        this.jobs.set(id, {
+            type,
+            key,
+            nextRunAt: runAt,
+            intervalMs: null,
+            unchangedStreak: 0,
+            failures: 0,
+            lastRunAt: null,
+            lastDurationMs: null,
+            lastError: null,
+            running: false,
+            leaseToken: null
+        });
+    }
+
+    async remove(type, key) {
+        this.jobs.delete(this._id(type, key));
+    }
+
+    /**
+     * Marks up to `limit` due jobs as running, most overdue first. Each
+     * claim gets its own lease token; only the run holding it can complete
+     * the job.
+     */
+    async claimDue(now, limit) {
+        const due = [...this.jobs.values()]
+            .filter(job => !job.running && job.nextRunAt <= now)
+            .sort((a, b) => a.nextRunAt - b.nextRunAt)
+            .slice(0, limit);
+        return due.map(job => {
+            Object.assign(job, { running: true, leaseToken: ++this._leases });
+            return { ...job };
+        });
+    }
+
+    // Nothing else can claim in-process jobs, so there are no leases to renew.
+    async renew() {}
+
+    async complete(job, update) {
+        const stored = this.jobs.get(this._id(job.type, job.key));
+        if (stored && stored.leaseToken === job.leaseToken) {
+            Object.assign(stored, update, { running: false, leaseToken: null });
+        }
+    }
+
+    async countDue(now) {
+        let count = 0;
+        for (const job of this.jobs.values()) {
+            if (!job.running && job.nextRunAt <= now) count++;
+        }
+        return count;
+    }
+
+    async count() {
+        return this.jobs.size;
+    }
+
+    _id(type, key) {
+        return `${type}:${key}`;
+    }
+}
+
+module.exports = MemoryJobStore;
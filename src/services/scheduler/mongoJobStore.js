@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const os = require('os');
+const { ScheduledJob } = require('../../models/models');
+const logger = require('../../utils/logger').child({ module: 'scheduler.store' });
+
+/**
+ * Job store shared by every replica through MongoDB. A job is claimed by
+ * atomically setting a lease (lockedBy/lockedUntil) on it, so each run
+ * happens on exactly one worker. Running jobs have their lease renewed;
+ * if a worker dies, its leases expire and the jobs become due elsewhere.
+ *
+ * Every claim carries its own leaseToken, and only the run holding it can
+ * renew or complete the job: a run this worker abandoned and released
+ * cannot overwrite the state of the run that replaced it.
+ */
+class MongoJobStore {
+    constructor({ leaseMs }) {
+        this.leaseMs = leaseMs;
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    async sync(type, keys, now = new Date()) {
+        if (keys.length) {
+            await ScheduledJob.bulkWrite(keys.map(key => ({
+                updateOne: {
+                    filter: { type, key },
+                    update: { $setOnInsert: { type, key, nextRunAt: now } },
+                    upsert: true
+                }
+            })), { ordered: false });
+        }
+
+        // Leased jobs are left alone; they are removed on the next sync after they finish
+        await ScheduledJob.deleteMany({ type, key: { $nin: keys }, ...this._unleased(now) });
+    }
+
+    async add(type, key, runAt = new Date()) {
+        // $min keeps an earlier run time if the job already exists
+        await ScheduledJob.updateOne(
+            { type, key },
+            { $min: { nextRunAt: runAt }, $setOnInsert: { type, key } },
+            { upsert: true }
+        );
+    }
+
+    async remove(type, key) {
+        await ScheduledJob.deleteOne({ type, key });
+    }
+
+    async claimDue(now, limit) {
+        const claimed = [];
+        while (claimed.length < limit) {
+            const lease = {
+                lockedBy: this.workerId,
+                lockedUntil: new Date(now.getTime() + this.leaseMs),
+                leaseToken: crypto.randomUUID()
+            };
+            const previous = await ScheduledJob.findOneAndUpdate(
+                { nextRunAt: { $lte: now }, ...this._unleased(now) },
+                lease,
+                { sort: { nextRunAt: 1 }, new: false, lean: true }
+            );
+            if (!previous) break;
+            if (previous.lockedBy) {
+                logger.info(`Resuming ${previous.type} job for ${previous.key} abandoned by worker ${previous.lockedBy}.`);
+            }
+            claimed.push({ ...previous, ...lease });
+        }
+        return claimed;
+    }
+
+    /**
+     * Extends the leases of jobs this worker is still running.
+     */
+    async renew(jobs) {
+        if (!jobs.length) return;
+        await ScheduledJob.updateMany(
+            { _id: { $in: jobs.map(job => job._id) }, leaseToken: { $in: jobs.map(job => job.leaseToken) } },
+            { lockedUntil: new Date(Date.now() + this.leaseMs) }
+        );
+    }
+
+    async complete(job, update) {
+        const result = await ScheduledJob.updateOne(
+            { _id: job._id, leaseToken: job.leaseToken },
+            { $set: { ...update, lockedBy: null, lockedUntil: null, leaseToken: null } }
+        );
+        if (result.matchedCount === 0) {
+            logger.warn(`Lease on ${job.type} job for ${job.key} was lost before it completed; another worker may have rerun it.`);
+        }
+    }
+
+    async countDue(now) {
+        return ScheduledJob.countDocuments({ nextRunAt: { $lte: now }, ...this._unleased(now) });
+    }
+
+    async count() {
+        return ScheduledJob.estimatedDocumentCount();
+    }
+
+    _unleased(now) {
+        return { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+    }
+}
+
+module.exports = MongoJobStore;
@@ -0,0 +1,30 @@
+const config = require('../../config/config');
+const LocalStorageBackend = require('./local');
+const S3StorageBackend = require('./s3');
+
+/**
+ * Builds the archive storage backend selected by ARCHIVE_BACKEND.
+ * Returns null when archiving is disabled.
+ */
+function createStorageBackend(options = config.ARCHIVE) {
+    switch (options.BACKEND) {
+        case 'none':
+            return null;
+        case 'local':
+            return new LocalStorageBackend({ directory: options.LOCAL_DIR });
+        case 's3':
+            return new S3StorageBackend({
+                endpoint: options.S3.ENDPOINT,
+                region: options.S3.REGION,
+                bucket: options.S3.BUCKET,
+                accessKeyId: options.S3.ACCESS_KEY_ID,
+                secretAccessKey: options.S3.SECRET_ACCESS_KEY,
+                forcePathStyle: options.S3.FORCE_PATH_STYLE,
+                timeout: options.TIMEOUT_MS
+            });
+        default:
+            throw new Error(`Unknown archive backend '${options.BACKEND}' (expected local, s3 or none)`);
+    }
+}
+
+module.exports = { createStorageBackend, LocalStorageBackend, S3StorageBackend };
@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Stores archived media as plain files below a base directory.
+ */
+class LocalStorageBackend {
+    constructor({ directory }) {
+        this.name = 'local';
+        this.directory = path.resolve(directory);
+    }
+
+    async put(key, buffer) {
+        const filePath = this._resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        // Write to a temp file first so a crash never leaves a truncated object behind
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, buffer);
+        await fs.rename(tempPath, filePath);
+    }
+
+    async get(key) {
+        return fs.readFile(this._resolve(key));
+    }
+
+    async exists(key) {
+        try {
+            await fs.access(this._resolve(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async delete(key) {
+        await fs.rm(this._resolve(key), { force: true });
+    }
+
+    _resolve(key) {
+        const filePath = path.resolve(this.directory, key);
+        if (!filePath.startsWith(this.directory + path.sep)) {
+            throw new Error(`Storage key escapes the archive directory: ${key}`);
+        }
+        return filePath;
+    }
+}
+
+module.exports = LocalStorageBackend;
@@ -0,0 +1,133 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+function encodeSegment(segment) {
+    return encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Minimal client for S3-compatible object stores (AWS S3, MinIO, R2, ...),
+ * signing requests with AWS Signature Version 4. Only the four object
+ * operations the archiver needs are implemented.
+ */
+class S3StorageBackend {
+    constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, timeout }) {
+        if (!bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('S3 archive storage needs ARCHIVE_S3_BUCKET, ARCHIVE_S3_ACCESS_KEY_ID and ARCHIVE_S3_SECRET_ACCESS_KEY');
+        }
+
+        this.name = 's3';
+        this.region = region;
+        this.bucket = bucket;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.forcePathStyle = forcePathStyle;
+        this.timeout = timeout;
+        this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    }
+
+    async put(key, buffer, contentType) {
+        const response = await this._request('PUT', key, buffer, { 'content-type': contentType || 'application/octet-stream' });
+        this._assertOk(response, 'PUT', key);
+    }
+
+    async get(key) {
+        const response = await this._request('GET', key);
+        this._assertOk(response, 'GET', key);
+        return Buffer.from(response.data);
+    }
+
+    async exists(key) {
+        const response = await this._request('HEAD', key);
+        if (response.status === 404) return false;
+        this._assertOk(response, 'HEAD', key);
+        return true;
+    }
+
+    async delete(key) {
+        const response = await this._request('DELETE', key);
+        // Deleting a missing key is not an error in S3 either
+        if (response.status !== 404) this._assertOk(response, 'DELETE', key);
+    }
+
+    async _request(method, key, body = null, extraHeaders = {}) {
+        const url = this._objectUrl(key);
+        const headers = this._sign(method, url, body, extraHeaders);
+
+        return axios({
+            method,
+            url: url.toString(),
+            data: body,
+            headers,
+            timeout: this.timeout,
+            responseType: 'arraybuffer',
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            validateStatus: () => true
+        });
+    }
+
+    _objectUrl(key) {
+        const encodedKey = key.split('/').map(encodeSegment).join('/');
+        const url = new URL(this.endpoint.toString());
+        const basePath = url.pathname.replace(/\/$/, '');
+
+        if (this.forcePathStyle) {
+            url.pathname = `${basePath}/${encodeSegment(this.bucket)}/${encodedKey}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = `${basePath}/${encodedKey}`;
+        }
+        return url;
+    }
+
+    _sign(method, url, body, extraHeaders) {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+
+        const headers = {
+            ...extraHeaders,
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const signedHeaderNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+        const canonicalHeaders = signedHeaderNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+        const signedHeaders = signedHeaderNames.join(';');
+
+        const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+        const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            (key, part) => hmac(key, part),
+            hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+        );
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        // axios sets Host itself from the URL
+        delete headers.host;
+        headers.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+        return headers;
+    }
+
+    _assertOk(response, method, key) {
+        if (response.status >= 200 && response.status < 300) return;
+        const detail = Buffer.from(response.data || '').toString('utf8').match(/<Code>([^<]+)<\/Code>/)?.[1];
+        throw new Error(`S3 ${method} ${key} failed with HTTP ${response.status}${detail ? ` (${detail})` : ''}`);
+    }
+}
+
+module.exports = S3StorageBackend;
@@ -1,10 +1,23 @@
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 const config = require('../config/config');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child({ module: 'telegram' });
 
+const SECRET_TOKEN_HEADER = 'x-telegram-bot-api-secret-token';
+
+/**
+ * Owns the Telegram bot instance. Updates arrive by long polling, or, when
+ * TELEGRAM_WEBHOOK_URL is set, as webhook calls to a secret path on the
+ * existing Express server (see `createWebhookHandler`).
+ */
 class TelegramService {
     constructor() {
         this.bot = null;
+        this.mode = config.TELEGRAM.WEBHOOK_URL ? 'webhook' : 'polling';
+        this.webhookPath = null;
+        this.webhookActive = false;
+        this._secretToken = null;
+        this._polling = { startedAt: null, lastAttemptAt: null, lastPollAt: null, consecutiveErrors: 0, lastError: null, restarts: 0 };
     }
 
     initialize() {
@@ -13,8 +26,19 @@ class TelegramService {
             return this.bot;
         }
 
-        this.bot = new TelegramBot(config.TELEGRAM.BOT_TOKEN, { polling: true });
-        logger.info('Telegram bot initialized');
+        if (this.mode === 'webhook') {
+            const token = config.TELEGRAM.BOT_TOKEN || '';
+            this.webhookPath = `/telegram/${config.TELEGRAM.WEBHOOK_PATH_SECRET || this._deriveSecret(token, 'path').slice(0, 32)}`;
+            this._secretToken = config.TELEGRAM.WEBHOOK_SECRET_TOKEN || this._deriveSecret(token, 'secret-token');
+            this.bot = new TelegramBot(config.TELEGRAM.BOT_TOKEN, { polling: false });
+        } else {
+            // Started by hand so the first getUpdates call is already tracked
+            this.bot = new TelegramBot(config.TELEGRAM.BOT_TOKEN, { polling: { autoStart: false } });
+            this._trackPolling(this.bot);
+            this.bot.startPolling();
+        }
+        this._traceUpdates(this.bot);
+        logger.info(`Telegram bot initialized (${this.mode} mode)`);
         return this.bot;
     }
 
@@ -25,10 +49,99 @@ class TelegramService {
         return this.bot;
     }
 
+    /**
+     * Express handler for the webhook route. Rejects requests without the
+     * secret token Telegram echoes back, then hands the update to the bot.
+     */
+    createWebhookHandler() {
+        return (req, res) => {
+            if (!this._isValidSecretToken(req.get(SECRET_TOKEN_HEADER))) {
+                logger.warn(`Rejected Telegram webhook call from ${req.ip}: bad secret token.`);
+                return res.sendStatus(401);
+            }
+            if (!req.body || typeof req.body.update_id !== 'number') {
+                return res.sendStatus(400);
+            }
+
+            // Acknowledge right away; Telegram retries (and stalls the chat) on slow replies
+            res.sendStatus(200);
+            try {
+                this.bot.processUpdate(req.body);
+            } catch (error) {
+                this.bot.emit('webhook_error', error);
+            }
+        };
+    }
+
+    /**
+     * Registers the webhook with Telegram. Call once the HTTP server is listening.
+     */
+    async startWebhook() {
+        if (this.mode !== 'webhook' || !this.bot) return;
+
+        const url = `${config.TELEGRAM.WEBHOOK_URL}${this.webhookPath}`;
+        await this.bot.setWebHook(url, {
+            secret_token: this._secretToken,
+            max_connections: config.TELEGRAM.WEBHOOK_MAX_CONNECTIONS
+        });
+        this.webhookActive = true;
+        logger.info(`Telegram webhook registered under ${config.TELEGRAM.WEBHOOK_URL}`);
+    }
+
+    getStatus() {
+        if (this.mode === 'webhook') {
+            return { status: this.webhookActive ? 'UP' : 'DOWN', details: { mode: this.mode } };
+        }
+
+        const { startedAt, lastAttemptAt, lastPollAt, ...polling } = this._polling;
+        return {
+            status: !this.bot || this.bot.isPolling() ? 'UP' : 'DOWN',
+            details: {
+                mode: this.mode,
+                polling: this.bot ? this.bot.isPolling() : null,
+                lastPollAt: lastPollAt ? new Date(lastPollAt).toISOString() : null,
+                ...polling
+            }
+        };
+    }
+
+    /**
+     * True when the polling loop has stopped or no getUpdates call has
+     * returned for `stallMs`; long polls come back every few seconds even
+     * without updates. Failing calls mean Telegram is unreachable, not that
+     * the loop is stuck. Never true for a bot this service didn't start,
+     * like the one the tests inject.
+     */
+    isPollingStalled(stallMs) {
+        if (this.mode !== 'polling' || !this.bot || !this._polling.startedAt) return false;
+        if (!this.bot.isPolling()) return true;
+        return Date.now() - (this._polling.lastAttemptAt || this._polling.startedAt) > stallMs;
+    }
+
+    // Consecutive failed getUpdates calls, 0 while polling works
+    getPollingErrors() {
+        return this.mode === 'polling' ? this._polling.consecutiveErrors : 0;
+    }
+
+    async restartPolling() {
+        this._polling.restarts++;
+        this._polling.startedAt = Date.now();
+        // restart cancels a hung request instead of waiting for it
+        await this.bot.startPolling({ restart: true });
+    }
+
     async stop() {
         if (this.bot) {
             try {
-                await this.bot.stopPolling();
+                if (this.mode === 'webhook') {
+                    if (this.webhookActive && config.TELEGRAM.WEBHOOK_DELETE_ON_SHUTDOWN) {
+                        await this.bot.deleteWebHook();
+                        logger.info('Telegram webhook deleted');
+                    }
+                    this.webhookActive = false;
+                } else {
+                    await this.bot.stopPolling();
+                }
                 this.bot = null;
                 logger.info('Telegram bot stopped');
             } catch (error) {
@@ -37,6 +150,55 @@ class TelegramService {
             }
         }
     }
+
+    /**
+     * getUpdates is the polling loop's only call, so its outcomes are the
+     * loop's health. The library cancels the returned (Bluebird) promise on
+     * restart, so the original chain is kept rather than wrapped in async.
+     */
+    _trackPolling(bot) {
+        const getUpdates = bot.getUpdates.bind(bot);
+        this._polling.startedAt = Date.now();
+        bot.getUpdates = (...args) => getUpdates(...args).then(updates => {
+            const now = Date.now();
+            Object.assign(this._polling, { lastAttemptAt: now, lastPollAt: now, consecutiveErrors: 0, lastError: null });
+            return updates;
+        }, error => {
+            this._polling.lastAttemptAt = Date.now();
+            this._polling.consecutiveErrors++;
+            this._polling.lastError = error.message;
+            throw error;
+        });
+    }
+
+    /**
+     * Polling and webhook updates both pass through processUpdate, so each
+     * one gets its own correlation ID there, along with its chat and sender.
+     */
+    _traceUpdates(bot) {
+        const processUpdate = bot.processUpdate.bind(bot);
+        bot.processUpdate = update => {
+            const source = update.message || update.edited_message || update.channel_post || update.callback_query || {};
+            const chat = source.chat || source.message?.chat;
+            return logger.withCorrelation({
+                updateId: update.update_id,
+                chatId: chat?.id,
+                userId: source.from?.id
+            }, () => processUpdate(update));
+        };
+    }
+
+    _isValidSecretToken(value) {
+        if (typeof value !== 'string') return false;
+        const expected = Buffer.from(this._secretToken);
+        const actual = Buffer.from(value);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    // Telegram only accepts [A-Za-z0-9_-] in secret tokens; hex fits
+    _deriveSecret(token, purpose) {
+        return crypto.createHmac('sha256', token).update(`telegram-webhook:${purpose}`).digest('hex');
+    }
 }
 
 module.exports = new TelegramService();
@@ -0,0 +1,211 @@
+const { MonitoredUser, ChatQuota, UsageCounter } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'usage' });
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const API_CALL_FIELDS = { profile: 'profileApiCalls', story: 'storyApiCalls' };
+const COUNTER_FIELDS = ['profileApiCalls', 'storyApiCalls', 'notifications', 'mediaBytes'];
+
+/**
+ * Per-chat account quotas and usage accounting (upstream API calls,
+ * notifications and media bytes delivered), persisted in daily buckets.
+ */
+class UsageService {
+    constructor(bot) {
+        this.bot = bot;
+        this.superUsers = config.TELEGRAM.AUTHORIZED_USERS;
+        this.defaults = {
+            maxAccounts: config.QUOTAS.MAX_ACCOUNTS_PER_CHAT,
+            maxAccountsPerUser: config.QUOTAS.MAX_ACCOUNTS_PER_USER
+        };
+    }
+
+    /**
+     * Bytes of media in a sent Telegram message (or media group), as reported
+     * back by Telegram. Photos count their largest size only.
+     */
+    static mediaBytes(sent) {
+        const messages = Array.isArray(sent) ? sent : [sent];
+        return messages.reduce((total, message) => {
+            if (!message) return total;
+            const photo = Array.isArray(message.photo) ? message.photo[message.photo.length - 1] : null;
+            const file = photo || message.video || message.animation || message.document;
+            return total + (file?.file_size || 0);
+        }, 0);
+    }
+
+    /**
+     * Splits `calls` upstream requests for `username` evenly between the
+     * chats monitoring it.
+     */
+    async recordApiCalls(username, kind, calls) {
+        if (!calls) return;
+        const chatIds = await MonitoredUser.distinct('chatId', { username });
+        if (!chatIds.length) return;
+
+        const share = calls / chatIds.length;
+        await Promise.all(chatIds.map(chatId => this._increment(chatId, { [API_CALL_FIELDS[kind]]: share })));
+    }
+
+    /**
+     * Records a notification delivered to a chat. `sent` is whatever the Bot
+     * API returned (a Message, or an array of them for media groups).
+     */
+    async recordDelivery(chatId, sent) {
+        const messages = Array.isArray(sent) ? sent.length : 1;
+        await this._increment(chatId.toString(), { notifications: messages, mediaBytes: UsageService.mediaBytes(sent) });
+    }
+
+    async getUsage(chatId, since = null, until = null) {
+        const match = { chatId };
+        if (since || until) {
+            match.day = {};
+            if (since) match.day.$gte = this._day(since);
+            if (until) match.day.$lte = this._day(until);
+        }
+        const [totals] = await UsageCounter.aggregate([
+            { $match: match },
+            { $group: { _id: null, ...Object.fromEntries(COUNTER_FIELDS.map(field => [field, { $sum: `$${field}` }])) } }
+        ]);
+        return this._normalizeTotals(totals);
+    }
+
+    /**
+     * Usage of every chat in the window, highest API consumers first.
+     */
+    async getAllUsage(since = null, until = null) {
+        const match = {};
+        if (since || until) {
+            match.day = {};
+            if (since) match.day.$gte = this._day(since);
+            if (until) match.day.$lte = this._day(until);
+        }
+        const rows = await UsageCounter.aggregate([
+            { $match: match },
+            { $group: { _id: '$chatId', ...Object.fromEntries(COUNTER_FIELDS.map(field => [field, { $sum: `$${field}` }])) } },
+            { $sort: { profileApiCalls: -1, storyApiCalls: -1 } }
+        ]);
+        return rows.map(row => ({ chatId: row._id, ...this._normalizeTotals(row) }));
+    }
+
+    async getQuota(chatId) {
+        const quota = await ChatQuota.findOne({ chatId }).lean();
+        return {
+            maxAccounts: quota?.maxAccounts ?? this.defaults.maxAccounts,
+            maxAccountsPerUser: quota?.maxAccountsPerUser ?? this.defaults.maxAccountsPerUser,
+            isDefault: !quota
+        };
+    }
+
+    /**
+     * Sets a chat's limits. Passing null for a field restores the default.
+     */
+    async setQuota(chatId, { maxAccounts, maxAccountsPerUser }, updatedBy) {
+        const update = { $set: { updatedBy }, $unset: {} };
+        for (const [field, value] of Object.entries({ maxAccounts, maxAccountsPerUser })) {
+            if (value === undefined) continue;
+            if (value === null) update.$unset[field] = 1;
+            else update.$set[field] = value;
+        }
+        if (!Object.keys(update.$unset).length) delete update.$unset;
+        await ChatQuota.findOneAndUpdate({ chatId }, update, { upsert: true, runValidators: true });
+        logger.info(`Quota for chat ${chatId} updated by ${updatedBy}: ${JSON.stringify({ maxAccounts, maxAccountsPerUser })}`);
+        return this.getQuota(chatId);
+    }
+
+    /**
+     * Checks whether `userId` may add another account to `chatId`.
+     * Resolves to null when allowed, or to a human-readable reason.
+     * `replacing` is the _id of a subscription the new one takes the place
+     * of, which doesn't count against the limits.
+     */
+    async checkAccountQuota(chatId, userId, { replacing = null } = {}) {
+        const quota = await this.getQuota(chatId);
+        const others = replacing ? { _id: { $ne: replacing } } : {};
+
+        if (quota.maxAccounts > 0) {
+            const chatCount = await MonitoredUser.countDocuments({ chatId, ...others });
+            if (chatCount >= quota.maxAccounts) {
+                return `This chat already monitors ${chatCount} of ${quota.maxAccounts} allowed accounts.`;
+            }
+        }
+
+        // API clients and bot-wide admins are only bound by the chat limit
+        const exempt = userId.startsWith('api:') || this.superUsers.has(parseInt(userId, 10));
+        if (quota.maxAccountsPerUser > 0 && !exempt) {
+            const userCount = await MonitoredUser.countDocuments({ chatId, addedByUserId: userId, ...others });
+            if (userCount >= quota.maxAccountsPerUser) {
+                return `You have already added ${userCount} of ${quota.maxAccountsPerUser} accounts allowed per user in this chat.`;
+            }
+        }
+        return null;
+    }
+
+    async sendUsageReport(chatId, userId) {
+        const now = new Date();
+        const [quota, chatCount, userCount, today, last30Days, allTime] = await Promise.all([
+            this.getQuota(chatId),
+            MonitoredUser.countDocuments({ chatId }),
+            MonitoredUser.countDocuments({ chatId, addedByUserId: userId }),
+            this.getUsage(chatId, now, now),
+            this.getUsage(chatId, new Date(now.getTime() - 29 * DAY_MS), now),
+            this.getUsage(chatId)
+        ]);
+
+        const limit = value => (value > 0 ? value : '∞');
+        const lines = [
+            '📊 *Usage for this chat*',
+            '',
+            `📋 Accounts: ${chatCount}/${limit(quota.maxAccounts)} (yours: ${userCount}/${limit(quota.maxAccountsPerUser)})`,
+            '',
+            this._formatUsageLine('Today (UTC)', today),
+            this._formatUsageLine('Last 30 days', last30Days),
+            this._formatUsageLine('All time', allTime),
+            '',
+            '_API calls for accounts shared with other chats are split between them._'
+        ];
+        await this.bot.sendMessage(chatId, lines.join('\n'), { parse_mode: 'Markdown' });
+    }
+
+    _formatUsageLine(label, usage) {
+        return `*${label}:* 🔎 ${this._formatCalls(usage.profileApiCalls)} profile + ${this._formatCalls(usage.storyApiCalls)} story calls · ` +
+            `🔔 ${usage.notifications.toLocaleString()} notifications · 📦 ${this._formatBytes(usage.mediaBytes)}`;
+    }
+
+    _formatCalls(value) {
+        return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1);
+    }
+
+    _formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+    }
+
+    _normalizeTotals(totals) {
+        return Object.fromEntries(COUNTER_FIELDS.map(field => {
+            const value = totals?.[field] || 0;
+            // Rounds away floating point noise from fractional API call shares
+            return [field, Math.round(value * 1000) / 1000];
+        }));
+    }
+
+    async _increment(chatId, counters) {
+        await UsageCounter.updateOne(
+            { chatId, day: this._day(new Date()) },
+            { $inc: counters },
+            { upsert: true }
+        ).catch(error => logger.warn(`Could not record usage for chat ${chatId}: ${error.message}`));
+    }
+
+    _day(date) {
+        return new Date(date).toISOString().substring(0, 10);
+    }
+}
+
+module.exports = UsageService;
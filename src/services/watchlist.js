@@ -0,0 +1,228 @@
+const { MonitoredUser } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'watchlist' });
+const config = require('../config/config');
+const { escapeMarkdown } = require('../utils/markdown');
+const MonitorService = require('./monitor');
+
+const LIST_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8' },
+    txt: { contentType: 'text/plain; charset=utf-8' }
+};
+const INSTAGRAM_URL = /^(?:https?:\/\/)?(?:www\.)?instagram\.com\/([^/?#\s]+)/i;
+// Invalid entries listed back to the user; the rest are only counted
+const MAX_REPORTED_INVALID = 10;
+
+class ImportFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportFileError';
+    }
+}
+
+/**
+ * Turns "@name", "name" or a profile URL into a lowercase username.
+ * Returns the cleaned entry either way; validation is up to the caller.
+ */
+function normalizeEntry(entry) {
+    let value = entry.trim().replace(/^["']|["']$/g, '').trim();
+    const url = INSTAGRAM_URL.exec(value);
+    if (url) value = url[1];
+    return value.replace(/^@/, '').toLowerCase();
+}
+
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells;
+}
+
+/**
+ * Extracts the entries of a pasted list or an uploaded file. Tables with a
+ * `username` header column (e.g. /exportlist output) and CSV files only
+ * use that column, or the first one; anything else is split on whitespace,
+ * commas and semicolons.
+ */
+function parseList(text, { csv = false } = {}) {
+    const lines = text.replace(/^\ufeff/, '').split(/\r?\n/).filter(line => line.trim());
+    if (!lines.length) return [];
+
+    const header = splitCsvLine(lines[0]).map(cell => cell.trim().toLowerCase());
+    const column = header.indexOf('username');
+    if (column !== -1) {
+        return lines.slice(1).map(line => splitCsvLine(line)[column] || '').filter(entry => entry.trim());
+    }
+    if (csv) {
+        return lines.map(line => splitCsvLine(line)[0] || '').filter(entry => entry.trim());
+    }
+    return text.split(/[\s,;]+/).filter(Boolean);
+}
+
+/**
+ * Bulk management of a chat's monitoring list: /import registers many
+ * accounts at once and leaves their first checks to the scheduler,
+ * /exportlist sends the list back as a file that /import accepts.
+ */
+class WatchlistService {
+    constructor(bot, monitorService) {
+        this.bot = bot;
+        this.monitorService = monitorService;
+        this.maxAccounts = config.IMPORT.MAX_ACCOUNTS;
+        this.maxFileBytes = config.IMPORT.MAX_FILE_BYTES;
+    }
+
+    static get formats() {
+        return Object.keys(LIST_FORMATS);
+    }
+
+    async handleImport(chatId, userId, text) {
+        await this._import(chatId, userId, parseList(text));
+    }
+
+    async handleImportDocument(chatId, userId, document) {
+        const fileName = document.file_name || '';
+        const isCsv = /\.csv$/i.test(fileName) || /csv/i.test(document.mime_type || '');
+        if (!isCsv && !/\.txt$/i.test(fileName) && !/^text\//i.test(document.mime_type || '')) {
+            await this.bot.sendMessage(chatId, '⚠️ Please upload a .csv or .txt file with one username per line.');
+            return;
+        }
+
+        let text;
+        try {
+            text = await this._download(document);
+        } catch (error) {
+            if (!(error instanceof ImportFileError)) throw error;
+            await this.bot.sendMessage(chatId, `⚠️ ${error.message}`);
+            return;
+        }
+        await this._import(chatId, userId, parseList(text, { csv: isCsv }));
+    }
+
+    /**
+     * Sends the chat's monitored accounts as a CSV (username, addedAt,
+     * addedByUserId) or TXT (one username per line) document.
+     */
+    async sendList(chatId, format = 'csv') {
+        const users = await MonitoredUser.find({ chatId }).sort({ username: 1 }).lean();
+        if (!users.length) {
+            await this.bot.sendMessage(chatId, '📝 No accounts are currently being monitored. Use /add or /import to add some!');
+            return;
+        }
+
+        const content = format === 'txt'
+            ? users.map(user => user.username).join('\n') + '\n'
+            : ['username,addedAt,addedByUserId', ...users.map(user =>
+                [user.username, user.createdAt ? user.createdAt.toISOString() : '', user.addedByUserId || ''].join(','))].join('\r\n') + '\r\n';
+        const stamp = new Date().toISOString().substring(0, 10).replace(/-/g, '');
+
+        await this.bot.sendDocument(chatId, Buffer.from(content, 'utf8'), {
+            caption: `📋 ${users.length} monitored account(s). Send this file back with /import to restore the list.`
+        }, {
+            filename: `watchlist-${stamp}.${format}`,
+            contentType: LIST_FORMATS[format].contentType
+        });
+        logger.info(`Sent ${format} watchlist (${users.length} accounts) to chat ${chatId}.`);
+    }
+
+    async _import(chatId, userId, entries) {
+        const usernames = [];
+        const invalid = [];
+        let duplicates = 0;
+        for (const entry of entries) {
+            const username = normalizeEntry(entry);
+            if (!MonitorService.isValidUsername(username)) {
+                invalid.push(entry.trim());
+            } else if (usernames.includes(username)) {
+                duplicates++;
+            } else {
+                usernames.push(username);
+            }
+        }
+
+        if (!usernames.length) {
+            await this.bot.sendMessage(chatId, invalid.length
+                ? `⚠️ No valid usernames found. ${this._describeInvalid(invalid)}`
+                : '⚠️ Usage: /import followed by usernames (one per line, or separated by spaces or commas), or send a .csv/.txt file with /import as its caption.',
+            { parse_mode: 'Markdown' });
+            return;
+        }
+        if (usernames.length > this.maxAccounts) {
+            await this.bot.sendMessage(chatId, `⚠️ This list has ${usernames.length} accounts; one import is limited to ${this.maxAccounts}. Please split it up.`);
+            return;
+        }
+
+        await this.bot.sendChatAction(chatId, 'typing').catch(() => {});
+        const added = [];
+        const existing = [];
+        const blocked = [];
+        let quotaReason = null;
+        // Keep going after the quota is hit so existing accounts are still reported as such
+        for (const username of usernames) {
+            const { status, reason } = await this.monitorService.registerAccount(username, chatId, userId, { imported: true });
+            if (status === 'added') {
+                added.push(username);
+            } else if (status === 'exists') {
+                existing.push(username);
+            } else if (status === 'quota_exceeded') {
+                blocked.push(username);
+                quotaReason = reason;
+            }
+        }
+        logger.info(`Imported ${added.length} of ${usernames.length} account(s) into chat ${chatId} for user ${userId}` +
+            ` (${existing.length} existing, ${blocked.length} over quota, ${invalid.length} invalid, ${duplicates} duplicate).`);
+
+        const lines = [`📥 *Import finished*`, '', `✅ Added: ${added.length}`];
+        if (existing.length) lines.push(`↩️ Already monitored: ${existing.length}`);
+        if (duplicates) lines.push(`🔁 Duplicates skipped: ${duplicates}`);
+        if (invalid.length) lines.push(`❌ ${this._describeInvalid(invalid)}`);
+        if (blocked.length) lines.push(`🚫 Not added (quota): ${blocked.length} — ${escapeMarkdown(quotaReason)}`);
+        if (added.length) lines.push('', '⏳ Initial checks run in the background; new accounts show up in /list right away.');
+        await this.bot.sendMessage(chatId, lines.join('\n'), { parse_mode: 'Markdown' });
+    }
+
+    _describeInvalid(invalid) {
+        const shown = invalid.slice(0, MAX_REPORTED_INVALID).map(entry => `\`${entry.substring(0, 40).replace(/`/g, "'")}\``);
+        const more = invalid.length > MAX_REPORTED_INVALID ? ` and ${invalid.length - MAX_REPORTED_INVALID} more` : '';
+        return `Invalid entries: ${invalid.length} (${shown.join(', ')}${more})`;
+    }
+
+    async _download(document) {
+        if (document.file_size && document.file_size > this.maxFileBytes) {
+            throw new ImportFileError(`Import files are limited to ${Math.round(this.maxFileBytes / 1024)} KB.`);
+        }
+
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of this.bot.getFileStream(document.file_id)) {
+            size += chunk.length;
+            if (size > this.maxFileBytes) {
+                throw new ImportFileError(`Import files are limited to ${Math.round(this.maxFileBytes / 1024)} KB.`);
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    }
+}
+
+module.exports = WatchlistService;
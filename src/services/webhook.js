@@ -0,0 +1,254 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { MonitoredUser, Webhook, WebhookDeadLetter } = require('../models/models');
+const logger = require('../utils/logger').child({ module: 'webhook' });
+const config = require('../config/config');
+const { escapeMarkdown } = require('../utils/markdown');
+const { isPublicHttpUrl, publicAgents } = require('../utils/publicHost');
+
+class WebhookService {
+    constructor(bot) {
+        this.bot = bot;
+        this._inFlight = new Set();
+        this._backoffs = new Map(); // retry timer -> resolve of its wait
+        this._draining = false;
+        this.options = {
+            timeout: config.WEBHOOKS.TIMEOUT_MS,
+            maxAttempts: config.WEBHOOKS.MAX_ATTEMPTS,
+            backoffBase: config.WEBHOOKS.BACKOFF_BASE_MS,
+            backoffMax: config.WEBHOOKS.BACKOFF_MAX_MS
+        };
+    }
+
+    /**
+     * Queues `event` for every active webhook interested in `username`: the
+     * global ones plus those registered in chats that monitor the account.
+     * Delivery happens in the background so monitoring is never held up.
+     */
+    async emit(event, username, data) {
+        const chatIds = await MonitoredUser.distinct('chatId', { username });
+        const hooks = await Webhook.find({
+            active: true,
+            events: event,
+            $or: [{ chatId: null }, { chatId: { $in: chatIds } }]
+        });
+
+        if (!hooks.length) return;
+
+        const payload = this._buildPayload(event, username, data);
+        for (const hook of hooks) {
+            const delivery = this._deliverWithRetry(hook, payload)
+                .catch(error => logger.error(`Webhook delivery ${payload.id} to ${hook.url} crashed:`, error))
+                .finally(() => this._inFlight.delete(delivery));
+            this._inFlight.add(delivery);
+        }
+        logger.debug(`Queued ${event} for @${username} to ${hooks.length} webhook(s).`);
+    }
+
+    /**
+     * Settles background deliveries before shutdown. Requests already under
+     * way finish, each bounded by the request timeout; deliveries waiting to
+     * retry are dead-lettered right away instead of holding shutdown up for
+     * their backoff.
+     */
+    async drain() {
+        this._draining = true;
+        for (const [timer, resolve] of this._backoffs) {
+            clearTimeout(timer);
+            resolve(false);
+        }
+        this._backoffs.clear();
+        await Promise.allSettled([...this._inFlight]);
+    }
+
+    async addWebhook(chatId, userId, url, { global = false } = {}) {
+        const secret = crypto.randomBytes(24).toString('hex');
+        return Webhook.create({ chatId: global ? null : chatId, url, secret, createdByUserId: userId });
+    }
+
+    async handleAdd(chatId, userId, url, scope) {
+        if (!isPublicHttpUrl(url)) {
+            await this.bot.sendMessage(chatId, '⚠️ Please provide a valid http(s) URL on a public host. Usage: /webhook add `url` `global` (optional)', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const global = scope === 'global';
+        if (global && !this._isBotAdmin(userId)) {
+            await this.bot.sendMessage(chatId, '❌ Only users listed in TELEGRAM_AUTHORIZED_USERS can register global webhooks.');
+            return;
+        }
+
+        const hook = await this.addWebhook(chatId, userId, url, { global });
+        logger.info(`Webhook ${hook._id} (${global ? 'global' : `chat ${chatId}`}) registered by user ${userId}: ${url}`);
+        await this.bot.sendMessage(chatId,
+            `✅ Webhook \`${hook._id}\` registered${global ? ' for all accounts' : ' for this chat'}.\n\n` +
+            `Signing secret (shown once):\n\`${hook.secret}\`\n\n` +
+            'Each request carries `X-InstaBot-Signature: sha256=<hex>`, the HMAC-SHA256 of the raw body with this secret.',
+            { parse_mode: 'Markdown' });
+    }
+
+    async handleList(chatId, userId) {
+        const hooks = await Webhook.find(this._accessibleFilter(chatId, userId)).sort({ createdAt: 1 });
+        if (!hooks.length) {
+            await this.bot.sendMessage(chatId, '📭 No webhooks registered. Use /webhook add `url` to add one.', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const lines = hooks.map(hook => {
+            const scope = hook.chatId ? 'chat' : 'global';
+            const status = hook.lastStatus ? ` · last: ${escapeMarkdown(hook.lastStatus)}` : '';
+            return `• \`${hook._id}\` (${scope}) ${escapeMarkdown(this._describeUrl(hook.url))}${status}`;
+        });
+        await this.bot.sendMessage(chatId, `🪝 *Webhooks (${hooks.length}):*\n\n${lines.join('\n')}`, { parse_mode: 'Markdown' });
+    }
+
+    async handleRemove(chatId, userId, webhookId) {
+        const hook = await this._findAccessibleHook(chatId, userId, webhookId);
+        if (!hook) {
+            await this.bot.sendMessage(chatId, '⚠️ Webhook not found. Use /webhook list to see registered webhooks.');
+            return;
+        }
+
+        await Webhook.deleteOne({ _id: hook._id });
+        logger.info(`Webhook ${hook._id} removed by user ${userId} in chat ${chatId}.`);
+        await this.bot.sendMessage(chatId, `✅ Webhook \`${hook._id}\` removed.`, { parse_mode: 'Markdown' });
+    }
+
+    async handleTest(chatId, userId, webhookId) {
+        const hook = await this._findAccessibleHook(chatId, userId, webhookId);
+        if (!hook) {
+            await this.bot.sendMessage(chatId, '⚠️ Webhook not found. Use /webhook list to see registered webhooks.');
+            return;
+        }
+
+        const payload = this._buildPayload('webhook.test', null, { chatId, message: 'Test delivery' });
+        const result = await this._attemptDelivery(hook, payload);
+        await this._recordStatus(hook, result);
+
+        await this.bot.sendMessage(chatId, result.ok
+            ? `✅ Test delivery succeeded (HTTP ${result.status}).`
+            : `❌ Test delivery failed: ${result.error || `HTTP ${result.status}`}`);
+    }
+
+    sign(secret, body) {
+        return crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    async _deliverWithRetry(hook, payload) {
+        let result;
+        for (let attempt = 1; attempt <= this.options.maxAttempts; attempt++) {
+            result = await this._attemptDelivery(hook, payload, attempt);
+            if (result.ok) {
+                await this._recordStatus(hook, result);
+                logger.debug(`Webhook ${payload.event} delivered to ${hook.url} (attempt ${attempt}).`);
+                return;
+            }
+            if (!result.retryable || attempt === this.options.maxAttempts) break;
+
+            const delay = Math.min(this.options.backoffBase * Math.pow(2, attempt - 1), this.options.backoffMax);
+            logger.warn(`Webhook delivery to ${hook.url} failed (${result.error || result.status}), retrying in ${delay}ms.`);
+            if (!(await this._backoff(delay + Math.floor(Math.random() * delay * 0.2)))) {
+                result = { ...result, error: `${result.error || `HTTP ${result.status}`}; retry cancelled by shutdown` };
+                break;
+            }
+        }
+
+        await this._recordStatus(hook, result);
+        await WebhookDeadLetter.create({
+            webhookId: hook._id,
+            url: hook.url,
+            event: payload.event,
+            deliveryId: payload.id,
+            payload,
+            attempts: result.attempt,
+            lastStatus: result.status,
+            lastError: result.error
+        });
+        logger.error(`Webhook ${payload.event} to ${hook.url} dead-lettered after ${result.attempt} attempt(s).`);
+    }
+
+    // Resolves to true after `ms`, or to false as soon as drain() cancels the wait
+    _backoff(ms) {
+        if (this._draining) return Promise.resolve(false);
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this._backoffs.delete(timer);
+                resolve(true);
+            }, ms);
+            this._backoffs.set(timer, resolve);
+        });
+    }
+
+    async _attemptDelivery(hook, payload, attempt = 1) {
+        const body = JSON.stringify(payload);
+        // Hooks registered before internal hosts were refused
+        if (!isPublicHttpUrl(hook.url)) {
+            return { ok: false, retryable: false, status: null, error: 'URL does not point to a public host', attempt };
+        }
+
+        try {
+            const response = await axios.post(hook.url, body, {
+                timeout: this.options.timeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'InstaBot-Webhooks/1.0',
+                    'X-InstaBot-Event': payload.event,
+                    'X-InstaBot-Delivery': payload.id,
+                    'X-InstaBot-Signature': `sha256=${this.sign(hook.secret, body)}`
+                },
+                validateStatus: () => true,
+                maxRedirects: 0,
+                ...publicAgents
+            });
+
+            const ok = response.status >= 200 && response.status < 300;
+            // Client errors other than rate limiting won't fix themselves on retry.
+            const retryable = !ok && (response.status >= 500 || response.status === 429 || response.status === 408);
+            return { ok, retryable, status: response.status, attempt };
+        } catch (error) {
+            return { ok: false, retryable: true, status: null, error: error.message, attempt };
+        }
+    }
+
+    async _recordStatus(hook, result) {
+        const lastStatus = result.ok ? `OK ${result.status}` : (result.error ? `error: ${result.error}` : `HTTP ${result.status}`);
+        await Webhook.updateOne({ _id: hook._id }, { lastDeliveryAt: new Date(), lastStatus: lastStatus.substring(0, 200) })
+            .catch(error => logger.warn(`Could not record webhook status for ${hook._id}: ${error.message}`));
+    }
+
+    _buildPayload(event, username, data) {
+        return {
+            id: crypto.randomUUID(),
+            event,
+            timestamp: new Date().toISOString(),
+            username,
+            data
+        };
+    }
+
+    async _findAccessibleHook(chatId, userId, webhookId) {
+        if (!/^[a-f0-9]{24}$/i.test(webhookId || '')) return null;
+        return Webhook.findOne({ _id: webhookId, ...this._accessibleFilter(chatId, userId) });
+    }
+
+    // Global hooks are only visible to the bot's own admins
+    _accessibleFilter(chatId, userId) {
+        return this._isBotAdmin(userId) ? { $or: [{ chatId }, { chatId: null }] } : { chatId };
+    }
+
+    _isBotAdmin(userId) {
+        return config.TELEGRAM.AUTHORIZED_USERS.has(parseInt(userId, 10));
+    }
+
+    // Webhook URLs are credentials; only show where they point
+    _describeUrl(value) {
+        try {
+            const url = new URL(value);
+            return `${url.origin}${url.pathname === '/' ? '' : '/…'}`;
+        } catch (error) {
+            return '(invalid URL)';
+        }
+    }
+}
+
+module.exports = WebhookService;
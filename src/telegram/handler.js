@@ -1,33 +1,64 @@
 const TelegramBot = require('node-telegram-bot-api');
-const logger = require('../utils/logger');
-const config = require('../config/config');
+const logger = require('../utils/logger').child({ module: 'handler' });
+const AccessControlService = require('../services/access');
+const metrics = require('../utils/metrics');
 
 class TelegramHandler {
-    constructor(bot, monitorService) {
+    constructor(bot, services) {
         this.bot = bot; // Using the injected bot instance
-        this.monitorService = monitorService;
-        this.authorizedUsers = config.TELEGRAM.AUTHORIZED_USERS;
+        this.monitorService = services.monitorService;
+        this.alertRulesService = services.alertRulesService;
+        this.analyticsService = services.analyticsService;
+        this.digestService = services.digestService;
+        this.webhookService = services.webhookService;
+        this.archiveService = services.archiveService;
+        this.accessControl = services.accessControlService;
+        this.usageService = services.usageService;
+        this.channelService = services.channelService;
+        this.exportService = services.exportService;
+        this.watchlistService = services.watchlistService;
     }
 
-    _createAuthorizedHandler(commandRegex, handlerFn) {
-        this.bot.onText(commandRegex, async (msg, match) => {
-            const command = (match && match[0]) ? match[0].split(' ')[0] : 'UnknownCommand';
+    /**
+     * Registers a command that needs at least `requiredRole` in the chat.
+     * The handler receives the caller's role as its third argument.
+     */
+    _createAuthorizedHandler(commandRegex, handlerFn, requiredRole = 'admin') {
+        this.bot.onText(commandRegex, (msg, match) => this._runAuthorized(msg, match, handlerFn, requiredRole));
+    }
+
+    // Shared by text commands and commands sent as a document caption
+    async _runAuthorized(msg, match, handlerFn, requiredRole) {
+        const command = (match && match[0]) ? match[0].split(/\s/)[0] : 'UnknownCommand';
+        return logger.withContext({ chatId: msg.chat.id, userId: msg.from.id, command }, async () => {
             logger.debug(`Received command: ${command} from user ${msg.from.id} in chat ${msg.chat.id}`);
 
+            // "/add@MyBot" and "/add" are the same command
+            const countAs = outcome => metrics.commands.inc({ command: command.replace(/@\w+$/, '').toLowerCase(), outcome });
+
             if (this.monitorService.isInitializing) {
                 this.bot.sendMessage(msg.chat.id, "⏳ The bot is still starting up. Please try again in a moment.");
+                countAs('starting');
                 return;
             }
 
-            if (this.authorizedUsers.size > 0 && !this.authorizedUsers.has(msg.from.id)) {
-                this.bot.sendMessage(msg.chat.id, '❌ You are not authorized to use this command.');
-                logger.warn(`Unauthorized command attempt: ${command} by user ${msg.from.id} (@${msg.from.username || 'N/A'}) in chat ${msg.chat.id}.`);
-                return;
-            }
-
+            const startedAt = Date.now();
             try {
-                await handlerFn(msg, match);
+                const { allowed, role } = await this.accessControl.authorize(msg.chat, msg.from, requiredRole);
+                if (!allowed) {
+                    this.bot.sendMessage(msg.chat.id, role
+                        ? `❌ This command needs the ${requiredRole} role in this chat (your role: ${role}).`
+                        : '❌ You are not authorized to use this bot in this chat. Ask a chat admin to /grant you access.');
+                    countAs('denied');
+                    logger.warn(`Unauthorized command attempt: ${command} by user ${msg.from.id} (@${msg.from.username || 'N/A'}, role ${role || 'none'}) in chat ${msg.chat.id}.`);
+                    return;
+                }
+
+                await handlerFn(msg, match, role);
+                countAs('success');
+                logger.debug(`Command ${command} handled.`, { role, durationMs: Date.now() - startedAt });
             } catch (e) {
+                countAs('error');
                 this._handleCommandError(e, msg, command);
             }
         });
@@ -38,9 +69,21 @@ class TelegramHandler {
         this._setupHelpCommand();
         this._setupAddCommand();
         this._setupRemoveCommand();
+        this._setupFollowCommand();
         this._setupListCommand();
         this._setupStatusCommand();
         this._setupStatsCommand();
+        this._setupAlertsCommand();
+        this._setupDiffCommand();
+        this._setupGrowthCommand();
+        this._setupDigestCommand();
+        this._setupWebhookCommand();
+        this._setupChannelCommand();
+        this._setupArchiveCommand();
+        this._setupExportCommand();
+        this._setupImportCommands();
+        this._setupMemberCommands();
+        this._setupUsageCommand();
         this._setupCallbackQueryHandler();
         this._setupErrorHandlers();
 
@@ -50,7 +93,7 @@ class TelegramHandler {
     _setupStartCommand() {
         this._createAuthorizedHandler(/\/start$/, (msg) => {
             this.bot.sendMessage(msg.chat.id, "🤖 *Instagram Profile Monitor Bot*\n\nI automatically monitor Instagram accounts for changes. Use /help to see available commands.", { parse_mode: 'Markdown' });
-        });
+        }, 'viewer');
     }
 
     _setupHelpCommand() {
@@ -63,16 +106,34 @@ Monitoring is automatic once accounts are added.
 Available commands:
 /add \`username\` - Add an Instagram account to monitor.
 /remove \`username\` - Remove an account from monitoring.
+/follow \`username\` - Switch to the new handle of a renamed account.
 /list - Show all accounts monitored in this chat.
 /status - Display the bot's current operational status.
-/stats \`username\` (optional) - Get follower statistics for an account.
+/stats \`username\` \`24h|7d|30d|all\` (optional) - Get follower statistics for an account, with an optional chart.
+/alerts \`username\` - View and edit this chat's alert rules for an account.
+/diff \`username\` \`n\` (optional) - Show what changed across the last n snapshots.
+/growth \`username\` \`7d|30d|90d|365d|all\` (optional) - Daily/weekly growth and milestone projection.
+/digest \`daily|weekly|off\` \`HH:MM\` \`timezone\` (optional) - Schedule a summary of all accounts in this chat.
+/webhook \`add|list|remove|test\` - Manage HTTP webhooks for change and story events.
+/channel \`add|list|remove|test|route\` - Send alerts to Discord, Slack, email, HTTP or other Telegram chats.
+/archive \`username\` \`YYYY-MM-DD\` (optional) - Re-send archived stories and profile pictures.
+/archive \`username\` retention \`days|off|default\` \`max items\` (optional) - View or set archive retention.
+/export \`username\` \`from\` \`to\` \`csv|json|xlsx\` \`stories\` \`raw\` (all optional) - Download the history as a file.
+/import \`usernames\` - Add many accounts at once (or send a .csv/.txt file with /import as its caption).
+/exportlist \`csv|txt\` (optional) - Download this chat's monitoring list.
+/grant \`user id\` \`owner|admin|viewer\` - Give someone a role in this chat (or reply to their message).
+/revoke \`user id\` - Remove someone's role in this chat (or reply to their message).
+/members - List who has access to this chat.
+/usage - Show this chat's account quota, API calls and notifications sent.
+
+Viewers can use /list and /stats; admins can use everything else. Only the user who added an account or an admin can remove it.
 
 Stories from monitored accounts are automatically checked every hour.
 
 Example: \`/add instagram\` or simply \`/stats\`
             `;
             this.bot.sendMessage(msg.chat.id, helpMsg, { parse_mode: 'Markdown' });
-        });
+        }, 'viewer');
     }
 
     _setupAddCommand() {
@@ -83,16 +144,26 @@ Example: \`/add instagram\` or simply \`/stats\`
     }
 
     _setupRemoveCommand() {
-        this._createAuthorizedHandler(/\/remove (.+)/, async (msg, match) => {
+        this._createAuthorizedHandler(/\/remove (.+)/, async (msg, match, role) => {
+            const username = match[1].trim().replace('@', '').toLowerCase();
+            await this.monitorService.removeAccount(username, msg.chat.id.toString(), {
+                userId: msg.from.id.toString(),
+                isAdmin: AccessControlService.hasRole(role, 'admin')
+            });
+        });
+    }
+
+    _setupFollowCommand() {
+        this._createAuthorizedHandler(/\/follow (.+)/, async (msg, match) => {
             const username = match[1].trim().replace('@', '').toLowerCase();
-            await this.monitorService.removeAccount(username, msg.chat.id.toString());
+            await this.monitorService.followAccount(username, msg.chat.id.toString());
         });
     }
 
     _setupListCommand() {
         this._createAuthorizedHandler(/\/list$/, async (msg) => {
             await this.monitorService.listAccounts(msg.chat.id.toString());
-        });
+        }, 'viewer');
     }
 
     _setupStatusCommand() {
@@ -103,8 +174,221 @@ Example: \`/add instagram\` or simply \`/stats\`
 
     _setupStatsCommand() {
         this._createAuthorizedHandler(/\/stats(?: (.+))?$/, async (msg, match) => {
-            const username = match[1] ? match[1].trim().replace('@', '').toLowerCase() : null;
-            await this.monitorService.getStats(msg.chat.id.toString(), username);
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            const username = args[0] ? args[0].replace('@', '').toLowerCase() : null;
+            const window = args[1] ? args[1].toLowerCase() : null;
+            await this.monitorService.getStats(msg.chat.id.toString(), username, window);
+        }, 'viewer');
+    }
+
+    _setupAlertsCommand() {
+        this._createAuthorizedHandler(/\/alerts(?: (.+))?$/, async (msg, match) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            const chatId = msg.chat.id.toString();
+
+            if (!args.length) {
+                await this.bot.sendMessage(chatId, '⚠️ Please provide a username. Usage: /alerts `username`', { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const username = args[0].replace('@', '').toLowerCase();
+            if (args.length === 1) {
+                await this.alertRulesService.showRules(chatId, username);
+            } else {
+                await this.alertRulesService.setRule(chatId, username, args[1], args[2], args[3]);
+            }
+        });
+    }
+
+    _setupDiffCommand() {
+        this._createAuthorizedHandler(/\/diff(?: (.+))?$/, async (msg, match) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            const chatId = msg.chat.id.toString();
+
+            if (!args.length) {
+                await this.bot.sendMessage(chatId, '⚠️ Please provide a username. Usage: /diff `username` `n`', { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const username = args[0].replace('@', '').toLowerCase();
+            const count = args[1] ? parseInt(args[1], 10) : 2;
+            if (isNaN(count) || count < 2) {
+                await this.bot.sendMessage(chatId, '⚠️ The number of snapshots must be 2 or more.');
+                return;
+            }
+            await this.monitorService.sendProfileDiff(chatId, username, count);
+        });
+    }
+
+    _setupGrowthCommand() {
+        this._createAuthorizedHandler(/\/growth(?: (.+))?$/, async (msg, match) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            const chatId = msg.chat.id.toString();
+
+            if (!args.length) {
+                await this.bot.sendMessage(chatId, '⚠️ Please provide a username. Usage: /growth `username` `period`', { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const username = args[0].replace('@', '').toLowerCase();
+            const period = args[1] ? args[1].toLowerCase() : '30d';
+            await this.analyticsService.sendGrowthReport(chatId, username, period);
+        });
+    }
+
+    _setupDigestCommand() {
+        this._createAuthorizedHandler(/\/digest(?: (.+))?$/, async (msg, match) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            const chatId = msg.chat.id.toString();
+
+            if (!args.length) {
+                await this.digestService.showSchedule(chatId);
+                return;
+            }
+
+            const frequency = args[0].toLowerCase();
+            if (!['daily', 'weekly', 'off'].includes(frequency)) {
+                await this.bot.sendMessage(chatId, '⚠️ Usage: /digest `daily|weekly|off` `HH:MM` `timezone`', { parse_mode: 'Markdown' });
+                return;
+            }
+            await this.digestService.configure(chatId, msg.from.id.toString(), frequency, args[1], args[2]);
+        });
+    }
+
+    _setupWebhookCommand() {
+        this._createAuthorizedHandler(/\/webhook(?: (.+))?$/, async (msg, match) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            const chatId = msg.chat.id.toString();
+            const userId = msg.from.id.toString();
+            const action = (args[0] || '').toLowerCase();
+
+            if (action === 'add') {
+                await this.webhookService.handleAdd(chatId, userId, args[1], args[2]);
+            } else if (action === 'list') {
+                await this.webhookService.handleList(chatId, userId);
+            } else if (action === 'remove') {
+                await this.webhookService.handleRemove(chatId, userId, args[1]);
+            } else if (action === 'test') {
+                await this.webhookService.handleTest(chatId, userId, args[1]);
+            } else {
+                await this.bot.sendMessage(chatId,
+                    '⚠️ Usage:\n/webhook add `url` `global` (optional)\n/webhook list\n/webhook remove `id`\n/webhook test `id`',
+                    { parse_mode: 'Markdown' });
+            }
+        });
+    }
+
+    _setupChannelCommand() {
+        this._createAuthorizedHandler(/\/channel(?: (.+))?$/, async (msg, match) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            const chatId = msg.chat.id.toString();
+            const userId = msg.from.id.toString();
+
+            const action = (args[0] || '').toLowerCase();
+
+            if (action === 'add') {
+                await this.channelService.handleAdd(chatId, userId, args[1], args[2]);
+            } else if (action === 'list') {
+                await this.channelService.handleList(chatId);
+            } else if (action === 'remove') {
+                await this.channelService.handleRemove(chatId, userId, args[1]);
+            } else if (action === 'test') {
+                await this.channelService.handleTest(chatId, args[1]);
+            } else if (action === 'route' && args[1]) {
+                await this.channelService.handleRoute(chatId, args[1].replace('@', '').toLowerCase(), args[2]);
+            } else {
+                await this.bot.sendMessage(chatId,
+                    '⚠️ Usage:\n/channel add `discord|slack|http|email|telegram` `url|address|chat id`\n/channel list\n/channel remove `id`\n/channel test `id`\n/channel route `username` `chat,<channel id>,...` (optional)',
+                    { parse_mode: 'Markdown' });
+            }
+        });
+    }
+
+    _setupArchiveCommand() {
+        this._createAuthorizedHandler(/\/archive(?: (.+))?$/, async (msg, match) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            const chatId = msg.chat.id.toString();
+
+            if (!args.length) {
+                await this.bot.sendMessage(chatId,
+                    '⚠️ Usage:\n/archive `username` `YYYY-MM-DD` (optional)\n/archive `username` retention `days|off|default` `max items` (optional)',
+                    { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const username = args[0].replace('@', '').toLowerCase();
+            if ((args[1] || '').toLowerCase() === 'retention') {
+                if (args.length === 2) {
+                    await this.archiveService.showRetention(chatId, username);
+                } else {
+                    await this.archiveService.setRetention(chatId, msg.from.id.toString(), username, args[2].toLowerCase(), args[3]?.toLowerCase());
+                }
+                return;
+            }
+            await this.archiveService.sendArchive(chatId, username, args[1] || null);
+        });
+    }
+
+    _setupExportCommand() {
+        this._createAuthorizedHandler(/\/export(?: (.+))?$/, async (msg, match) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            const chatId = msg.chat.id.toString();
+
+            if (!args.length) {
+                await this.bot.sendMessage(chatId,
+                    '⚠️ Usage: /export `username` `from` `to` `csv|json|xlsx` `stories` `raw` (all optional, dates as YYYY-MM-DD)',
+                    { parse_mode: 'Markdown' });
+                return;
+            }
+            await this.exportService.sendExport(chatId, args[0].replace('@', '').toLowerCase(), args.slice(1));
+        });
+    }
+
+    _setupImportCommands() {
+        const importHandler = async (msg, match) => {
+            const chatId = msg.chat.id.toString();
+            const userId = msg.from.id.toString();
+            // A file sent with /import as its caption, or /import as a reply to a file or list
+            const document = msg.document || msg.reply_to_message?.document;
+            if (document) {
+                await this.watchlistService.handleImportDocument(chatId, userId, document);
+            } else {
+                await this.watchlistService.handleImport(chatId, userId, match[1] || msg.reply_to_message?.text || '');
+            }
+        };
+
+        this._createAuthorizedHandler(/\/import(?:\s+([\s\S]+))?$/, importHandler);
+
+        // onText only sees message text, not document captions
+        this.bot.on('document', (msg) => {
+            const match = /^\/import(?:@\w+)?(?:\s|$)/.exec(msg.caption || '');
+            if (match) return this._runAuthorized(msg, match, importHandler, 'admin');
+        });
+
+        this._createAuthorizedHandler(/\/exportlist(?: (csv|txt))?$/, async (msg, match) => {
+            await this.watchlistService.sendList(msg.chat.id.toString(), match[1] || 'csv');
+        });
+    }
+
+    _setupMemberCommands() {
+        this._createAuthorizedHandler(/\/grant(?: (.+))?$/, async (msg, match, role) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            await this.accessControl.handleGrant(msg, args, role);
+        });
+
+        this._createAuthorizedHandler(/\/revoke(?: (.+))?$/, async (msg, match, role) => {
+            const args = match[1] ? match[1].trim().split(/\s+/) : [];
+            await this.accessControl.handleRevoke(msg, args, role);
+        });
+
+        this._createAuthorizedHandler(/\/members$/, async (msg) => {
+            await this.accessControl.handleMembers(msg.chat.id.toString());
+        });
+    }
+
+    _setupUsageCommand() {
+        this._createAuthorizedHandler(/\/usage$/, async (msg) => {
+            await this.usageService.sendUsageReport(msg.chat.id.toString(), msg.from.id.toString());
         });
     }
 
@@ -115,16 +399,35 @@ Example: \`/add instagram\` or simply \`/stats\`
             const chatId = msg.chat.id.toString();
             const fromUserId = callbackQuery.from.id;
 
-            await this.bot.answerCallbackQuery(callbackQuery.id);
+            // Chart and stats buttons are read-only; everything else changes settings
+            const requiredRole = data.startsWith('stats_') || data.startsWith('chart:') ? 'viewer' : 'admin';
+            const { allowed, role } = await this.accessControl.authorize(msg.chat, callbackQuery.from, requiredRole)
+                .catch(error => {
+                    logger.error(`Error authorizing callback_query '${data}':`, error);
+                    return { allowed: false, role: null };
+                });
 
-            if (this.authorizedUsers.size > 0 && !this.authorizedUsers.has(fromUserId)) {
-                logger.warn(`Unauthorized callback_query attempt: Data='${data}' by user ${fromUserId} in chat ${chatId}.`);
+            if (!allowed) {
+                await this.bot.answerCallbackQuery(callbackQuery.id, {
+                    text: role ? `This needs the ${requiredRole} role in this chat.` : 'You are not authorized in this chat.',
+                    show_alert: true
+                });
+                logger.warn(`Unauthorized callback_query attempt: Data='${data}' by user ${fromUserId} (role ${role || 'none'}) in chat ${chatId}.`);
                 return;
             }
 
+            await this.bot.answerCallbackQuery(callbackQuery.id);
+
             if (data.startsWith('stats_')) {
                 const username = data.substring('stats_'.length);
                 await this.monitorService.handleStatsCallback(username, chatId, msg);
+            } else if (data.startsWith('chart:')) {
+                const [, window, username] = data.split(':');
+                await this.monitorService.handleChartCallback(username, window, chatId);
+            } else if (data.startsWith('alerts:')) {
+                await this.alertRulesService.handleCallback(data, chatId, msg).catch(error => {
+                    logger.error(`Error handling alerts callback '${data}':`, error);
+                });
             }
         });
     }
@@ -0,0 +1,12 @@
+/**
+ * Rejects with the signal's reason once it aborts and never settles
+ * otherwise; race it against work that cannot be cancelled itself.
+ */
+function rejectOnAbort(signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+}
+
+module.exports = { rejectOnAbort };
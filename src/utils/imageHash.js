@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const jpeg = require('jpeg-js');
+
+// Perceptual hashes are stored as `dhash:<16 hex chars>`. Images that can't be
+// decoded (WebP, PNG, HEIC) get `sha256:<hex>` of their bytes instead; a bare
+// hex string in FollowerHistory.userProfilePicHash is a legacy MD5 of the bytes.
+const DHASH_PREFIX = 'dhash:';
+const CONTENT_PREFIX = 'sha256:';
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Profile pictures are at most a few hundred pixels; refuse anything huge.
+const MAX_DECODE_MEMORY_MB = 64;
+
+/**
+ * Decodes a JPEG buffer to RGBA pixels. Returns null for other formats.
+ */
+function decodeImage(buffer) {
+    if (!buffer || buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+    return jpeg.decode(buffer, { useTArray: true, maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB });
+}
+
+/**
+ * Shrinks the image to 9x8 grayscale by area averaging, then sets one bit
+ * per pixel that is brighter than its right neighbour. Recompression and
+ * resizing barely move these gradients, so the hash stays stable.
+ */
+function dHash({ width, height, data }) {
+    const cells = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+    const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(Math.floor(y * HASH_HEIGHT / height), HASH_HEIGHT - 1);
+        for (let x = 0; x < width; x++) {
+            const col = Math.min(Math.floor(x * HASH_WIDTH / width), HASH_WIDTH - 1);
+            const offset = (y * width + x) * 4;
+            const luma = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+            cells[row * HASH_WIDTH + col] += luma;
+            counts[row * HASH_WIDTH + col]++;
+        }
+    }
+
+    let bits = 0n;
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+        for (let col = 0; col < HASH_WIDTH - 1; col++) {
+            const left = cells[row * HASH_WIDTH + col] / (counts[row * HASH_WIDTH + col] || 1);
+            const right = cells[row * HASH_WIDTH + col + 1] / (counts[row * HASH_WIDTH + col + 1] || 1);
+            bits = (bits << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return `${DHASH_PREFIX}${bits.toString(16).padStart(16, '0')}`;
+}
+
+/**
+ * Perceptual hash of an encoded image, or null when it can't be decoded.
+ */
+function perceptualHash(buffer) {
+    let image;
+    try {
+        image = decodeImage(buffer);
+    } catch (error) {
+        // Truncated or corrupt JPEG
+        return null;
+    }
+    return image ? dHash(image) : null;
+}
+
+/**
+ * Exact hash of the bytes, for images perceptualHash can't decode.
+ */
+function contentHash(buffer) {
+    return `${CONTENT_PREFIX}${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+}
+
+/**
+ * Perceptual hash where possible, else a content hash.
+ */
+function imageHash(buffer) {
+    return perceptualHash(buffer) || contentHash(buffer);
+}
+
+function isPerceptualHash(value) {
+    return typeof value === 'string' && value.startsWith(DHASH_PREFIX);
+}
+
+function isContentHash(value) {
+    return typeof value === 'string' && value.startsWith(CONTENT_PREFIX);
+}
+
+/**
+ * Number of differing bits between two perceptual hashes (0-64).
+ */
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a.slice(DHASH_PREFIX.length)}`) ^ BigInt(`0x${b.slice(DHASH_PREFIX.length)}`);
+    let count = 0;
+    while (diff) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+module.exports = { imageHash, perceptualHash, contentHash, dHash, decodeImage, isPerceptualHash, isContentHash, hammingDistance };
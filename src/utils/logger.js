@@ -1,14 +1,187 @@
-const { LOG_PREFIX } = require('../config/config');
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const util = require('util');
+const { LOG_PREFIX, LOGGING } = require('../config/config');
+const { RotatingFileWriter } = require('./rotatingFile');
 
-const logger = {
-    info: (message, ...args) => console.log(`${LOG_PREFIX} INFO: ${message}`, ...args),
-    warn: (message, ...args) => console.warn(`${LOG_PREFIX} WARN: ${message}`, ...args),
-    error: (message, ...args) => console.error(`${LOG_PREFIX} ERROR: ${message}`, ...args),
-    debug: (message, ...args) => {
-        if (process.env.DEBUG === 'true' || process.env.DEBUG === 'insta-bot') {
-            console.debug(`${LOG_PREFIX} DEBUG: ${message}`, ...args);
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields every log line written inside `withCorrelation`/`withContext` picks up
+const contextStorage = new AsyncLocalStorage();
+
+let fileWriter;
+
+function getFileWriter() {
+    if (fileWriter === undefined) {
+        fileWriter = null;
+        if (LOGGING.FILE) {
+            try {
+                fileWriter = new RotatingFileWriter(LOGGING.FILE, {
+                    maxBytes: LOGGING.FILE_MAX_BYTES,
+                    maxFiles: LOGGING.FILE_MAX_FILES
+                });
+            } catch (error) {
+                process.stderr.write(`${LOG_PREFIX} ERROR: Cannot open log file ${LOGGING.FILE}: ${error.message}\n`);
+            }
+        }
+    }
+    return fileWriter;
+}
+
+function levelValue(name) {
+    return LEVELS[name] ?? LEVELS.info;
+}
+
+/**
+ * Module levels come from LOG_LEVELS; "channels" also covers
+ * "channels.slack" unless that has its own entry.
+ */
+function resolveLevel(module) {
+    let name = module;
+    while (name) {
+        if (LOGGING.MODULE_LEVELS[name]) return levelValue(LOGGING.MODULE_LEVELS[name]);
+        const dot = name.lastIndexOf('.');
+        name = dot === -1 ? null : name.slice(0, dot);
+    }
+    return levelValue(LOGGING.LEVEL);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function serializeError(error) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.stack) serialized.stack = error.stack;
+    return serialized;
+}
+
+/**
+ * Call sites keep the console-style signature, `logger.error('Failed to X:', error)`:
+ * an Error becomes the `err` field, plain objects are merged in as fields
+ * and anything else is appended to the message.
+ */
+function buildEntry(level, bindings, message, args) {
+    const fields = {};
+    const extra = [];
+    let err = message instanceof Error ? message : null;
+    let msg = err ? err.message : String(message);
+
+    for (const arg of args) {
+        if (arg instanceof Error && !err) {
+            err = arg;
+        } else if (isPlainObject(arg)) {
+            Object.assign(fields, arg);
+        } else {
+            extra.push(typeof arg === 'string' ? arg : util.inspect(arg, { depth: 3, breakLength: Infinity }));
+        }
+    }
+    if (extra.length) {
+        msg = `${msg} ${extra.join(' ')}`;
+    } else if (err && msg.endsWith(':')) {
+        msg = msg.slice(0, -1);
+    }
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        ...bindings,
+        msg,
+        ...contextStorage.getStore(),
+        ...fields
+    };
+    if (err) entry.err = serializeError(err);
+    return entry;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, err, module, ...fields } = entry;
+    const pairs = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    const scope = module ? ` [${module}]` : '';
+    let line = `${time} ${LOG_PREFIX} ${level.toUpperCase()}${scope}: ${msg}`;
+    if (pairs.length) line += ` (${pairs.join(' ')})`;
+    if (err) line += `\n${err.stack || `${err.name}: ${err.message}`}`;
+    return line;
+}
+
+function toJson(entry) {
+    try {
+        return JSON.stringify(entry);
+    } catch {
+        // Circular or BigInt field values; log them inspected rather than drop the line
+        const safe = {};
+        for (const [key, value] of Object.entries(entry)) {
+            const isScalar = ['string', 'number', 'boolean'].includes(typeof value) || value === null;
+            safe[key] = isScalar || key === 'err' ? value : util.inspect(value, { depth: 2, breakLength: Infinity });
+        }
+        return JSON.stringify(safe);
+    }
+}
+
+/**
+ * Structured, leveled logger. Lines go to stdout (warnings and errors to
+ * stderr) as JSON or, with LOG_FORMAT=pretty, as readable text, and to
+ * LOG_FILE when set. Modules log through a child carrying their name,
+ * `require('../utils/logger').child({ module: 'monitor' })`, which also
+ * picks the level configured for that module.
+ */
+class Logger {
+    constructor(bindings = {}) {
+        this.bindings = bindings;
+        this.level = resolveLevel(bindings.module);
+        for (const level of Object.keys(LEVELS)) {
+            this[level] = (message, ...args) => this._write(level, message, args);
+        }
+    }
+
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings });
+    }
+
+    isLevelEnabled(level) {
+        return levelValue(level) <= this.level;
+    }
+
+    /**
+     * Runs `fn` as a new unit of work (a check, a Telegram update) with a
+     * fresh correlation ID plus `fields` attached to everything it logs,
+     * including from the awaits and callbacks it starts.
+     */
+    withCorrelation(fields, fn) {
+        return contextStorage.run({ correlationId: crypto.randomBytes(8).toString('hex'), ...fields }, fn);
+    }
+
+    /**
+     * Adds `fields` to the current context for everything `fn` logs.
+     */
+    withContext(fields, fn) {
+        return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+    }
+
+    getContext() {
+        return contextStorage.getStore() || {};
+    }
+
+    _write(level, message, args) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const entry = buildEntry(level, this.bindings, message, args);
+        const json = toJson(entry);
+        const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${LOGGING.FORMAT === 'pretty' ? formatPretty(entry) : json}\n`);
+
+        const file = getFileWriter();
+        if (file) {
+            try {
+                file.write(`${json}\n`);
+            } catch (error) {
+                process.stderr.write(`${LOG_PREFIX} ERROR: Cannot write log file ${LOGGING.FILE}: ${error.message}\n`);
+            }
         }
     }
-};
+}
 
-module.exports = logger;
+module.exports = new Logger();
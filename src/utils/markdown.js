@@ -0,0 +1,167 @@
+/**
+ * Escapes characters that have a special meaning in Telegram's legacy
+ * Markdown parse mode, so user-provided text (usernames, bios, names)
+ * can be embedded safely in formatted messages.
+ */
+function escapeMarkdown(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+const INLINE_MARKERS = { '*': 'bold', '_': 'italic' };
+
+/**
+ * Splits a message written in Telegram's legacy Markdown into tokens
+ * ({ type: text|bold|italic|code|pre|link, text, url }) so it can be
+ * rendered for other platforms. Unbalanced markers are kept as text.
+ */
+function parseMarkdown(source) {
+    const text = String(source ?? '');
+    const tokens = [];
+    let plain = '';
+    const flush = () => {
+        if (plain) tokens.push({ type: 'text', text: plain });
+        plain = '';
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\\' && /[_*`\[]/.test(text[i + 1] || '')) {
+            plain += text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (text.startsWith('```', i)) {
+            const end = text.indexOf('```', i + 3);
+            if (end !== -1) {
+                flush();
+                tokens.push({ type: 'pre', text: text.slice(i + 3, end).replace(/^\n/, '').replace(/\n$/, '') });
+                i = end + 3;
+                continue;
+            }
+        }
+
+        if (char === '`') {
+            const end = text.indexOf('`', i + 1);
+            if (end !== -1) {
+                flush();
+                tokens.push({ type: 'code', text: text.slice(i + 1, end) });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        if (INLINE_MARKERS[char]) {
+            const end = findClosing(text, char, i + 1);
+            if (end !== -1) {
+                flush();
+                tokens.push({ type: INLINE_MARKERS[char], text: unescape(text.slice(i + 1, end)) });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        if (char === '[') {
+            const link = /^\[([^\]]*)\]\(([^)\s]+)\)/.exec(text.slice(i));
+            if (link) {
+                flush();
+                tokens.push({ type: 'link', text: unescape(link[1]), url: link[2] });
+                i += link[0].length;
+                continue;
+            }
+        }
+
+        plain += char;
+        i++;
+    }
+    flush();
+    return tokens;
+}
+
+function findClosing(text, marker, from) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === marker) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function unescape(text) {
+    return text.replace(/\\([_*`\[])/g, '$1');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function markdownToPlainText(source) {
+    return parseMarkdown(source).map(token => {
+        if (token.type === 'link') return token.text && token.text !== token.url ? `${token.text} (${token.url})` : token.url;
+        return token.text;
+    }).join('');
+}
+
+function markdownToHtml(source) {
+    return parseMarkdown(source).map(token => {
+        const text = escapeHtml(token.text);
+        switch (token.type) {
+            case 'bold': return `<b>${text}</b>`;
+            case 'italic': return `<i>${text}</i>`;
+            case 'code': return `<code>${text}</code>`;
+            case 'pre': return `<pre>${text}</pre>`;
+            case 'link': return `<a href="${escapeHtml(token.url)}">${text}</a>`;
+            default: return text.replace(/\n/g, '<br>\n');
+        }
+    }).join('');
+}
+
+/**
+ * Discord's flavour: **bold**, *italic* and masked links.
+ */
+function markdownToDiscord(source) {
+    const escape = text => text.replace(/([\\*_~`|>\[\]])/g, '\\$1');
+    return parseMarkdown(source).map(token => {
+        switch (token.type) {
+            case 'bold': return `**${escape(token.text)}**`;
+            case 'italic': return `*${escape(token.text)}*`;
+            case 'code': return `\`${token.text.replace(/`/g, "'")}\``;
+            case 'pre': return '```\n' + token.text.replace(/```/g, "'''") + '\n```';
+            case 'link': return `[${escape(token.text)}](${token.url})`;
+            default: return escape(token.text);
+        }
+    }).join('');
+}
+
+/**
+ * Slack mrkdwn: *bold*, _italic_ and <url|text> links; &, < and > must be
+ * entity-encoded everywhere.
+ */
+function markdownToSlack(source) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return parseMarkdown(source).map(token => {
+        switch (token.type) {
+            case 'bold': return `*${escape(token.text)}*`;
+            case 'italic': return `_${escape(token.text)}_`;
+            case 'code': return `\`${escape(token.text)}\``;
+            case 'pre': return '```\n' + escape(token.text) + '\n```';
+            case 'link': return `<${token.url}|${escape(token.text).replace(/\|/g, '/')}>`;
+            default: return escape(token.text);
+        }
+    }).join('');
+}
+
+module.exports = {
+    escapeMarkdown,
+    escapeHtml,
+    parseMarkdown,
+    markdownToPlainText,
+    markdownToHtml,
+    markdownToDiscord,
+    markdownToSlack
+};
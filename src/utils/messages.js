@@ -0,0 +1,98 @@
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// Room for the fence that closes a code block cut in half
+const CLOSING_RESERVE = 4;
+
+/**
+ * Packs a header and a list of sections into as few Telegram messages as
+ * possible. Sections are never split across messages (which would break
+ * Markdown code blocks); a single oversized section is truncated.
+ */
+function packSections(header, sections, separator = '\n\n') {
+    const messages = [header];
+    for (const section of sections) {
+        const candidate = `${messages[messages.length - 1]}${separator}${section}`;
+        if (candidate.length <= TELEGRAM_MESSAGE_LIMIT) {
+            messages[messages.length - 1] = candidate;
+        } else {
+            messages.push(truncateMarkdown(section));
+        }
+    }
+    return messages;
+}
+
+/**
+ * Shortens legacy Markdown to `limit` characters without leaving an entity
+ * open, which would make Telegram reject the whole message: cuts at a line
+ * boundary where possible, closes a code block and drops markers whose
+ * counterpart was cut off.
+ */
+function truncateMarkdown(text, limit = TELEGRAM_MESSAGE_LIMIT) {
+    if (text.length <= limit) return text;
+
+    let cut = text.substring(0, limit - CLOSING_RESERVE);
+    const lineEnd = cut.lastIndexOf('\n');
+    if (lineEnd > 0) cut = cut.substring(0, lineEnd);
+    // A trailing backslash would escape the closing fence
+    if (/(^|[^\\])(\\\\)*\\$/.test(cut)) cut = cut.slice(0, -1);
+    return balanceMarkdown(cut);
+}
+
+function balanceMarkdown(text) {
+    let result = '';
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\\' && /[_*`\[]/.test(text[i + 1] || '')) {
+            result += text.slice(i, i + 2);
+            i += 2;
+            continue;
+        }
+
+        if (text.startsWith('```', i)) {
+            const end = text.indexOf('```', i + 3);
+            if (end === -1) return `${result}${text.slice(i)}\n\`\`\``;
+            result += text.slice(i, end + 3);
+            i = end + 3;
+            continue;
+        }
+
+        let end = -1;
+        if (char === '`') {
+            end = text.indexOf('`', i + 1);
+        } else if (char === '*' || char === '_') {
+            end = findClosing(text, char, i + 1);
+        } else if (char === '[') {
+            const link = /^\[[^\]]*\]\([^)\s]+\)/.exec(text.slice(i));
+            end = link ? i + link[0].length - 1 : -1;
+        } else {
+            result += char;
+            i++;
+            continue;
+        }
+
+        if (end === -1) {
+            // Unbalanced: keep a bracket as text, drop a lone marker
+            if (char === '[') result += '\\[';
+            i++;
+        } else {
+            result += text.slice(i, end + 1);
+            i = end + 1;
+        }
+    }
+    return result;
+}
+
+function findClosing(text, marker, from) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === marker) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+module.exports = { packSections, truncateMarkdown, TELEGRAM_MESSAGE_LIMIT };
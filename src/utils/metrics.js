@@ -0,0 +1,129 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics for the bot's internals, served by index.js. Services
+ * record into the metrics below; gauges that are cheaper to read at scrape
+ * time than to keep current are refreshed by Bot.getMetrics().
+ */
+const register = new client.Registry();
+
+const metrics = {
+    register,
+
+    upstreamRequestDuration: new client.Histogram({
+        name: 'instabot_upstream_request_duration_seconds',
+        help: 'Upstream request latency by endpoint (profile, story, image), provider and outcome',
+        labelNames: ['endpoint', 'provider', 'outcome'],
+        buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20],
+        registers: [register]
+    }),
+
+    checkDuration: new client.Histogram({
+        name: 'instabot_check_duration_seconds',
+        help: 'Duration of single profile and story checks by outcome',
+        labelNames: ['type', 'outcome'],
+        buckets: [0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+        registers: [register]
+    }),
+
+    checkCycleDuration: new client.Histogram({
+        name: 'instabot_check_cycle_duration_seconds',
+        help: 'Time from the first due check being picked up until the queue is empty again',
+        buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+        registers: [register]
+    }),
+
+    monitoredAccounts: new client.Gauge({
+        name: 'instabot_monitored_accounts',
+        help: 'Distinct Instagram accounts being monitored',
+        registers: [register]
+    }),
+
+    subscriptions: new client.Gauge({
+        name: 'instabot_subscriptions',
+        help: 'Account subscriptions across all chats',
+        registers: [register]
+    }),
+
+    schedulerQueueDepth: new client.Gauge({
+        name: 'instabot_scheduler_queue_depth',
+        help: 'Checks that are due but not yet running',
+        registers: [register]
+    }),
+
+    changesDetected: new client.Counter({
+        name: 'instabot_changes_detected_total',
+        help: 'Profile changes detected by type',
+        labelNames: ['type'],
+        registers: [register]
+    }),
+
+    storiesDetected: new client.Counter({
+        name: 'instabot_stories_detected_total',
+        help: 'New story items detected by media type',
+        labelNames: ['media_type'],
+        registers: [register]
+    }),
+
+    telegramSendFailures: new client.Counter({
+        name: 'instabot_telegram_send_failures_total',
+        help: 'Failed Telegram Bot API calls by method and reason (Telegram error code or network error)',
+        labelNames: ['method', 'reason'],
+        registers: [register]
+    }),
+
+    commands: new client.Counter({
+        name: 'instabot_commands_total',
+        help: 'Telegram commands by command and outcome',
+        labelNames: ['command', 'outcome'],
+        registers: [register]
+    })
+};
+
+// Bot API methods that deliver something to a chat
+const TELEGRAM_SEND_METHODS = [
+    'sendMessage', 'sendPhoto', 'sendVideo', 'sendDocument', 'sendMediaGroup', 'editMessageText', 'answerCallbackQuery'
+];
+
+/**
+ * Counts failed sends on a node-telegram-bot-api instance without touching
+ * its callers; errors are still rethrown to them.
+ */
+function instrumentTelegramBot(bot) {
+    for (const method of TELEGRAM_SEND_METHODS) {
+        if (typeof bot[method] !== 'function') continue;
+        const original = bot[method].bind(bot);
+        bot[method] = async (...args) => {
+            try {
+                return await original(...args);
+            } catch (error) {
+                metrics.telegramSendFailures.inc({ method, reason: telegramErrorReason(error) });
+                throw error;
+            }
+        };
+    }
+    return bot;
+}
+
+function telegramErrorReason(error) {
+    const code = error.response?.body?.error_code || error.response?.statusCode;
+    if (code) return String(code);
+    return error.code === 'EFATAL' ? 'network' : 'unknown';
+}
+
+/**
+ * Times `fn` as one request to `endpoint` and records its outcome.
+ */
+async function timeUpstream(endpoint, provider, fn) {
+    const stopTimer = metrics.upstreamRequestDuration.startTimer({ endpoint, provider });
+    try {
+        const result = await fn();
+        stopTimer({ outcome: 'success' });
+        return result;
+    } catch (error) {
+        stopTimer({ outcome: 'error' });
+        throw error;
+    }
+}
+
+module.exports = { ...metrics, instrumentTelegramBot, timeUpstream };
@@ -0,0 +1,73 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Loopback, private, link-local (cloud metadata), shared, benchmark, multicast and reserved ranges.
+// BlockList applies the IPv4 ones to IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) as well.
+const NON_PUBLIC = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    NON_PUBLIC.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    NON_PUBLIC.addSubnet(network, prefix, 'ipv6');
+}
+
+const INTERNAL_NAMES = /(^|\.)(localhost|local|localdomain|internal|intranet|lan|home\.arpa)$/i;
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function hostOf(url) {
+    return url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+/**
+ * Whether `value` is an http(s) URL whose host could be on the public
+ * internet: no IP literals in internal ranges, no localhost or
+ * single-label and internal-only names. Outbound requests to user-provided
+ * URLs must pass this, and should go through publicAgents so a public name
+ * resolving to an internal address is refused too.
+ */
+function isPublicHttpUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return false;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+
+    const host = hostOf(url);
+    if (net.isIP(host)) return isPublicAddress(host);
+    return host.includes('.') && !INTERNAL_NAMES.test(host);
+}
+
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const internal = addresses.find(entry => !isPublicAddress(entry.address));
+        if (internal) {
+            const refused = new Error(`${hostname} resolves to the non-public address ${internal.address}`);
+            refused.code = 'ENONPUBLIC';
+            return callback(refused);
+        }
+        callback(null, address, family);
+    });
+}
+
+// axios `httpAgent`/`httpsAgent` that refuse to connect to non-public addresses
+const publicAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+module.exports = { isPublicAddress, isPublicHttpUrl, publicAgents };
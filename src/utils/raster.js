@@ -0,0 +1,139 @@
+const { encodePng } = require('./png');
+
+// 5x7 bitmap font, one string per row, '#' marks a lit pixel.
+// Lowercase letters are drawn with their uppercase glyphs.
+const GLYPHS = {
+    ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....'],
+    '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+    '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+    '3': ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+    '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+    '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+    '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+    '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+    '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+    '9': ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+    'A': ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    'B': ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+    'C': ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+    'D': ['###..', '#..#.', '#...#', '#...#', '#...#', '#..#.', '###..'],
+    'E': ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+    'F': ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+    'G': ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+    'H': ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    'I': ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    'J': ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+    'K': ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+    'L': ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+    'M': ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+    'N': ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+    'O': ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    'P': ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+    'Q': ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+    'R': ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+    'S': ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+    'T': ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+    'U': ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    'V': ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+    'W': ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+    'X': ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+    'Y': ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+    'Z': ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+    '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+    ',': ['.....', '.....', '.....', '.....', '.##..', '..#..', '.#...'],
+    ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+    '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+    '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....'],
+    '/': ['.....', '....#', '...#.', '..#..', '.#...', '#....', '.....'],
+    '%': ['##...', '##..#', '...#.', '..#..', '.#...', '#..##', '...##'],
+    '(': ['...#.', '..#..', '.#...', '.#...', '.#...', '..#..', '...#.'],
+    ')': ['.#...', '..#..', '...#.', '...#.', '...#.', '..#..', '.#...'],
+    '@': ['.###.', '#...#', '#.###', '#.#.#', '#.###', '#....', '.####'],
+    '_': ['.....', '.....', '.....', '.....', '.....', '.....', '#####'],
+    '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+/**
+ * Minimal RGB raster with just enough primitives to draw line charts:
+ * rectangles, thick lines and bitmap text. Colours are [r, g, b] arrays.
+ */
+class Raster {
+    constructor(width, height, background = [255, 255, 255]) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, background);
+    }
+
+    setPixel(x, y, color) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+        const offset = (y * this.width + x) * 3;
+        this.pixels[offset] = color[0];
+        this.pixels[offset + 1] = color[1];
+        this.pixels[offset + 2] = color[2];
+    }
+
+    fillRect(x, y, width, height, color) {
+        for (let row = Math.max(0, Math.round(y)); row < Math.min(this.height, Math.round(y + height)); row++) {
+            for (let col = Math.max(0, Math.round(x)); col < Math.min(this.width, Math.round(x + width)); col++) {
+                this.setPixel(col, row, color);
+            }
+        }
+    }
+
+    drawLine(x0, y0, x1, y1, color, thickness = 1) {
+        x0 = Math.round(x0); y0 = Math.round(y0);
+        x1 = Math.round(x1); y1 = Math.round(y1);
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        const half = Math.floor(thickness / 2);
+        let err = dx + dy;
+
+        // Bresenham, stamping a square brush for thickness.
+        while (true) {
+            this.fillRect(x0 - half, y0 - half, thickness, thickness, color);
+            if (x0 === x1 && y0 === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x0 += sx; }
+            if (e2 <= dx) { err += dx; y0 += sy; }
+        }
+    }
+
+    drawText(text, x, y, color, scale = 1) {
+        let cursor = Math.round(x);
+        for (const char of String(text).toUpperCase()) {
+            const glyph = GLYPHS[char] || GLYPHS['?'];
+            for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                for (let col = 0; col < GLYPH_WIDTH; col++) {
+                    if (glyph[row][col] === '#') {
+                        this.fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+                    }
+                }
+            }
+            cursor += (GLYPH_WIDTH + 1) * scale;
+        }
+    }
+
+    static measureText(text, scale = 1) {
+        const length = String(text).length;
+        return length ? (length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+    }
+
+    static textHeight(scale = 1) {
+        return GLYPH_HEIGHT * scale;
+    }
+
+    toPng() {
+        return encodePng(this.width, this.height, this.pixels);
+    }
+}
+
+module.exports = Raster;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only log file that rotates by size: `app.log` becomes `app.log.1`,
+ * `app.log.1` becomes `app.log.2` and so on, keeping `maxFiles` rotated
+ * files. Writes are synchronous so lines logged right before
+ * process.exit() still reach the disk.
+ */
+class RotatingFileWriter {
+    constructor(filePath, { maxBytes, maxFiles }) {
+        this.filePath = path.resolve(filePath);
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this._open();
+    }
+
+    write(line) {
+        const buffer = Buffer.from(line, 'utf8');
+        if (this.size > 0 && this.maxBytes > 0 && this.size + buffer.length > this.maxBytes) {
+            this._rotate();
+        }
+        fs.writeSync(this.fd, buffer);
+        this.size += buffer.length;
+    }
+
+    close() {
+        if (this.fd === null) return;
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+
+    _open() {
+        this.fd = fs.openSync(this.filePath, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    _rotate() {
+        this.close();
+        if (this.maxFiles > 0) {
+            fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+            for (let index = this.maxFiles - 1; index >= 1; index--) {
+                const from = `${this.filePath}.${index}`;
+                if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${index + 1}`);
+            }
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+        } else {
+            fs.rmSync(this.filePath, { force: true });
+        }
+        this._open();
+    }
+}
+
+module.exports = { RotatingFileWriter };
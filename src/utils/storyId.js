@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Query parameters story proxies use to wrap the original CDN URL.
+const WRAPPER_PARAMS = ['url', 'u', 'uri', 'media', 'src'];
+
+// Instagram CDN file names look like `123456789_987654321_1234567890_n.jpg`.
+const CDN_FILENAME_PATTERN = /^[\w.-]*\d{6,}[\w.-]*\.(jpe?g|png|webp|heic|mp4|mov)$/i;
+
+function parseUrl(value) {
+    try {
+        return new URL(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Strips proxy wrappers until the innermost media URL is reached.
+ */
+function unwrapMediaUrl(url) {
+    let current = parseUrl(url);
+    for (let depth = 0; current && depth < 3; depth++) {
+        const inner = WRAPPER_PARAMS
+            .map(param => current.searchParams.get(param))
+            .map(value => value && parseUrl(value))
+            .find(parsed => parsed && /^https?:$/.test(parsed.protocol));
+        if (!inner) break;
+        current = inner;
+    }
+    return current;
+}
+
+/**
+ * Derives a stable identity for a story from its media URL, ignoring the
+ * signature and expiry parameters Instagram rotates on every request.
+ * Prefers the media ID in `ig_cache_key`, then the CDN file name.
+ * Returns null when the URL carries neither; callers then fall back to
+ * hashing the media content with contentStoryId().
+ */
+function deriveStoryId(mediaUrl) {
+    const url = unwrapMediaUrl(mediaUrl);
+    if (!url) return null;
+
+    const cacheKey = url.searchParams.get('ig_cache_key');
+    if (cacheKey) {
+        return `media:${cacheKey.split('.')[0]}`;
+    }
+
+    const filename = url.pathname.split('/').pop();
+    if (filename && CDN_FILENAME_PATTERN.test(filename)) {
+        return `file:${filename.toLowerCase()}`;
+    }
+    return null;
+}
+
+function contentStoryId(buffer) {
+    return `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+}
+
+module.exports = { deriveStoryId, contentStoryId, unwrapMediaUrl };
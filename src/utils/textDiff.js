@@ -0,0 +1,48 @@
+/**
+ * Line-level text diffing based on the longest common subsequence.
+ * Profile texts (bios, links) are short, so the O(n*m) table is fine.
+ */
+function diffLines(oldText, newText) {
+    const a = oldText ? String(oldText).split(/\r?\n/) : [];
+    const b = newText ? String(newText).split(/\r?\n/) : [];
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'unchanged', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ type: 'removed', line: a[i++] });
+        } else {
+            ops.push({ type: 'added', line: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) ops.push({ type: 'added', line: b[j++] });
+
+    return ops;
+}
+
+/**
+ * Renders diff operations in unified style: `+` for added lines, `-` for
+ * removed ones and two spaces for context.
+ */
+function formatDiff(ops, { context = true } = {}) {
+    const prefixes = { added: '+ ', removed: '- ', unchanged: '  ' };
+    return ops
+        .filter(op => context || op.type !== 'unchanged')
+        .map(op => `${prefixes[op.type]}${op.line}`)
+        .join('\n');
+}
+
+module.exports = { diffLines, formatDiff };
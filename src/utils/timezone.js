@@ -0,0 +1,111 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+/**
+ * Wall-clock parts of an instant in the given IANA timezone.
+ * `weekday` follows ISO numbering (Monday = 1).
+ */
+function getZonedParts(date, timezone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+function getOffsetMs(date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in `timezone` to the matching UTC instant.
+ * The offset is re-evaluated once so times next to DST switches resolve.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timezone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const firstPass = guess - getOffsetMs(new Date(guess), timezone);
+    const secondPass = guess - getOffsetMs(new Date(firstPass), timezone);
+    return new Date(secondPass);
+}
+
+/**
+ * Next instant after `after` at which the clock in `timezone` reads `time`
+ * (HH:MM). With `weekday` set (ISO, Monday = 1) only that day qualifies.
+ */
+function nextOccurrence(time, timezone, { after = new Date(), weekday = null } = {}) {
+    const [hour, minute] = time.split(':').map(part => parseInt(part, 10));
+    const today = getZonedParts(after, timezone);
+
+    for (let offset = 0; offset <= 8; offset++) {
+        // Let Date.UTC normalise month/year rollover for the calendar day.
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day) + offset * DAY_MS);
+        const isoWeekday = day.getUTCDay() === 0 ? 7 : day.getUTCDay();
+        if (weekday && isoWeekday !== weekday) continue;
+
+        const candidate = zonedTimeToUtc({
+            year: day.getUTCFullYear(),
+            month: day.getUTCMonth() + 1,
+            day: day.getUTCDate(),
+            hour,
+            minute
+        }, timezone);
+        if (candidate > after) return candidate;
+    }
+    return null;
+}
+
+/**
+ * UTC bounds [start, end) of a YYYY-MM-DD calendar day in `timezone`, or
+ * null when `date` isn't a valid day.
+ */
+function zonedDayRange(date, timezone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+    return {
+        start: zonedTimeToUtc({ year, month, day }, timezone),
+        end: zonedTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timezone)
+    };
+}
+
+module.exports = { isValidTimezone, getZonedParts, zonedTimeToUtc, zonedDayRange, nextOccurrence };
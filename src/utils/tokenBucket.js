@@ -0,0 +1,48 @@
+/**
+ * Token bucket rate limiter: allows bursts of up to `capacity` calls, then
+ * refills at `ratePerMinute`. take() resolves once a token is available.
+ */
+class TokenBucket {
+    constructor({ ratePerMinute, capacity = 1 }) {
+        this.ratePerMs = ratePerMinute / 60000;
+        this.capacity = Math.max(capacity, 1);
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+        this.waiting = 0;
+    }
+
+    async take() {
+        this.waiting++;
+        try {
+            for (;;) {
+                this._refill();
+                if (this.tokens >= 1) {
+                    this.tokens -= 1;
+                    return;
+                }
+                const waitMs = Math.ceil((1 - this.tokens) / this.ratePerMs);
+                await new Promise(resolve => setTimeout(resolve, waitMs));
+            }
+        } finally {
+            this.waiting--;
+        }
+    }
+
+    getState() {
+        this._refill();
+        return {
+            ratePerMinute: Math.round(this.ratePerMs * 60000 * 100) / 100,
+            capacity: this.capacity,
+            tokens: Math.floor(this.tokens * 100) / 100,
+            waiting: this.waiting
+        };
+    }
+
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+        this.updatedAt = now;
+    }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,133 @@
+const { ZipWriter } = require('./zip');
+
+const CELL_TEXT_LIMIT = 32767;
+const EXCEL_EPOCH_OFFSET_DAYS = 25569; // 1970-01-01 as an Excel serial date
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Style ids in STYLES: 1 = date/time, 2 = bold header
+const DATE_STYLE = 1;
+const HEADER_STYLE = 2;
+
+const CONTENT_TYPES_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>';
+
+const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+const STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="3">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+
+function escapeXml(text) {
+    return text
+        // Control characters are not allowed in XML 1.0 at all
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function cell(value, ref, style = 0) {
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (value === null || value === undefined || value === '') return '';
+    if (value instanceof Date) {
+        return `<c r="${ref}" s="${DATE_STYLE}"><v>${value.getTime() / DAY_MS + EXCEL_EPOCH_OFFSET_DAYS}</v></c>`;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    const text = String(value).substring(0, CELL_TEXT_LIMIT);
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function row(values, index, style) {
+    return `<row r="${index}">${values.map((value, col) => cell(value, `${columnName(col)}${index}`, style)).join('')}</row>`;
+}
+
+/**
+ * Minimal streaming XLSX (Office Open XML) writer: one worksheet per
+ * `addSheet` call with a bold header row, inline strings, numbers,
+ * booleans and dates. Rows are consumed from an async iterable and
+ * written straight into the ZIP stream.
+ */
+class XlsxWriter {
+    constructor(write) {
+        this.zip = new ZipWriter(write);
+        this.sheets = [];
+    }
+
+    async addSheet(name, columns, rows) {
+        const index = this.sheets.length + 1;
+        // Sheet names are limited to 31 characters and can't contain []:*?/\
+        this.sheets.push(name.replace(/[\[\]:*?\/\\]/g, ' ').substring(0, 31));
+
+        async function* sheetXml() {
+            yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+                '<sheetData>';
+            yield row(columns, 1, HEADER_STYLE);
+            let rowIndex = 2;
+            for await (const values of rows) {
+                yield row(values, rowIndex++);
+            }
+            yield '</sheetData></worksheet>';
+        }
+
+        await this.zip.addEntry(`xl/worksheets/sheet${index}.xml`, sheetXml());
+    }
+
+    async finish() {
+        const sheetEntries = this.sheets.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`);
+        const sheetRels = this.sheets.map((name, i) =>
+            `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`);
+        const stylesId = `rId${this.sheets.length + 1}`;
+
+        await this.zip.addEntry('[Content_Types].xml', CONTENT_TYPES_HEAD +
+            this.sheets.map((name, i) =>
+                `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>');
+        await this.zip.addEntry('_rels/.rels', ROOT_RELS);
+        await this.zip.addEntry('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets>${sheetEntries.join('')}</sheets></workbook>`);
+        await this.zip.addEntry('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheetRels.join('') +
+            `<Relationship Id="${stylesId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>');
+        await this.zip.addEntry('xl/styles.xml', STYLES);
+        await this.zip.finish();
+    }
+}
+
+module.exports = { XlsxWriter };
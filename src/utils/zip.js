@@ -0,0 +1,118 @@
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { crc32 } = require('./png');
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+// Bit 3: sizes and CRC follow the data; bit 11: UTF-8 file names
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+const VERSION = 20;
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Streaming ZIP writer: entries are deflated as their content arrives and
+ * passed to `write` (an async function taking a Buffer), so archives of
+ * any row count are produced in constant memory. No ZIP64, so entries and
+ * the archive must stay below 4 GiB.
+ */
+class ZipWriter {
+    constructor(write) {
+        this.write = write;
+        this.offset = 0;
+        this.entries = [];
+        this.modified = dosDateTime(new Date());
+    }
+
+    /**
+     * @param {string} name Path inside the archive
+     * @param {string|Buffer|AsyncIterable<string|Buffer>} content
+     */
+    async addEntry(name, content) {
+        const fileName = Buffer.from(name, 'utf8');
+        const entry = { fileName, offset: this.offset, crc: 0, compressedSize: 0, size: 0 };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER, 0);
+        header.writeUInt16LE(VERSION, 4);
+        header.writeUInt16LE(FLAGS, 6);
+        header.writeUInt16LE(DEFLATE, 8);
+        header.writeUInt16LE(this.modified.time, 10);
+        header.writeUInt16LE(this.modified.date, 12);
+        // CRC and sizes (14-25) stay zero; they're in the data descriptor
+        header.writeUInt16LE(fileName.length, 26);
+        await this._emit(Buffer.concat([header, fileName]));
+
+        const source = typeof content === 'string' || Buffer.isBuffer(content) ? [content] : content;
+        await pipeline(
+            Readable.from(source, { objectMode: false }),
+            async function* checksum(chunks) {
+                for await (const chunk of chunks) {
+                    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+                    entry.crc = crc32(buffer, entry.crc);
+                    entry.size += buffer.length;
+                    yield buffer;
+                }
+            },
+            zlib.createDeflateRaw(),
+            async (compressed) => {
+                for await (const chunk of compressed) {
+                    entry.compressedSize += chunk.length;
+                    await this._emit(chunk);
+                }
+            }
+        );
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await this._emit(descriptor);
+        this.entries.push(entry);
+    }
+
+    async finish() {
+        const start = this.offset;
+        for (const entry of this.entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER, 0);
+            header.writeUInt16LE(VERSION, 4);
+            header.writeUInt16LE(VERSION, 6);
+            header.writeUInt16LE(FLAGS, 8);
+            header.writeUInt16LE(DEFLATE, 10);
+            header.writeUInt16LE(this.modified.time, 12);
+            header.writeUInt16LE(this.modified.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.fileName.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await this._emit(Buffer.concat([header, entry.fileName]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await this._emit(end);
+    }
+
+    async _emit(buffer) {
+        this.offset += buffer.length;
+        await this.write(buffer);
+    }
+}
+
+module.exports = { ZipWriter };
@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers/env');
+
+let AlertRulesService;
+let NotificationService;
+let MonitoredUser;
+let modelMethods;
+
+before(() => {
+    configureTestEnv();
+    AlertRulesService = require('../src/services/alertRules');
+    NotificationService = require('../src/services/notification');
+    ({ MonitoredUser } = require('../src/models/models'));
+    modelMethods = { find: MonitoredUser.find, findOne: MonitoredUser.findOne, updateOne: MonitoredUser.updateOne };
+});
+
+after(() => {
+    Object.assign(MonitoredUser, modelMethods);
+});
+
+function changes(previousFollowers, currentFollowers) {
+    return {
+        hasChanged: true,
+        followerDiff: currentFollowers - previousFollowers,
+        followingDiff: 0,
+        postsDiff: 0,
+        current: { followersCount: currentFollowers, followingCount: 10, postsCount: 5 },
+        previous: { followersCount: previousFollowers, followingCount: 10, postsCount: 5 }
+    };
+}
+
+const subscription = (overrides = {}) => ({
+    _id: 'sub1',
+    chatId: '42',
+    username: 'natgeo',
+    alertRules: { followers: { enabled: true, minAbsolute: 10, minPercent: 0, direction: 'both' } },
+    ...overrides
+});
+
+describe('AlertRulesService.applyRules', () => {
+    it('holds back changes below the threshold and pins the baseline', () => {
+        const filtered = new AlertRulesService(null).applyRules(changes(1000, 1004), subscription());
+
+        assert.equal(filtered.hasChanged, false);
+        assert.equal(filtered.followerDiff, 0);
+        assert.equal(filtered.baselineUpdates.followersCount, 1000);
+    });
+
+    it('measures accumulated drift from the baseline', () => {
+        const filtered = new AlertRulesService(null).applyRules(changes(1008, 1012), subscription({
+            alertBaseline: { followersCount: 1000 }
+        }));
+
+        assert.equal(filtered.hasChanged, true);
+        assert.equal(filtered.followerDiff, 12);
+        assert.equal(filtered.previous.followersCount, 1000);
+        assert.equal(filtered.baselineUpdates.followersCount, 1012);
+    });
+
+    it('honours the direction of a rule', () => {
+        const rules = { followers: { enabled: true, minAbsolute: 1, minPercent: 0, direction: 'decrease' } };
+        const alerts = new AlertRulesService(null);
+
+        assert.equal(alerts.applyRules(changes(1000, 1050), subscription({ alertRules: rules })).hasChanged, false);
+        assert.equal(alerts.applyRules(changes(1000, 950), subscription({ alertRules: rules })).followerDiff, -50);
+    });
+});
+
+describe('NotificationService.notifyChanges', () => {
+    function setup(deliveries) {
+        const alerts = new AlertRulesService(null);
+        const baselines = [];
+        alerts.updateBaseline = async (sub, updates) => baselines.push(updates);
+        const notifications = new NotificationService(null, alerts, null, null, null);
+        notifications._emitWebhook = async () => {};
+        notifications._notify = async () => deliveries;
+        MonitoredUser.find = async () => [subscription({ alertBaseline: { followersCount: 1000 } })];
+        return { notifications, baselines };
+    }
+
+    it('keeps the baseline until a notification was delivered', async () => {
+        const { notifications, baselines } = setup([]);
+        await notifications.notifyChanges('natgeo', changes(1000, 1020));
+        assert.deepEqual(baselines, []);
+    });
+
+    it('moves the baseline to the reported values once delivered', async () => {
+        const { notifications, baselines } = setup([{ messages: [{ message_id: 1 }] }]);
+        await notifications.notifyChanges('natgeo', changes(1000, 1020));
+        assert.equal(baselines.length, 1);
+        assert.equal(baselines[0].followersCount, 1020);
+    });
+});
+
+describe('AlertRulesService callbacks', () => {
+    const username = 'a_very_long_instagram_handle30';
+
+    it('encodes field, action and username in every button', () => {
+        const alerts = new AlertRulesService(null);
+        const buttons = alerts._buildKeyboard(username, alerts._getRules(subscription())).flat();
+
+        for (const { callback_data: data } of buttons) {
+            assert.match(data, new RegExp(`^alerts:(\\w+):(toggle|abs|pct|dir|reset):${username}$`));
+            // Telegram rejects callback data over 64 bytes
+            assert.ok(Buffer.byteLength(data) <= 64, data);
+        }
+    });
+
+    it('applies the action named in the callback data', async () => {
+        const updates = [];
+        MonitoredUser.findOne = async () => subscription({ username });
+        MonitoredUser.updateOne = async (filter, update) => updates.push(update);
+        const alerts = new AlertRulesService(null);
+        alerts.showRules = async () => {};
+
+        await alerts.handleCallback(`alerts:followers:abs:${username}`, '42', { message_id: 7 });
+        await alerts.handleCallback(`alerts:bio:toggle:${username}`, '42', { message_id: 7 });
+
+        assert.deepEqual(updates, [
+            { $set: { 'alertRules.followers.minAbsolute': 50 } },
+            { $set: { 'alertRules.bio': false } }
+        ]);
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers/env');
+
+let AnalyticsService;
+let models;
+let findOne;
+
+before(() => {
+    configureTestEnv();
+    AnalyticsService = require('../src/services/analytics');
+    models = require('../src/models/models');
+    findOne = models.FollowerHistory.findOne;
+});
+
+after(() => {
+    models.FollowerHistory.findOne = findOne;
+});
+
+/**
+ * An AnalyticsService whose aggregations return `trend` over a fortnight of
+ * unchanged follower counts, with the latest snapshot at `followersCount`.
+ */
+function analyticsWith(trend, followersCount = 1234) {
+    const latest = { followersCount, createdAt: new Date() };
+    models.FollowerHistory.findOne = () => ({ sort: () => ({ select: () => ({ lean: async () => latest }) }) });
+
+    const analytics = new AnalyticsService(null);
+    const daily = Array.from({ length: 14 }, (_, index) => ({
+        period: `2026-10-${String(index + 1).padStart(2, '0')}`, start: followersCount, end: followersCount, netChange: 0
+    }));
+    analytics.getDailyChanges = async () => daily;
+    analytics.getWeeklyChanges = async () => [];
+    analytics.getTrend = async () => trend;
+    return analytics;
+}
+
+describe('growth summary', () => {
+    it('projects the next milestone from the trend', async () => {
+        const summary = await analyticsWith({ slopePerDay: 10 }).getGrowthSummary('natgeo');
+
+        assert.equal(summary.projection.milestone, 2000);
+        assert.ok(Math.abs(summary.projection.days - 76.6) < 1e-9);
+    });
+
+    it('skips the projection for a near-flat series', async () => {
+        const analytics = analyticsWith({ slopePerDay: 1e-15 });
+        const summary = await analytics.getGrowthSummary('natgeo');
+
+        assert.equal(summary.projection, null);
+        assert.match(analytics._formatGrowthMessage(summary), /not enough movement to project a milestone/);
+    });
+});
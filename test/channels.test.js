@@ -0,0 +1,50 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockTelegramBot } = require('./helpers/mockTelegramBot');
+const { configureTestEnv } = require('./helpers/env');
+
+let TelegramChannel;
+let HttpChannel;
+
+before(() => {
+    configureTestEnv();
+    TelegramChannel = require('../src/services/channels/telegram');
+    HttpChannel = require('../src/services/channels/http');
+});
+
+const story = (type, name) => ({ type, url: `https://cdn.example.com/${name}` });
+
+describe('TelegramChannel', () => {
+    it('reports the items that arrived when some can be neither sent nor linked', async () => {
+        const telegram = new MockTelegramBot();
+        const media = [story('photo', 'a.jpg'), story('video', 'b.mp4'), story('photo', 'c.jpg')];
+        telegram.failNext('sendMediaGroup');
+        telegram.failNext('sendVideo');
+        telegram.failNext('sendMessage', new Error('ETELEGRAM: 429 Too Many Requests'));
+
+        const result = await new TelegramChannel({ bot: telegram, chatId: '42' })
+            .send({ event: 'story.new', text: '📸 3 new stories', media, attachText: true });
+
+        assert.deepEqual(result.media, [media[0], media[2]]);
+        assert.equal(result.messages.length, 2);
+    });
+
+    it('fails when nothing reached the chat', async () => {
+        const telegram = new MockTelegramBot();
+        telegram.failNext('sendPhoto');
+        telegram.failNext('sendMessage');
+
+        await assert.rejects(new TelegramChannel({ bot: telegram, chatId: '42' })
+            .send({ event: 'story.new', text: '📸 New story', media: [story('photo', 'a.jpg')], attachText: true }), /None of 1 media item/);
+    });
+});
+
+describe('HttpChannel', () => {
+    it('refuses internal hosts', async () => {
+        assert.equal(HttpChannel.isValidUrl('https://hooks.example.com/instabot'), true);
+        assert.equal(HttpChannel.isValidUrl('http://169.254.169.254/latest/meta-data/'), false);
+
+        const channel = new HttpChannel({ url: 'http://127.0.0.1:8080/', secret: 's', timeout: 1000 });
+        await assert.rejects(channel.send({ event: 'story.new', text: 'hi', title: 'hi' }), /not point to a public host/);
+    });
+});
@@ -0,0 +1,246 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./helpers/harness');
+
+let harness;
+let skipReason = null;
+
+before(async () => {
+    harness = await startHarness();
+    if (harness.skipped) {
+        skipReason = harness.skipped;
+        harness = null;
+    }
+});
+
+after(async () => {
+    if (harness) await harness.stop();
+});
+
+beforeEach(async () => {
+    if (harness) await harness.reset();
+});
+
+// Scenarios need MongoDB; without it they are reported as skipped (see helpers/mongo.js for CI)
+function scenario(name, fn) {
+    it(name, async t => {
+        if (!harness) {
+            t.skip(skipReason);
+            return;
+        }
+        await fn(harness);
+    });
+}
+
+const OWNER = 42;
+
+async function addNatgeo({ telegram, upstream }) {
+    upstream.setProfile('natgeo', 'natgeo');
+    await telegram.receive('/add natgeo', { from: OWNER });
+    telegram.clear();
+}
+
+describe('end to end', () => {
+    scenario('adding an account runs the first check and posts a profile card', async ({ telegram, upstream, models }) => {
+        upstream.setProfile('natgeo', 'natgeo');
+
+        await telegram.receive('/add @NatGeo', { from: OWNER });
+
+        assert.match(telegram.messagesTo(OWNER)[0], /✅ @natgeo added to monitoring list/);
+        const [card] = telegram.callsTo('sendPhoto', OWNER);
+        assert.equal(card.args[0], `${upstream.baseUrl}/media/natgeo_profile_2915402371_n.jpg`);
+        assert.match(card.args[1].caption, /Now monitoring @natgeo/);
+        assert.match(card.args[1].caption, /National Geographic/);
+        assert.match(card.args[1].caption, /283,412,907/);
+
+        const subscription = await models.MonitoredUser.findOne({ username: 'natgeo', chatId: String(OWNER) });
+        assert.equal(subscription.addedByUserId, String(OWNER));
+        const history = await models.FollowerHistory.find({ username: 'natgeo' });
+        assert.equal(history.length, 1);
+        assert.equal(history[0].followersCount, 283412907);
+        assert.equal(history[0].provider, 'tucktools');
+        assert.match(history[0].userProfilePicHash, /^dhash:/);
+        // The first user in a private chat owns it
+        assert.equal((await models.ChatMember.findOne({ chatId: String(OWNER) })).role, 'owner');
+        assert.equal(upstream.requestsTo('/tucktools_user').length, 1);
+    });
+
+    scenario('adding rejects duplicates and invalid usernames', async (context) => {
+        const { telegram, upstream } = context;
+        await addNatgeo(context);
+
+        await telegram.receive('/add natgeo', { from: OWNER });
+        assert.match(telegram.lastMessageTo(OWNER), /already being monitored/);
+
+        await telegram.receive('/add not/a/username', { from: OWNER });
+        assert.equal(telegram.lastMessageTo(OWNER), '⚠️ Invalid Instagram username format.');
+        assert.equal(upstream.requestsTo('/tucktools_user').length, 1);
+    });
+
+    scenario('a follower change is reported once', async (context) => {
+        const { telegram, upstream, models, runProfileCheck } = context;
+        await addNatgeo(context);
+
+        upstream.setProfile('natgeo', 'natgeo-followers-up');
+        assert.deepEqual(await runProfileCheck('natgeo'), { changed: true });
+
+        const [message] = telegram.messagesTo(OWNER);
+        assert.match(message, /Changes detected for @natgeo/);
+        assert.match(message, /283,412,907 → 283,415,120/);
+        assert.match(message, /\+2,213/);
+        assert.equal(await models.FollowerHistory.countDocuments({ username: 'natgeo' }), 2);
+
+        // Nothing new on the next check
+        telegram.clear();
+        assert.deepEqual(await runProfileCheck('natgeo'), { changed: false });
+        assert.deepEqual(telegram.calls, []);
+        assert.equal(await models.FollowerHistory.countDocuments({ username: 'natgeo' }), 2);
+    });
+
+    scenario('a failed profile fetch fails the job without notifying', async (context) => {
+        const { telegram, upstream, runProfileCheck } = context;
+        await addNatgeo(context);
+
+        upstream.setProfile('natgeo', 500);
+        await assert.rejects(runProfileCheck('natgeo'), /Profile check for @natgeo failed/);
+        assert.deepEqual(telegram.calls, []);
+    });
+
+    scenario('new stories are sent as an album and never twice', async (context) => {
+        const { telegram, upstream, models, runStoryCheck } = context;
+        await addNatgeo(context);
+
+        upstream.setStories('natgeo', 'natgeo-stories');
+        assert.deepEqual(await runStoryCheck('natgeo'), { changed: true });
+
+        const [album] = telegram.callsTo('sendMediaGroup', OWNER);
+        const media = album.args[0];
+        assert.deepEqual(media.map(item => item.type), ['video', 'photo']);
+        assert.ok(media.every(item => item.media.startsWith(`${upstream.baseUrl}/media/`)));
+        assert.match(media[0].caption, /2 new Instagram stories from @natgeo/);
+
+        const stories = await models.StoryHistory.find({ username: 'natgeo' }).sort({ storyId: 1 });
+        assert.deepEqual(stories.map(story => story.storyId), [
+            'file:462790150_1204567890123456_7654321098765432109_n.jpg',
+            'file:462817364_1093384712309551_3859217734612850923_n.mp4'
+        ]);
+        assert.ok(stories.every(story => story.sentTo.includes(String(OWNER))));
+
+        // Same reel again: the CDN signature changes, the story ids don't
+        telegram.clear();
+        assert.deepEqual(await runStoryCheck('natgeo'), { changed: false });
+        upstream.setStories('natgeo', 'no-stories');
+        assert.deepEqual(await runStoryCheck('natgeo'), { changed: false });
+        assert.deepEqual(telegram.calls, []);
+        assert.equal(await models.StoryHistory.countDocuments({ username: 'natgeo' }), 2);
+    });
+
+    scenario('removing keeps shared history until the last chat lets go', async (context) => {
+        const { telegram, models } = context;
+        await addNatgeo(context);
+
+        // A second chat, claimed by one of its Telegram admins
+        telegram.setChatMember(-100, 77, 'administrator');
+        await telegram.receive('/add natgeo', { from: 77, chatId: -100 });
+        assert.match(telegram.lastMessageTo(-100), /✅ @natgeo added/);
+
+        await telegram.receive('/remove natgeo', { from: OWNER });
+        assert.equal(telegram.lastMessageTo(OWNER), '✅ @natgeo has been removed from this chat\'s monitoring list.');
+        assert.equal(await models.FollowerHistory.countDocuments({ username: 'natgeo' }), 1);
+
+        await telegram.receive('/remove natgeo', { from: 77, chatId: -100 });
+        assert.equal(telegram.lastMessageTo(-100), '✅ @natgeo has been removed and all their data has been deleted.');
+        assert.equal(await models.MonitoredUser.countDocuments({ username: 'natgeo' }), 0);
+        assert.equal(await models.FollowerHistory.countDocuments({ username: 'natgeo' }), 0);
+
+        await telegram.receive('/list', { from: OWNER });
+        assert.match(telegram.lastMessageTo(OWNER), /No accounts are currently being monitored/);
+    });
+
+    scenario('a vanished account is reported once it keeps failing, and again when it is back', async (context) => {
+        const { telegram, upstream, models, runProfileCheck } = context;
+        await addNatgeo(context);
+
+        upstream.setProfile('natgeo', 'not-found');
+        for (let i = 0; i < 2; i++) {
+            await assert.rejects(runProfileCheck('natgeo'), /User not found/);
+        }
+        assert.deepEqual(telegram.calls, []);
+
+        await assert.rejects(runProfileCheck('natgeo'));
+        assert.match(telegram.lastMessageTo(OWNER), /@natgeo can't be found/);
+        assert.match(telegram.lastMessageTo(OWNER), /Instagram answered "User not found" to the last 3 checks/);
+        await assert.rejects(runProfileCheck('natgeo'));
+        assert.equal(telegram.messagesTo(OWNER).length, 1);
+
+        await telegram.receive('/list', { from: OWNER });
+        assert.match(telegram.lastMessageTo(OWNER), /@natgeo ❓ _not found_/);
+
+        telegram.clear();
+        upstream.setProfile('natgeo', 'natgeo');
+        await runProfileCheck('natgeo');
+        assert.match(telegram.lastMessageTo(OWNER), /@natgeo is back/);
+        const status = await models.AccountStatus.findOne({ username: 'natgeo' });
+        assert.equal(status.state, 'active');
+        assert.equal(status.consecutiveFailures, 0);
+    });
+
+    scenario('following a renamed account moves the subscription and its history', async (context) => {
+        const { telegram, upstream, models, runProfileCheck } = context;
+        await addNatgeo(context);
+
+        upstream.setProfile('natgeo', 'natgeo-renamed');
+        await runProfileCheck('natgeo');
+        assert.match(telegram.lastMessageTo(OWNER), /@natgeo is now @natgeowild/);
+        assert.match(telegram.lastMessageTo(OWNER), /Use \/follow natgeo/);
+
+        await telegram.receive('/follow natgeo', { from: OWNER });
+        assert.equal(telegram.lastMessageTo(OWNER), '✅ This chat now monitors @natgeowild (formerly @natgeo).');
+        assert.equal(await models.MonitoredUser.countDocuments({ username: 'natgeo' }), 0);
+        assert.equal(await models.MonitoredUser.countDocuments({ username: 'natgeowild', chatId: String(OWNER) }), 1);
+        assert.equal(await models.FollowerHistory.countDocuments({ username: 'natgeowild' }), 1);
+        assert.equal(await models.AccountStatus.countDocuments({ username: 'natgeo' }), 0);
+
+        // The new handle continues from the old history instead of starting over
+        telegram.clear();
+        upstream.setProfile('natgeowild', 'natgeo-renamed');
+        assert.deepEqual(await runProfileCheck('natgeowild'), { changed: false });
+        assert.deepEqual(telegram.calls, []);
+    });
+
+    scenario('following a rename automatically leaves chats without room behind', async (context) => {
+        const { telegram, upstream, models, app, runProfileCheck } = context;
+        await addNatgeo(context);
+        app.monitorService.lifecycleService.options.autoFollowRenames = true;
+        await models.MonitoredUser.create([
+            { username: 'natgeo', chatId: '-100', addedByUserId: '77' },
+            { username: 'nasa', chatId: '-100', addedByUserId: '77' },
+            { username: 'esa', chatId: '-100', addedByUserId: '77' }
+        ]);
+        await models.ChatQuota.create({ chatId: '-100', maxAccounts: 2 });
+
+        upstream.setProfile('natgeo', 'natgeo-renamed');
+        assert.deepEqual(await runProfileCheck('natgeo'), { changed: false });
+        assert.match(telegram.lastMessageTo(OWNER), /This chat now monitors @natgeowild instead/);
+        assert.match(telegram.lastMessageTo(-100), /can't monitor @natgeowild instead: This chat already monitors 2 of 2 allowed accounts/);
+        assert.equal(await models.MonitoredUser.countDocuments({ username: 'natgeowild', chatId: String(OWNER) }), 1);
+        assert.equal(await models.MonitoredUser.countDocuments({ username: 'natgeo', chatId: '-100' }), 1);
+        // Both handles keep a history while both are monitored
+        assert.equal(await models.FollowerHistory.countDocuments({ username: 'natgeo' }), 1);
+        assert.equal(await models.FollowerHistory.countDocuments({ username: 'natgeowild' }), 1);
+
+        telegram.clear();
+        upstream.setProfile('natgeowild', 'natgeo-renamed');
+        assert.deepEqual(await runProfileCheck('natgeowild'), { changed: false });
+        assert.deepEqual(telegram.calls, []);
+    });
+
+    scenario('group members without a role are turned away', async ({ telegram, models }) => {
+        telegram.setChatMember(-100, 77, 'administrator');
+        await telegram.receive('/list', { from: 77, chatId: -100 });
+
+        await telegram.receive('/add natgeo', { from: 78, chatId: -100 });
+        assert.match(telegram.lastMessageTo(-100), /not authorized to use this bot in this chat/);
+        assert.equal(await models.MonitoredUser.countDocuments(), 0);
+    });
+});
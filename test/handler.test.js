@@ -0,0 +1,174 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockTelegramBot } = require('./helpers/mockTelegramBot');
+const { configureTestEnv } = require('./helpers/env');
+
+let TelegramHandler;
+
+before(() => {
+    configureTestEnv();
+    TelegramHandler = require('../src/telegram/handler');
+});
+
+/**
+ * Access control answers with `role` (null for strangers) and records
+ * which role each command asked for.
+ */
+function setup({ role = 'owner', initializing = false } = {}) {
+    const telegram = new MockTelegramBot();
+    const requested = [];
+    const accessControlService = {
+        authorize: async (chat, user, requiredRole) => {
+            requested.push(requiredRole);
+            const rank = { viewer: 1, admin: 2, owner: 3 };
+            return { allowed: Boolean(role) && rank[role] >= rank[requiredRole], role };
+        }
+    };
+    const handler = new TelegramHandler(telegram, {
+        monitorService: { isInitializing: initializing },
+        accessControlService
+    });
+    return { telegram, handler, requested };
+}
+
+describe('TelegramHandler._createAuthorizedHandler', () => {
+    let calls;
+    beforeEach(() => {
+        calls = [];
+    });
+    const record = (msg, match, role) => {
+        calls.push({ chatId: msg.chat.id, args: match[1], role });
+    };
+
+    it('runs the command with its match and the caller role', async () => {
+        const { telegram, handler, requested } = setup({ role: 'admin' });
+        handler._createAuthorizedHandler(/\/ping (.+)/, record);
+
+        await telegram.receive('/ping pong');
+
+        assert.deepEqual(calls, [{ chatId: 42, args: 'pong', role: 'admin' }]);
+        assert.deepEqual(requested, ['admin']);
+        assert.deepEqual(telegram.calls, []);
+    });
+
+    it('explains which role is missing', async () => {
+        const { telegram, handler } = setup({ role: 'viewer' });
+        handler._createAuthorizedHandler(/\/ping (.+)/, record);
+
+        await telegram.receive('/ping pong');
+
+        assert.deepEqual(calls, []);
+        assert.equal(telegram.lastMessageTo(42), '❌ This command needs the admin role in this chat (your role: viewer).');
+    });
+
+    it('lets viewers run viewer commands', async () => {
+        const { telegram, handler } = setup({ role: 'viewer' });
+        handler._createAuthorizedHandler(/\/ping (.+)/, record, 'viewer');
+
+        await telegram.receive('/ping pong');
+        assert.equal(calls.length, 1);
+    });
+
+    it('turns strangers away', async () => {
+        const { telegram, handler } = setup({ role: null });
+        handler._createAuthorizedHandler(/\/ping (.+)/, record, 'viewer');
+
+        await telegram.receive('/ping pong', { from: 7, chatId: -100 });
+
+        assert.deepEqual(calls, []);
+        assert.match(telegram.lastMessageTo(-100), /not authorized to use this bot in this chat/);
+    });
+
+    it('asks to retry while the bot is starting', async () => {
+        const { telegram, handler, requested } = setup({ initializing: true });
+        handler._createAuthorizedHandler(/\/ping (.+)/, record);
+
+        await telegram.receive('/ping pong');
+
+        assert.deepEqual(calls, []);
+        assert.deepEqual(requested, []);
+        assert.match(telegram.lastMessageTo(42), /still starting up/);
+    });
+
+    it('reports command failures without rethrowing', async () => {
+        const { telegram, handler } = setup();
+        handler._createAuthorizedHandler(/\/ping (.+)/, async () => {
+            throw new Error('boom');
+        });
+
+        await telegram.receive('/ping pong');
+        assert.match(telegram.lastMessageTo(42), /unexpected error occurred/);
+    });
+
+    it('explains duplicate key errors', async () => {
+        const { telegram, handler } = setup();
+        handler._createAuthorizedHandler(/\/ping (.+)/, async () => {
+            throw Object.assign(new Error('E11000 duplicate key error'), { name: 'MongoServerError', code: 11000 });
+        });
+
+        await telegram.receive('/ping pong');
+        assert.match(telegram.lastMessageTo(42), /might already be monitored/);
+    });
+});
+
+describe('TelegramHandler document commands', () => {
+    function setupImport(options) {
+        const context = setup(options);
+        context.imports = [];
+        context.handler.watchlistService = {
+            handleImportDocument: async (chatId, userId, document) => context.imports.push({ chatId, userId, fileId: document.file_id })
+        };
+        context.handler.setupHandlers();
+        return context;
+    }
+
+    it('runs /import sent as a document caption', async () => {
+        const { telegram, imports, requested } = setupImport();
+
+        await telegram.receive({ caption: '/import', document: { file_id: 'list-1', file_name: 'list.csv' } });
+
+        assert.deepEqual(imports, [{ chatId: '42', userId: '42', fileId: 'list-1' }]);
+        assert.deepEqual(requested, ['admin']);
+    });
+
+    it('ignores documents with other captions', async () => {
+        const { telegram, imports, requested } = setupImport();
+
+        await telegram.receive({ caption: 'our watchlist', document: { file_id: 'list-1', file_name: 'list.csv' } });
+
+        assert.deepEqual(imports, []);
+        assert.deepEqual(requested, []);
+    });
+
+    it('checks the role for captioned commands too', async () => {
+        const { telegram, imports } = setupImport({ role: 'viewer' });
+
+        await telegram.receive({ caption: '/import', document: { file_id: 'list-1', file_name: 'list.csv' } });
+
+        assert.deepEqual(imports, []);
+        assert.match(telegram.lastMessageTo(42), /needs the admin role/);
+    });
+});
+
+describe('TelegramHandler command roles', () => {
+    it('keeps exports to admins', async () => {
+        const { telegram, handler, requested } = setup({ role: 'viewer' });
+        handler.setupHandlers();
+
+        await telegram.receive('/export natgeo');
+        await telegram.receive('/exportlist csv');
+
+        assert.deepEqual(requested, ['admin', 'admin']);
+        assert.equal(telegram.messagesTo(42).filter(message => /needs the admin role/.test(message)).length, 2);
+    });
+
+    it('does not let viewers remove accounts', async () => {
+        const { telegram, handler, requested } = setup({ role: 'viewer' });
+        handler.setupHandlers();
+
+        await telegram.receive('/remove natgeo');
+
+        assert.deepEqual(requested, ['admin']);
+        assert.match(telegram.lastMessageTo(42), /needs the admin role/);
+    });
+});
@@ -0,0 +1,194 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockTelegramBot } = require('./helpers/mockTelegramBot');
+const { configureTestEnv } = require('./helpers/env');
+
+let HealthService;
+let JobScheduler;
+let MemoryJobStore;
+let MonitorService;
+
+before(() => {
+    configureTestEnv({
+        overrides: {
+            TELEGRAM_AUTHORIZED_USERS: '7,8',
+            SCHEDULER_TICK_MS: '20',
+            HEALTH_LOOP_STALL_MS: '100',
+            HEALTH_JOB_STUCK_MS: '100',
+            HEALTH_UPSTREAM_FAILURE_THRESHOLD: '3',
+            HEALTH_POLLING_ERROR_THRESHOLD: '5'
+        }
+    });
+    HealthService = require('../src/services/health');
+    ({ JobScheduler, MemoryJobStore } = require('../src/services/scheduler'));
+    MonitorService = require('../src/services/monitor');
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+let scheduler;
+
+afterEach(async () => {
+    if (scheduler) await scheduler.stop();
+    scheduler = null;
+});
+
+function provider(name, stats = {}) {
+    return { name, status: 'UP', consecutiveFailures: 0, failingSince: null, lastSuccessAt: null, lastError: null, ...stats };
+}
+
+/**
+ * A HealthService over a real scheduler running `handler` for one account,
+ * with the database, Telegram and providers faked.
+ */
+async function setup({ handler = async () => ({ changed: false }), store = new MemoryJobStore() } = {}) {
+    const telegram = new MockTelegramBot();
+    scheduler = new JobScheduler({ store, concurrency: 1, tickMs: 20, syncIntervalMs: 3600000, jitterRatio: 0, renewIntervalMs: 1000 });
+    scheduler.defineJob('profile', { handler, listKeys: async () => ['natgeo'], interval: 60000, maxInterval: 60000 });
+
+    const state = {
+        dbConnected: true,
+        providers: { profile: [provider('tucktools'), provider('instagram-web')], story: [provider('mollygram')] },
+        polling: { stalled: false, errors: 0, restarts: 0 }
+    };
+    const health = new HealthService(telegram, {
+        databaseService: { getConnectionState: () => ({ isConnected: state.dbConnected, readyState: state.dbConnected ? 1 : 0 }) },
+        monitorService: {
+            isRunning: true,
+            isInitializing: false,
+            options: { checkInterval: 60000, maxCheckInterval: 60000 },
+            scheduler,
+            getSchedulerStats: () => scheduler.getStats()
+        },
+        instagramService: { getProviderHealth: () => state.providers },
+        telegramService: {
+            getStatus: () => ({ status: 'UP', details: { mode: 'polling', lastError: 'ETIMEDOUT' } }),
+            isPollingStalled: () => state.polling.stalled,
+            getPollingErrors: () => state.polling.errors,
+            restartPolling: async () => {
+                state.polling.restarts++;
+                state.polling.stalled = false;
+            }
+        },
+        archiveService: { enabled: false }
+    });
+    await scheduler.start();
+    return { health, telegram, state };
+}
+
+describe('HealthService', () => {
+    it('reports UP while everything works and DOWN without the database', async () => {
+        const { health, state } = await setup();
+
+        assert.deepEqual(health.getReport().reasons, []);
+        assert.equal(health.getReport().status, 'UP');
+        assert.equal(health.getReport({ isInitializing: true }).status, 'INITIALIZING');
+
+        state.dbConnected = false;
+        state.polling.errors = 6;
+        const report = health.getReport();
+        assert.equal(report.status, 'DOWN');
+        assert.equal(report.reasons[0], 'Database is disconnected');
+        assert.match(report.reasons[1], /Telegram polling failed 6 times in a row \(ETIMEDOUT\)/);
+    });
+
+    it('is DEGRADED while a provider keeps failing and alerts admins once, then on recovery', async () => {
+        const { health, telegram, state } = await setup();
+        const failingSince = new Date('2026-10-19T08:00:00Z');
+        state.providers.profile[0] = provider('tucktools', { consecutiveFailures: 3, failingSince, lastError: 'HTTP 502' });
+
+        const report = health.getReport();
+        assert.equal(report.status, 'DEGRADED');
+        assert.deepEqual(report.reasons, ['profile provider tucktools failed 3 times in a row since 2026-10-19T08:00:00.000Z']);
+
+        await health.runWatchdog();
+        await health.runWatchdog();
+        assert.equal(telegram.messagesTo(7).length, 1);
+        assert.match(telegram.lastMessageTo(7), /profile provider tucktools is failing/);
+        assert.match(telegram.lastMessageTo(8), /Last error: HTTP 502/);
+
+        state.providers.profile[0] = provider('tucktools', { lastSuccessAt: new Date(Date.now() + 1) });
+        await health.runWatchdog();
+        assert.match(telegram.lastMessageTo(7), /profile provider tucktools has recovered/);
+        assert.equal(health.getReport().status, 'UP');
+
+        await health.runWatchdog();
+        assert.equal(telegram.messagesTo(7).length, 2);
+    });
+
+    it('restarts a scheduler whose tick hangs', async () => {
+        const store = new MemoryJobStore();
+        const claimDue = store.claimDue.bind(store);
+        let hang = false;
+        store.claimDue = (...args) => (hang ? new Promise(() => {}) : claimDue(...args));
+        const { health } = await setup({ store });
+
+        hang = true;
+        await wait(200);
+        assert.match(health.getReport().reasons.join('\n'), /Check loop stalled/);
+
+        hang = false;
+        await health.runWatchdog();
+        await wait(60);
+        assert.equal(scheduler.getStats().restarts, 1);
+        assert.deepEqual(health.getReport().reasons, []);
+    });
+
+    it('abandons stuck checks so they run again', async () => {
+        let runs = 0;
+        const { health } = await setup({
+            handler: () => (++runs === 1 ? new Promise(() => {}) : Promise.resolve({ changed: false }))
+        });
+
+        await wait(150);
+        assert.match(health.getReport().reasons.join('\n'), /1 check\(s\) running for more than/);
+
+        await health.runWatchdog();
+        await wait(60);
+        assert.equal(runs, 2);
+        assert.equal(scheduler.getStats().inFlight, 0);
+        assert.ok(scheduler.getStats().lastSuccessAt.profile);
+    });
+
+    it('releases the account lock of an abandoned check', async () => {
+        let fetches = 0;
+        const monitor = new MonitorService({
+            // The first fetch never returns; the retry fails fast without touching the database
+            fetchProfileData: () => (++fetches === 1 ? new Promise(() => {}) : Promise.resolve({ success: false, error: 'HTTP 502', calls: 1 }))
+        }, null, null, null, null, { recordApiCalls: async () => {} }, null);
+        const { health } = await setup({
+            handler: (username, { signal }) => monitor._runProfileJob(username, { signal })
+        });
+
+        await wait(150);
+        await health.runWatchdog();
+        await wait(60);
+        assert.equal(fetches, 2);
+        assert.equal(scheduler.getStats().inFlight, 0);
+        assert.equal(scheduler.getStats().failedJobs, 1);
+    });
+
+    it('ignores completions from an abandoned lease', async () => {
+        const store = new MemoryJobStore();
+        await store.add('profile', 'natgeo', new Date(0));
+        const [abandoned] = await store.claimDue(new Date(), 1);
+        await store.complete(abandoned, {});
+        const [current] = await store.claimDue(new Date(), 1);
+
+        await store.complete(abandoned, { nextRunAt: new Date(0), lastError: 'late' });
+        assert.equal(await store.countDue(new Date()), 0);
+
+        await store.complete(current, { nextRunAt: new Date(0), lastError: null });
+        const [next] = await store.claimDue(new Date(), 1);
+        assert.equal(next.lastError, null);
+    });
+
+    it('restarts stalled Telegram polling', async () => {
+        const { health, state } = await setup();
+        state.polling.stalled = true;
+
+        assert.deepEqual(health.getReport().reasons, ['Telegram polling stalled: no getUpdates response']);
+        await health.runWatchdog();
+        assert.equal(state.polling.restarts, 1);
+        assert.equal(health.getReport().status, 'UP');
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * Points the configuration at local stand-ins. src/config/config.js reads
+ * the environment once, when it is first required, so call this before
+ * requiring anything under src/. Every setting that could reach a real
+ * service (or a developer's .env) is pinned.
+ */
+function configureTestEnv({ upstream = null, mongoUri = '', overrides = {} } = {}) {
+    Object.assign(process.env, {
+        MONGODB_URI: mongoUri,
+        TELEGRAM_BOT_TOKEN: '123456:TEST-TOKEN',
+        TELEGRAM_AUTHORIZED_USERS: '',
+        TELEGRAM_WEBHOOK_URL: '',
+        PROFILE_PROVIDERS: 'tucktools',
+        STORY_PROVIDERS: 'mollygram',
+        INSTAGRAM_API_URL_BASE: upstream ? upstream.profileUrl : 'http://127.0.0.1:9/tucktools_user',
+        STORY_API_URL_BASE: upstream ? upstream.storyUrl : 'http://127.0.0.1:9/mollygram/',
+        API_TIMEOUT_MS: '2000',
+        STORY_API_TIMEOUT_MS: '2000',
+        IMAGE_FETCH_TIMEOUT_MS: '2000',
+        PROVIDER_RATE_PER_MINUTE: '60000',
+        PROVIDER_RATE_BURST: '100',
+        // Tests run jobs explicitly instead of waiting for the scheduler
+        SCHEDULER_STORE: 'memory',
+        SCHEDULER_TICK_MS: '3600000',
+        SCHEDULER_SYNC_INTERVAL_MS: '3600000',
+        SCHEDULER_JITTER_RATIO: '0',
+        DIGEST_POLL_INTERVAL_MS: '3600000',
+        HEALTH_CHECK_INTERVAL_MS: '3600000',
+        ARCHIVE_BACKEND: 'none',
+        QUOTA_MAX_ACCOUNTS_PER_CHAT: '0',
+        QUOTA_MAX_ACCOUNTS_PER_USER: '0',
+        ACCOUNT_FAILURE_THRESHOLD: '3',
+        ACCOUNT_AUTO_FOLLOW_RENAMES: 'false',
+        REST_API_KEYS: '',
+        SMTP_HOST: '',
+        // Only warnings and errors, in readable form
+        LOG_LEVEL: 'warn',
+        LOG_LEVELS: '',
+        LOG_FORMAT: 'pretty',
+        LOG_FILE: '',
+        ...overrides
+    });
+}
+
+module.exports = { configureTestEnv };
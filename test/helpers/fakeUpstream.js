@@ -0,0 +1,104 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const MEDIA_TYPES = { '.jpg': 'image/jpeg', '.png': 'image/png', '.mp4': 'video/mp4' };
+
+function readFixture(kind, name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, kind, `${name}.json`), 'utf8');
+}
+
+/**
+ * Local stand-in for the tucktools profile API, the mollygram story API and
+ * the Instagram CDN. Responses are replayed from test/fixtures; `{{UPSTREAM}}`
+ * in a fixture is replaced with this server's base URL so media links point
+ * back here. Every request is recorded in `requests`.
+ *
+ *   GET /tucktools_user?username=<name>           profile fixture
+ *   GET /mollygram/?url=<name>&method=allstories  story fixture
+ *   GET /media/<file>                             test/fixtures/media/<file>
+ */
+class FakeUpstream {
+    constructor() {
+        this.server = http.createServer((req, res) => this._handle(req, res));
+        this.baseUrl = null;
+        this.requests = [];
+        this.profiles = new Map();
+        this.stories = new Map();
+    }
+
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        return this;
+    }
+
+    async stop() {
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    get profileUrl() {
+        return `${this.baseUrl}/tucktools_user`;
+    }
+
+    get storyUrl() {
+        return `${this.baseUrl}/mollygram/`;
+    }
+
+    /**
+     * Serves fixtures/tucktools/<fixture>.json for `username`. `fixture`
+     * may also be an HTTP status code to simulate an outage.
+     */
+    setProfile(username, fixture) {
+        this.profiles.set(username.toLowerCase(), fixture);
+    }
+
+    /** Serves fixtures/mollygram/<fixture>.json for `username`. */
+    setStories(username, fixture) {
+        this.stories.set(username.toLowerCase(), fixture);
+    }
+
+    requestsTo(pathname) {
+        return this.requests.filter(request => request.pathname === pathname);
+    }
+
+    reset() {
+        this.requests = [];
+        this.profiles.clear();
+        this.stories.clear();
+    }
+
+    _handle(req, res) {
+        const url = new URL(req.url, this.baseUrl);
+        this.requests.push({ method: req.method, pathname: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+        if (url.pathname === '/tucktools_user') {
+            return this._replay(res, 'tucktools', this.profiles.get((url.searchParams.get('username') || '').toLowerCase()) ?? 'not-found');
+        }
+        if (url.pathname === '/mollygram/') {
+            return this._replay(res, 'mollygram', this.stories.get((url.searchParams.get('url') || '').toLowerCase()) ?? 'no-stories');
+        }
+        if (url.pathname.startsWith('/media/')) {
+            const file = path.join(FIXTURES_DIR, 'media', path.basename(url.pathname));
+            if (fs.existsSync(file)) {
+                res.writeHead(200, { 'Content-Type': MEDIA_TYPES[path.extname(file)] || 'application/octet-stream' });
+                return res.end(fs.readFileSync(file));
+            }
+        }
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    }
+
+    _replay(res, kind, fixture) {
+        if (typeof fixture === 'number') {
+            res.writeHead(fixture, { 'Content-Type': 'text/plain' });
+            return res.end('Upstream error');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(readFixture(kind, fixture).replace(/\{\{UPSTREAM\}\}/g, this.baseUrl));
+    }
+}
+
+module.exports = { FakeUpstream, readFixture };
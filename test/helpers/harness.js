@@ -0,0 +1,63 @@
+const { FakeUpstream } = require('./fakeUpstream');
+const { MockTelegramBot } = require('./mockTelegramBot');
+const { startMongo } = require('./mongo');
+const { configureTestEnv } = require('./env');
+
+/**
+ * Boots the whole bot the way index.js does, against the fake upstream, the
+ * recording Telegram mock and a throwaway MongoDB. The scheduler is idle;
+ * tests run profile and story jobs themselves through `runProfileCheck`
+ * and `runStoryCheck`. Resolves to { skipped: reason } when MongoDB can't
+ * be started.
+ */
+async function startHarness() {
+    const upstream = await new FakeUpstream().start();
+    const mongo = await startMongo().catch(async error => {
+        await upstream.stop();
+        throw error;
+    });
+    if (!mongo.uri) {
+        await upstream.stop();
+        return { skipped: mongo.reason };
+    }
+
+    configureTestEnv({ upstream, mongoUri: mongo.uri });
+    const mongoose = require('mongoose');
+    const Bot = require('../../src/Bot');
+
+    const telegram = new MockTelegramBot();
+    const app = new Bot({ bot: telegram });
+    await app.initialize();
+
+    return {
+        app,
+        telegram,
+        upstream,
+        models: require('../../src/models/models'),
+
+        // Like the scheduler, runs the job's follow-up once the check is done
+        async runProfileCheck(username) {
+            const { afterComplete, ...result } = await app.monitorService._runProfileJob(username);
+            if (afterComplete) await afterComplete();
+            return result;
+        },
+        runStoryCheck: username => app.monitorService._runStoryJob(username),
+
+        // Empties collections rather than dropping the database so indexes survive
+        async reset() {
+            for (const collection of Object.values(mongoose.connection.collections)) {
+                await collection.deleteMany({});
+            }
+            upstream.reset();
+            telegram.clear();
+        },
+
+        async stop() {
+            await app.gracefulShutdown();
+            await mongo.stop();
+            await upstream.stop();
+        }
+    };
+}
+
+module.exports = { startHarness };
@@ -0,0 +1,202 @@
+const EventEmitter = require('events');
+const { Readable } = require('stream');
+
+// Message types that node-telegram-bot-api re-emits as their own events
+const MESSAGE_TYPES = ['text', 'document', 'photo', 'video', 'sticker'];
+
+/**
+ * Recording stand-in for the node-telegram-bot-api methods the bot uses.
+ * Outgoing calls are kept in `calls` as { method, chatId, args } and answered
+ * with message-shaped objects; `failNext` makes the next call of a method
+ * reject. `receive` dispatches an incoming message the way the library's
+ * processUpdate does and resolves once every handler has finished.
+ */
+class MockTelegramBot extends EventEmitter {
+    constructor() {
+        super();
+        this.calls = [];
+        this.files = new Map();
+        this.chatMembers = new Map();
+        this._textHandlers = [];
+        this._failures = new Map();
+        this._nextMessageId = 1;
+    }
+
+    // --- Incoming updates ---
+
+    onText(regexp, callback) {
+        this._textHandlers.push({ regexp, callback });
+    }
+
+    /**
+     * Delivers a message from `from` (user id) in `chatId`, by default the
+     * sender's private chat. `message` is the text or a partial Telegram
+     * message, e.g. { document, caption }.
+     */
+    async receive(message, { from = 42, chatId = from, chatType = chatId === from ? 'private' : 'group' } = {}) {
+        const msg = {
+            message_id: this._nextMessageId++,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: chatId, type: chatType },
+            from: { id: from, is_bot: false, first_name: `User ${from}`, username: `user${from}` },
+            ...(typeof message === 'string' ? { text: message } : message)
+        };
+        await this._dispatch(msg);
+        return msg;
+    }
+
+    processUpdate(update) {
+        if (update.message) return this._dispatch(update.message);
+        if (update.callback_query) return Promise.all(this._emitCollecting('callback_query', update.callback_query));
+        return Promise.resolve();
+    }
+
+    async _dispatch(msg) {
+        const pending = this._emitCollecting('message', msg);
+        for (const type of MESSAGE_TYPES) {
+            if (msg[type]) pending.push(...this._emitCollecting(type, msg));
+        }
+        if (msg.text) {
+            for (const { regexp, callback } of this._textHandlers) {
+                const match = regexp.exec(msg.text);
+                regexp.lastIndex = 0;
+                if (match) pending.push(callback(msg, match));
+            }
+        }
+        await Promise.all(pending);
+    }
+
+    // Like emit(), but keeps what the listeners return so callers can await them
+    _emitCollecting(event, ...args) {
+        return this.listeners(event).map(listener => listener(...args));
+    }
+
+    // --- Outgoing calls ---
+
+    sendMessage(chatId, text, options = {}) {
+        return this._record('sendMessage', chatId, [text, options], () => this._message(chatId, { text }));
+    }
+
+    sendPhoto(chatId, photo, options = {}, fileOptions = {}) {
+        return this._record('sendPhoto', chatId, [photo, options, fileOptions], () => this._message(chatId, { photo: [{ file_id: 'photo' }], caption: options.caption }));
+    }
+
+    sendVideo(chatId, video, options = {}, fileOptions = {}) {
+        return this._record('sendVideo', chatId, [video, options, fileOptions], () => this._message(chatId, { video: { file_id: 'video' }, caption: options.caption }));
+    }
+
+    sendDocument(chatId, document, options = {}, fileOptions = {}) {
+        return this._record('sendDocument', chatId, [document, options, fileOptions], () => this._message(chatId, { document: { file_id: 'document', file_name: fileOptions.filename } }));
+    }
+
+    sendMediaGroup(chatId, media, options = {}) {
+        return this._record('sendMediaGroup', chatId, [media, options], () => media.map(item => this._message(chatId, { [item.type]: { file_id: item.type }, caption: item.caption })));
+    }
+
+    sendChatAction(chatId, action) {
+        return this._record('sendChatAction', chatId, [action], () => true);
+    }
+
+    editMessageText(text, options = {}) {
+        return this._record('editMessageText', options.chat_id, [text, options], () => this._message(options.chat_id, { text }));
+    }
+
+    answerCallbackQuery(callbackQueryId, options = {}) {
+        return this._record('answerCallbackQuery', null, [callbackQueryId, options], () => true);
+    }
+
+    getChatMember(chatId, userId) {
+        return this._record('getChatMember', chatId, [userId], () => ({
+            user: { id: Number(userId) },
+            status: this.chatMembers.get(`${chatId}:${userId}`) || 'member'
+        }));
+    }
+
+    getFileStream(fileId) {
+        const content = this.files.get(fileId);
+        this.calls.push({ method: 'getFileStream', chatId: null, args: [fileId] });
+        if (content === undefined) {
+            const stream = new Readable({ read() {} });
+            process.nextTick(() => stream.destroy(new Error(`ETELEGRAM: 400 Bad Request: invalid file_id ${fileId}`)));
+            return stream;
+        }
+        return Readable.from([Buffer.from(content)]);
+    }
+
+    setWebHook(url, options = {}) {
+        return this._record('setWebHook', null, [url, options], () => true);
+    }
+
+    deleteWebHook() {
+        return this._record('deleteWebHook', null, [], () => true);
+    }
+
+    stopPolling() {
+        return this._record('stopPolling', null, [], () => true);
+    }
+
+    // --- Test helpers ---
+
+    /** Makes the next call of `method` reject with `error`. */
+    failNext(method, error = new Error('ETELEGRAM: 400 Bad Request')) {
+        this._failures.set(method, error);
+    }
+
+    /** Registers a file for getFileStream. */
+    addFile(fileId, content) {
+        this.files.set(fileId, content);
+    }
+
+    /** Sets what getChatMember reports for `userId` in `chatId`. */
+    setChatMember(chatId, userId, status) {
+        this.chatMembers.set(`${chatId}:${userId}`, status);
+    }
+
+    callsTo(method, chatId = null) {
+        return this.calls.filter(call => call.method === method && (chatId === null || String(call.chatId) === String(chatId)));
+    }
+
+    /** Texts of the messages sent to `chatId`, oldest first. */
+    messagesTo(chatId) {
+        return this.callsTo('sendMessage', chatId).map(call => call.args[0]);
+    }
+
+    lastMessageTo(chatId) {
+        return this.messagesTo(chatId).pop();
+    }
+
+    /** Everything visible in `chatId`: message texts and media captions. */
+    outputTo(chatId) {
+        return this.calls.filter(call => String(call.chatId) === String(chatId)).flatMap(({ method, args }) => {
+            if (method === 'sendMessage') return [args[0]];
+            if (method === 'sendMediaGroup') return args[0].map(item => item.caption).filter(Boolean);
+            if (['sendPhoto', 'sendVideo', 'sendDocument'].includes(method)) return args[1].caption ? [args[1].caption] : [];
+            return [];
+        });
+    }
+
+    clear() {
+        this.calls = [];
+    }
+
+    async _record(method, chatId, args, respond) {
+        this.calls.push({ method, chatId, args });
+        const failure = this._failures.get(method);
+        if (failure) {
+            this._failures.delete(method);
+            throw failure;
+        }
+        return respond();
+    }
+
+    _message(chatId, fields) {
+        return {
+            message_id: this._nextMessageId++,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: chatId },
+            ...fields
+        };
+    }
+}
+
+module.exports = { MockTelegramBot };
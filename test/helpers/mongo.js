@@ -0,0 +1,33 @@
+/**
+ * Starts a throwaway MongoDB for the end-to-end tests. MONGODB_TEST_URI
+ * uses an existing server instead; its collections are emptied between
+ * tests, so point it at a scratch database.
+ * Otherwise mongodb-memory-server runs a private mongod of the version
+ * pinned in package.json (config.mongodbMemoryServer), downloading it to
+ * ~/.cache/mongodb-binaries on first use; MONGOMS_SYSTEM_BINARY points it
+ * at a local mongod for offline machines.
+ * Resolves to { uri, stop }. When no server can be started it rejects under
+ * CI, so the suite can't pass without its end-to-end tests, and resolves to
+ * { uri: null, reason } elsewhere (or with E2E_ALLOW_SKIP=true) so suites
+ * can skip.
+ */
+async function startMongo() {
+    if (process.env.MONGODB_TEST_URI) {
+        return { uri: process.env.MONGODB_TEST_URI, stop: async () => {} };
+    }
+
+    try {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        const server = await MongoMemoryServer.create();
+        return { uri: server.getUri('instabot-test'), stop: () => server.stop() };
+    } catch (error) {
+        const reason = `MongoDB unavailable (${error.message.split(/\n|, Details:/)[0]})`;
+        if (['1', 'true'].includes(process.env.CI) && process.env.E2E_ALLOW_SKIP !== 'true') {
+            throw new Error(`${reason}. Set MONGOMS_SYSTEM_BINARY to a local mongod or MONGODB_TEST_URI to a scratch database; ` +
+                'E2E_ALLOW_SKIP=true skips the end-to-end tests instead.');
+        }
+        return { uri: null, reason };
+    }
+}
+
+module.exports = { startMongo };
@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeUpstream, readFixture } = require('./helpers/fakeUpstream');
+const { configureTestEnv } = require('./helpers/env');
+
+let upstream;
+let InstagramService;
+let TucktoolsProfileProvider;
+let ProviderError;
+
+before(async () => {
+    upstream = await new FakeUpstream().start();
+    configureTestEnv({ upstream });
+    InstagramService = require('../src/services/instagram');
+    TucktoolsProfileProvider = require('../src/services/providers/tucktools');
+    ({ ProviderError } = require('../src/services/providers/registry'));
+});
+
+after(() => upstream.stop());
+
+beforeEach(() => upstream.reset());
+
+function fixture(name) {
+    return JSON.parse(readFixture('tucktools', name).replace(/\{\{UPSTREAM\}\}/g, 'https://cdn.example.test'));
+}
+
+describe('InstagramService._parseApiResponse', () => {
+    const service = () => new InstagramService();
+
+    it('maps a tucktools profile to a snapshot', () => {
+        const data = service()._parseApiResponse(fixture('natgeo'), 'NatGeo');
+
+        assert.equal(data.username, 'natgeo');
+        assert.equal(data.scrapedUsername, 'natgeo');
+        assert.equal(data.userFullname, 'National Geographic');
+        assert.match(data.userDescription, /^Step into wonder/);
+        assert.equal(data.userProfilePic, 'https://cdn.example.test/media/natgeo_profile_2915402371_n.jpg');
+        assert.equal(data.followersCount, 283412907);
+        assert.equal(data.followingCount, 154);
+        assert.equal(data.postsCount, 30211);
+        assert.equal(data.rawFollowers, '283412907');
+        assert.equal(data.isPrivate, false);
+        assert.equal(data.isVerified, true);
+        assert.equal(data.userProfilePicHash, null);
+        assert.equal(data.apiResponseJson.external_url, 'https://on.natgeo.com/instagram');
+    });
+
+    it('keeps the error payload and zeroes the counts for unavailable profiles', () => {
+        const data = service()._parseApiResponse(fixture('not-found'), 'ghost');
+
+        assert.equal(data.username, 'ghost');
+        assert.equal(data.followersCount, 0);
+        assert.equal(data.userFullname, null);
+        assert.equal(data.isPrivate, null);
+        assert.deepEqual(data.apiResponseJson, { status: false, message: 'User not found' });
+    });
+
+    it('substitutes an error payload when there is no response at all', () => {
+        const data = service()._parseApiResponse(null, 'ghost');
+        assert.deepEqual(data.apiResponseJson, { status: false, message: 'No valid data from API' });
+    });
+
+    it('treats unparseable counts as zero', () => {
+        const data = service()._parseApiResponse({ ...fixture('natgeo'), user_followers: 'n/a', total_posts: undefined }, 'natgeo');
+        assert.equal(data.followersCount, 0);
+        assert.equal(data.postsCount, 0);
+        assert.equal(data.rawPosts, '0');
+    });
+});
+
+describe('TucktoolsProfileProvider', () => {
+    const provider = () => new TucktoolsProfileProvider({ apiUrlBase: upstream.profileUrl, timeout: 2000 });
+
+    it('returns the upstream profile', async () => {
+        upstream.setProfile('natgeo', 'natgeo');
+        const data = await provider().fetchProfile('natgeo');
+
+        assert.equal(data.status, true);
+        assert.equal(data.user_followers, '283412907');
+        assert.deepEqual(upstream.requestsTo('/tucktools_user').map(request => request.query.username), ['natgeo']);
+    });
+
+    it('passes "user not found" responses through', async () => {
+        const data = await provider().fetchProfile('ghost');
+        assert.deepEqual(data, { status: false, message: 'User not found' });
+    });
+
+    it('fails on HTTP errors', async () => {
+        upstream.setProfile('natgeo', 503);
+        await assert.rejects(provider().fetchProfile('natgeo'), error =>
+            error instanceof ProviderError && /status 503/.test(error.message));
+    });
+
+    it('fails when follower counts are missing', async () => {
+        upstream.setProfile('natgeo', 'missing-counts');
+        await assert.rejects(provider().fetchProfile('natgeo'), /missing follower counts/);
+    });
+});
+
+describe('InstagramService.fetchProfileData', () => {
+    it('fetches, parses and hashes the profile picture', async () => {
+        upstream.setProfile('natgeo', 'natgeo');
+        const result = await new InstagramService().fetchProfileData('natgeo');
+
+        assert.equal(result.success, true);
+        assert.equal(result.provider, 'tucktools');
+        assert.equal(result.calls, 1);
+        assert.equal(result.data.provider, 'tucktools');
+        assert.equal(result.data.followersCount, 283412907);
+        assert.match(result.data.userProfilePicHash, /^dhash:[0-9a-f]{16}$/);
+        assert.equal(upstream.requestsTo('/media/natgeo_profile_2915402371_n.jpg').length, 1);
+    });
+
+    it('hashes pictures it cannot decode by their bytes', async () => {
+        const hash = await new InstagramService()._getImageHash(`${upstream.baseUrl}/media/pixel.png`);
+        assert.match(hash, /^sha256:[0-9a-f]{64}$/);
+    });
+
+    it('identifies story media over the size cap by URL instead', async () => {
+        const instagram = new InstagramService();
+        assert.match(await instagram.getMediaContentId(`${upstream.baseUrl}/media/pixel.png`), /^sha256:/);
+
+        instagram.options.storyHashMaxBytes = 16;
+        assert.equal(await instagram.getMediaContentId(`${upstream.baseUrl}/media/pixel.png`), null);
+    });
+
+    it('reports unavailable profiles as fetched, without a picture hash', async () => {
+        const result = await new InstagramService().fetchProfileData('ghost');
+
+        assert.equal(result.success, true);
+        assert.equal(result.data.apiResponseJson.status, false);
+        assert.equal(result.data.userProfilePicHash, null);
+    });
+
+    it('reports provider outages as failures', async () => {
+        upstream.setProfile('natgeo', 500);
+        const result = await new InstagramService().fetchProfileData('natgeo');
+
+        assert.equal(result.success, false);
+        assert.equal(result.calls, 1);
+        assert.match(result.error, /No profile provider succeeded .*status 500/);
+    });
+});
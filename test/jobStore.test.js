@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers/env');
+
+let MemoryJobStore;
+let MongoJobStore;
+let ScheduledJob;
+let modelMethods;
+
+before(() => {
+    configureTestEnv();
+    ({ MemoryJobStore, MongoJobStore } = require('../src/services/scheduler'));
+    ({ ScheduledJob } = require('../src/models/models'));
+    modelMethods = { findOneAndUpdate: ScheduledJob.findOneAndUpdate, updateOne: ScheduledJob.updateOne, updateMany: ScheduledJob.updateMany };
+});
+
+after(() => {
+    Object.assign(ScheduledJob, modelMethods);
+});
+
+describe('MemoryJobStore', () => {
+    it('does not hand out a job that is still leased', async () => {
+        const store = new MemoryJobStore();
+        await store.add('profile', 'natgeo', new Date(0));
+
+        assert.equal((await store.claimDue(new Date(), 5)).length, 1);
+        assert.equal((await store.claimDue(new Date(), 5)).length, 0);
+    });
+
+    it('makes an abandoned job due again once its lease is released', async () => {
+        const store = new MemoryJobStore();
+        await store.add('profile', 'natgeo', new Date(0));
+        const [abandoned] = await store.claimDue(new Date(), 1);
+
+        await store.complete(abandoned, {});
+
+        const [again] = await store.claimDue(new Date(), 1);
+        assert.equal(again.key, 'natgeo');
+        assert.notEqual(again.leaseToken, abandoned.leaseToken);
+    });
+
+    it('only lets the current lease holder complete a job', async () => {
+        const store = new MemoryJobStore();
+        await store.add('profile', 'natgeo', new Date(0));
+        const [abandoned] = await store.claimDue(new Date(), 1);
+        await store.complete(abandoned, {});
+        const [current] = await store.claimDue(new Date(), 1);
+
+        await store.complete(abandoned, { nextRunAt: new Date(0), failures: 7 });
+        assert.equal(store.jobs.get('profile:natgeo').running, true);
+        assert.equal(store.jobs.get('profile:natgeo').failures, 0);
+
+        await store.complete(current, { nextRunAt: new Date(60000), failures: 1 });
+        assert.equal(store.jobs.get('profile:natgeo').running, false);
+        assert.equal(store.jobs.get('profile:natgeo').failures, 1);
+    });
+});
+
+describe('MongoJobStore', () => {
+    it('fences completions and renewals by the lease token of each claim', async () => {
+        const due = [{ _id: 'a', type: 'profile', key: 'natgeo' }, { _id: 'b', type: 'profile', key: 'nasa' }];
+        const updates = [];
+        ScheduledJob.findOneAndUpdate = async () => due.shift() || null;
+        ScheduledJob.updateOne = async (filter, update) => {
+            updates.push({ filter, update });
+            return { matchedCount: filter.leaseToken === 'stale' ? 0 : 1 };
+        };
+        ScheduledJob.updateMany = async (filter, update) => updates.push({ filter, update });
+        const store = new MongoJobStore({ leaseMs: 60000 });
+
+        const [natgeo, nasa] = await store.claimDue(new Date(), 5);
+        assert.ok(natgeo.leaseToken);
+        assert.notEqual(natgeo.leaseToken, nasa.leaseToken);
+        assert.equal(natgeo.lockedBy, store.workerId);
+
+        await store.renew([natgeo, nasa]);
+        await store.complete(natgeo, { failures: 0 });
+        await store.complete({ ...nasa, leaseToken: 'stale' }, { failures: 0 });
+
+        assert.deepEqual(updates[0].filter.leaseToken, { $in: [natgeo.leaseToken, nasa.leaseToken] });
+        assert.deepEqual(updates[1].filter, { _id: 'a', leaseToken: natgeo.leaseToken });
+        assert.equal(updates[1].update.$set.leaseToken, null);
+        assert.equal(updates[1].update.$set.lockedBy, null);
+        assert.deepEqual(updates[2].filter, { _id: 'b', leaseToken: 'stale' });
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers/env');
+
+let AccountLifecycleService;
+let notifications;
+
+before(() => {
+    configureTestEnv();
+    AccountLifecycleService = require('../src/services/lifecycle');
+    const NotificationService = require('../src/services/notification');
+    notifications = new NotificationService(null, null, null, null, null);
+});
+
+describe('account lifecycle', () => {
+    it('tells takedowns apart from missing accounts by the API message', () => {
+        assert.equal(AccountLifecycleService.classify('User not found'), 'not_found');
+        assert.equal(AccountLifecycleService.classify(undefined), 'not_found');
+        assert.equal(AccountLifecycleService.classify('This account has been suspended'), 'suspected_banned');
+        assert.equal(AccountLifecycleService.classify('Account disabled for violating our terms'), 'suspected_banned');
+        // Not a whole word
+        assert.equal(AccountLifecycleService.classify('Bandwidth exceeded'), 'not_found');
+    });
+
+    it('explains a disappearance with the API message and failure count', () => {
+        const { title, text } = notifications.formatLifecycleMessage('nat_geo', {
+            to: 'suspected_banned', reason: 'Account suspended', failures: 3
+        });
+
+        assert.equal(title, '@nat\\_geo may have been banned');
+        assert.match(text, /^🚫 \*@nat\\_geo may have been banned\*/);
+        assert.match(text, /Instagram answered "Account suspended" to the last 3 checks/);
+    });
+
+    it('offers /follow for renames unless they are followed automatically', () => {
+        const transition = { to: 'renamed', renamedTo: 'natgeowild' };
+
+        assert.match(notifications.formatLifecycleMessage('natgeo', transition).text, /Use \/follow natgeo to monitor @natgeowild instead/);
+        const followed = notifications.formatLifecycleMessage('natgeo', transition, { followed: true }).text;
+        assert.match(followed, /This chat now monitors @natgeowild instead/);
+        assert.doesNotMatch(followed, /\/follow/);
+    });
+
+    it('tells chats without room for the new handle why they stay behind', () => {
+        const { text } = notifications.formatLifecycleMessage('natgeo', { to: 'renamed', renamedTo: 'natgeo_wild' }, {
+            followed: true,
+            blockedReason: 'This chat already monitors 2 of 2 allowed accounts.'
+        });
+
+        assert.match(text, /can't monitor @natgeo\\_wild instead: This chat already monitors 2 of 2 allowed accounts\./);
+        assert.match(text, /Use \/follow natgeo once there is room/);
+    });
+});
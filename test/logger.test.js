@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configureTestEnv } = require('./helpers/env');
+
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'instabot-logs-'));
+const logFile = path.join(logDir, 'bot.log');
+let logger;
+
+before(() => {
+    configureTestEnv({
+        overrides: {
+            LOG_LEVEL: 'info',
+            LOG_LEVELS: 'monitor=debug,channels=error',
+            LOG_FORMAT: 'json',
+            LOG_FILE: logFile,
+            LOG_FILE_MAX_BYTES: '2048',
+            LOG_FILE_MAX_FILES: '2'
+        }
+    });
+    logger = require('../src/utils/logger');
+});
+
+after(() => {
+    fs.rmSync(logDir, { recursive: true, force: true });
+});
+
+/**
+ * Runs `fn` with log lines on stdout and stderr captured; resolves to them
+ * parsed, tagged with the stream they went to. Anything else (the test
+ * runner reports over stdout) passes through.
+ */
+async function capture(fn) {
+    const lines = [];
+    const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+    for (const [name, write] of Object.entries(originals)) {
+        process[name].write = (chunk, ...rest) => {
+            if (typeof chunk !== 'string' || !chunk.startsWith('{"time"')) return write.call(process[name], chunk, ...rest);
+            lines.push({ stream: name, ...JSON.parse(chunk) });
+            return true;
+        };
+    }
+    try {
+        await fn();
+    } finally {
+        for (const [name, write] of Object.entries(originals)) process[name].write = write;
+    }
+    return lines;
+}
+
+describe('logger', () => {
+    it('writes one JSON object per line with the module and error', async () => {
+        const log = logger.child({ module: 'instagram' });
+        const [line] = await capture(() => log.error('Failed to fetch @natgeo:', Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+
+        assert.equal(line.stream, 'stderr');
+        assert.equal(line.level, 'error');
+        assert.equal(line.module, 'instagram');
+        assert.equal(line.msg, 'Failed to fetch @natgeo');
+        assert.equal(line.err.message, 'socket hang up');
+        assert.equal(line.err.code, 'ECONNRESET');
+        assert.match(line.err.stack, /socket hang up/);
+        assert.ok(!Number.isNaN(Date.parse(line.time)));
+    });
+
+    it('merges plain objects as fields and appends other arguments', async () => {
+        const lines = await capture(() => logger.info('Fetched', 'profile', 3, { provider: 'tucktools', durationMs: 12 }));
+
+        assert.equal(lines[0].stream, 'stdout');
+        assert.equal(lines[0].msg, 'Fetched profile 3');
+        assert.equal(lines[0].provider, 'tucktools');
+        assert.equal(lines[0].durationMs, 12);
+    });
+
+    it('applies per-module levels, inherited by submodules', async () => {
+        const lines = await capture(() => {
+            logger.child({ module: 'monitor' }).debug('monitor debug');
+            logger.child({ module: 'scheduler' }).debug('scheduler debug');
+            logger.child({ module: 'scheduler' }).info('scheduler info');
+            logger.child({ module: 'channels.slack' }).warn('slack warn');
+            logger.child({ module: 'channels.slack' }).error('slack error');
+        });
+
+        assert.deepEqual(lines.map(line => line.msg), ['monitor debug', 'scheduler info', 'slack error']);
+    });
+
+    it('tags everything in a unit of work with its correlation ID and context', async () => {
+        const log = logger.child({ module: 'monitor' });
+        const lines = await capture(() => Promise.all(['natgeo', 'nasa'].map(username =>
+            logger.withCorrelation({ job: 'profile' }, async () => {
+                log.info('checking');
+                await new Promise(resolve => setImmediate(resolve));
+                await logger.withContext({ username }, async () => {
+                    await Promise.resolve();
+                    log.info('checked', { changed: false });
+                });
+                log.info('done');
+            })
+        )));
+
+        const byId = new Map();
+        for (const line of lines) {
+            assert.match(line.correlationId, /^[0-9a-f]{16}$/);
+            assert.equal(line.job, 'profile');
+            byId.set(line.correlationId, [...(byId.get(line.correlationId) || []), line]);
+        }
+        assert.equal(byId.size, 2);
+        for (const group of byId.values()) {
+            assert.deepEqual(group.map(line => line.msg), ['checking', 'checked', 'done']);
+            assert.ok(['natgeo', 'nasa'].includes(group[1].username));
+            assert.equal(group[0].username, undefined);
+            assert.equal(group[2].username, undefined);
+        }
+        assert.deepEqual(logger.getContext(), {});
+    });
+
+    it('also writes JSON to the log file and rotates it by size', async () => {
+        await capture(() => {
+            for (let i = 0; i < 60; i++) logger.info(`line ${i}`, { padding: 'x'.repeat(80) });
+        });
+
+        const files = fs.readdirSync(logDir).sort();
+        assert.deepEqual(files, ['bot.log', 'bot.log.1', 'bot.log.2']);
+        for (const file of files) {
+            assert.ok(fs.statSync(path.join(logDir, file)).size <= 2048);
+        }
+        const last = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line)).pop();
+        assert.equal(last.msg, 'line 59');
+    });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { packSections, truncateMarkdown, TELEGRAM_MESSAGE_LIMIT } = require('../src/utils/messages');
+const { parseMarkdown } = require('../src/utils/markdown');
+
+describe('packSections', () => {
+    it('packs sections into as few messages as fit', () => {
+        const section = 'x'.repeat(2000);
+        assert.deepEqual(packSections('*Header*', [section, section, section]).map(message => message.length), [
+            '*Header*'.length + 2 + 2000 + 2 + 2000,
+            2000
+        ]);
+    });
+
+    it('truncates an oversized section at a line boundary without open entities', () => {
+        const line = '📝 *Bio:* `changed` _a bit_ [link](https://example.com)';
+        const section = `🕒 *Now*\n\`\`\`\n${`${line}\n`.repeat(200)}\`\`\``;
+
+        const [, message] = packSections('*Header*', [section]);
+
+        assert.ok(message.length <= TELEGRAM_MESSAGE_LIMIT);
+        assert.match(message, /\n```$/);
+        assert.equal(message.split('```').length, 3);
+        assert.deepEqual(parseMarkdown(message).map(token => token.type), ['text', 'bold', 'text', 'pre']);
+    });
+
+    it('drops markers whose counterpart was cut off', () => {
+        const text = `*${'a'.repeat(50)}* _${'b'.repeat(50)}_ [c\\_d](https://example.com/${'e'.repeat(50)})`;
+
+        assert.equal(truncateMarkdown(text, 60), `*${'a'.repeat(50)}* bb`);
+        assert.match(truncateMarkdown(text, 170), /_ \\\[c\\_d\]\(https:\/\/example\.com\/e+$/);
+    });
+});
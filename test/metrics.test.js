@@ -0,0 +1,95 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockTelegramBot } = require('./helpers/mockTelegramBot');
+const { configureTestEnv } = require('./helpers/env');
+
+let metrics;
+let ProviderRegistry;
+let TelegramHandler;
+
+before(() => {
+    configureTestEnv();
+    metrics = require('../src/utils/metrics');
+    ({ ProviderRegistry } = require('../src/services/providers/registry'));
+    TelegramHandler = require('../src/telegram/handler');
+});
+
+beforeEach(() => {
+    metrics.register.resetMetrics();
+});
+
+// Current value of a counter, or of a histogram's _count, for `labels`
+async function valueOf(metric, labels) {
+    const { values } = await metric.get();
+    const matches = values.filter(value => Object.entries(labels).every(([key, label]) => value.labels[key] === label) &&
+        (!value.metricName || value.metricName.endsWith('_count')));
+    return matches.reduce((sum, value) => sum + value.value, 0);
+}
+
+describe('metrics', () => {
+    it('counts failed Telegram sends by method and reason and rethrows', async () => {
+        const telegram = metrics.instrumentTelegramBot(new MockTelegramBot());
+        const blocked = Object.assign(new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user'), {
+            code: 'ETELEGRAM',
+            response: { statusCode: 403, body: { error_code: 403 } }
+        });
+
+        telegram.failNext('sendMessage', blocked);
+        await assert.rejects(telegram.sendMessage(42, 'hi'), /blocked/);
+        telegram.failNext('sendPhoto', Object.assign(new Error('EFATAL: socket hang up'), { code: 'EFATAL' }));
+        await assert.rejects(telegram.sendPhoto(42, 'https://example.com/p.jpg'));
+        await telegram.sendMessage(42, 'hi again');
+
+        assert.equal(await valueOf(metrics.telegramSendFailures, { method: 'sendMessage', reason: '403' }), 1);
+        assert.equal(await valueOf(metrics.telegramSendFailures, { method: 'sendPhoto', reason: 'network' }), 1);
+        assert.equal(await valueOf(metrics.telegramSendFailures, {}), 2);
+    });
+
+    it('records upstream latency per endpoint, provider and outcome', async () => {
+        const registry = new ProviderRegistry('profile', [
+            { name: 'flaky', fetchProfile: async () => { throw new Error('HTTP 502'); } },
+            { name: 'steady', fetchProfile: async username => ({ username }) }
+        ], { failureThreshold: 3, cooldownMs: 1000, rateLimitFor: () => ({ ratePerMinute: 6000, capacity: 10 }) });
+
+        const { provider } = await registry.execute('fetchProfile', 'natgeo');
+
+        assert.equal(provider, 'steady');
+        const histogram = metrics.upstreamRequestDuration;
+        assert.equal(await valueOf(histogram, { endpoint: 'profile', provider: 'flaky', outcome: 'error' }), 1);
+        assert.equal(await valueOf(histogram, { endpoint: 'profile', provider: 'steady', outcome: 'success' }), 1);
+    });
+
+    it('counts commands by name and outcome', async () => {
+        const telegram = new MockTelegramBot();
+        let role = 'admin';
+        const handler = new TelegramHandler(telegram, {
+            monitorService: { isInitializing: false },
+            accessControlService: { authorize: async () => ({ allowed: role === 'admin', role }) }
+        });
+        handler._createAuthorizedHandler(/\/ping(?:@\w+)?(?: (.+))?$/, async (msg, match) => {
+            if (match[1] === 'fail') throw new Error('boom');
+        });
+
+        await telegram.receive('/ping');
+        await telegram.receive('/ping@InstaBot');
+        await telegram.receive('/ping fail');
+        role = 'viewer';
+        await telegram.receive('/ping');
+
+        assert.equal(await valueOf(metrics.commands, { command: '/ping', outcome: 'success' }), 2);
+        assert.equal(await valueOf(metrics.commands, { command: '/ping', outcome: 'error' }), 1);
+        assert.equal(await valueOf(metrics.commands, { command: '/ping', outcome: 'denied' }), 1);
+    });
+
+    it('renders the Prometheus exposition format', async () => {
+        metrics.changesDetected.inc({ type: 'followers' });
+        metrics.storiesDetected.inc({ media_type: 'video' }, 2);
+
+        const text = await metrics.register.metrics();
+
+        assert.match(text, /^# TYPE instabot_changes_detected_total counter$/m);
+        assert.match(text, /^instabot_changes_detected_total\{type="followers"\} 1$/m);
+        assert.match(text, /^instabot_stories_detected_total\{media_type="video"\} 2$/m);
+        assert.match(text, /^# TYPE instabot_check_cycle_duration_seconds histogram$/m);
+    });
+});
@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers/env');
+
+let monitor;
+let StoryHistory;
+let findOne;
+
+before(() => {
+    configureTestEnv();
+    const MonitorService = require('../src/services/monitor');
+    monitor = new MonitorService(null, null, null, null, null, null);
+    ({ StoryHistory } = require('../src/models/models'));
+    findOne = StoryHistory.findOne;
+});
+
+after(() => {
+    StoryHistory.findOne = findOne;
+});
+
+function snapshot(overrides = {}) {
+    const apiResponseJson = {
+        status: true,
+        username: 'natgeo',
+        user_followers: 1000,
+        external_url: 'https://on.natgeo.com/instagram',
+        ...overrides.apiResponseJson
+    };
+    return {
+        username: 'natgeo',
+        provider: 'tucktools',
+        followersCount: 1000,
+        followingCount: 150,
+        postsCount: 300,
+        isVerified: true,
+        isPrivate: false,
+        userFullname: 'National Geographic',
+        userDescription: 'Step into wonder.',
+        userProfilePicHash: 'dhash:198c9c99cecc9ce6',
+        ...overrides,
+        apiResponseJson
+    };
+}
+
+describe('MonitorService._detectChanges', () => {
+    it('treats the first snapshot as a change', () => {
+        assert.deepEqual(monitor._detectChanges(snapshot(), null), { hasChanged: true });
+    });
+
+    it('reports nothing for identical snapshots', () => {
+        const changes = monitor._detectChanges(snapshot(), snapshot());
+
+        assert.equal(changes.hasChanged, false);
+        assert.equal(changes.followerDiff, 0);
+        assert.deepEqual(changes.fieldChanges, []);
+    });
+
+    it('computes count differences', () => {
+        const changes = monitor._detectChanges(
+            snapshot({ followersCount: 1250, postsCount: 299, apiResponseJson: { user_followers: 1250 } }),
+            snapshot());
+
+        assert.equal(changes.hasChanged, true);
+        assert.equal(changes.followerDiff, 250);
+        assert.equal(changes.postsDiff, -1);
+        assert.equal(changes.followingDiff, 0);
+        // Counts are compared through the parsed fields, not as raw API fields
+        assert.deepEqual(changes.fieldChanges, []);
+    });
+
+    it('flags name, verification and privacy changes', () => {
+        const changes = monitor._detectChanges(
+            snapshot({ userFullname: 'Nat Geo', isVerified: false, isPrivate: true }),
+            snapshot());
+
+        assert.equal(changes.nameChanged, true);
+        assert.equal(changes.verifiedChanged, true);
+        assert.equal(changes.privateChanged, true);
+    });
+
+    it('diffs bios line by line', () => {
+        const changes = monitor._detectChanges(
+            snapshot({ userDescription: 'Step into wonder.\nNew link below.' }),
+            snapshot());
+
+        assert.equal(changes.bioChanged, true);
+        assert.ok(changes.bioDiff.some(line => line.type === 'added' && line.line === 'New link below.'));
+    });
+
+    it('treats a missing bio like an empty one', () => {
+        const changes = monitor._detectChanges(snapshot({ userDescription: null }), snapshot({ userDescription: '' }));
+        assert.equal(changes.bioChanged, false);
+    });
+
+    it('reports other API fields that changed', () => {
+        const changes = monitor._detectChanges(
+            snapshot({ apiResponseJson: { external_url: 'https://natgeo.com' } }),
+            snapshot());
+
+        assert.equal(changes.hasChanged, true);
+        assert.equal(changes.fieldsChanged, true);
+        assert.deepEqual(changes.fieldChanges.map(({ field, before, after }) => ({ field, before, after })), [
+            { field: 'external_url', before: 'https://on.natgeo.com/instagram', after: 'https://natgeo.com' }
+        ]);
+    });
+
+    it('does not compare API fields across providers', () => {
+        const changes = monitor._detectChanges(
+            snapshot({ provider: 'instagram-web', apiResponseJson: { category: 'Media' } }),
+            snapshot());
+
+        assert.equal(changes.hasChanged, false);
+        assert.deepEqual(changes.fieldChanges, []);
+    });
+
+    it('does not compare API fields of failed responses', () => {
+        const changes = monitor._detectChanges(snapshot(), snapshot({ apiResponseJson: { status: false, message: 'User not found' } }));
+        assert.deepEqual(changes.fieldChanges, []);
+    });
+
+    it('ignores small profile picture hash distances', () => {
+        // Two bits differ: recompression, not a new picture
+        const changes = monitor._detectChanges(snapshot({ userProfilePicHash: 'dhash:198c9c99cecc9ce5' }), snapshot());
+        assert.equal(changes.profilePicChanged, false);
+        assert.equal(changes.hasChanged, false);
+    });
+
+    it('detects a different profile picture', () => {
+        const changes = monitor._detectChanges(snapshot({ userProfilePicHash: 'dhash:e673633631336319' }), snapshot());
+        assert.equal(changes.profilePicChanged, true);
+        assert.equal(changes.hasChanged, true);
+    });
+
+    it('cannot compare legacy MD5 picture hashes', () => {
+        const changes = monitor._detectChanges(snapshot(), snapshot({ userProfilePicHash: 'd41d8cd98f00b204e9800998ecf8427e' }));
+        assert.equal(changes.profilePicChanged, false);
+    });
+
+    it('compares content hashes of pictures that could not be decoded', () => {
+        const webp = snapshot({ userProfilePicHash: `sha256:${'a'.repeat(64)}` });
+        assert.equal(monitor._detectChanges(webp, snapshot({ userProfilePicHash: `sha256:${'a'.repeat(64)}` })).profilePicChanged, false);
+        assert.equal(monitor._detectChanges(webp, snapshot({ userProfilePicHash: `sha256:${'b'.repeat(64)}` })).profilePicChanged, true);
+    });
+
+    it('falls back to the CDN file name when hashes cannot be compared', () => {
+        const picture = (file, hash) => snapshot({
+            userProfilePic: `https://scontent.cdninstagram.com/v/t51.2885-19/${file}?_nc_ht=x&oe=${Math.random()}`,
+            userProfilePicHash: hash
+        });
+
+        assert.equal(monitor._detectChanges(picture('1_2_n.jpg', null), picture('1_2_n.jpg', 'dhash:198c9c99cecc9ce6')).profilePicChanged, false);
+        assert.equal(monitor._detectChanges(picture('1_2_n.webp', `sha256:${'a'.repeat(64)}`), picture('1_2_n.jpg', 'dhash:198c9c99cecc9ce6')).profilePicChanged, false);
+        assert.equal(monitor._detectChanges(picture('3_4_n.jpg', null), picture('1_2_n.jpg', 'dhash:198c9c99cecc9ce6')).profilePicChanged, true);
+        assert.equal(monitor._detectChanges(picture('3_4_n.jpg', 'dhash:198c9c99cecc9ce6'), picture('1_2_n.jpg', 'd41d8cd98f00b204e9800998ecf8427e')).profilePicChanged, true);
+    });
+});
+
+describe('MonitorService._processStoryResult', () => {
+    it('only downloads story media without an ID the first time it shows up', async () => {
+        const mediaUrl = 'https://stories.example.com/proxy/view?token=abc';
+        StoryHistory.findOne = async query => (query.mediaUrl === mediaUrl ? { mediaUrl } : null);
+        const downloads = [];
+        monitor.instagramService = { getMediaContentId: async url => downloads.push(url) };
+
+        const found = await monitor._processStoryResult('natgeo', { status: 'ok', items: [{ mediaUrl, mediaType: 'video' }] });
+
+        assert.equal(found, 0);
+        assert.deepEqual(downloads, []);
+    });
+});
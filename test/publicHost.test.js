@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { isPublicHttpUrl, publicAgents } = require('../src/utils/publicHost');
+
+describe('isPublicHttpUrl', () => {
+    it('accepts http(s) URLs on public hosts', () => {
+        assert.ok(isPublicHttpUrl('https://example.com/hooks/instabot'));
+        assert.ok(isPublicHttpUrl('http://8.8.8.8:8080/'));
+        assert.ok(isPublicHttpUrl('https://[2001:4860::8888]/'));
+    });
+
+    it('refuses loopback, private, link-local and internal-only hosts', () => {
+        for (const url of [
+            'http://localhost:3000/', 'http://127.0.0.1/', 'http://2130706433/', 'http://0/', 'http://[::1]/',
+            'http://[::ffff:127.0.0.1]/', 'http://10.0.0.5/', 'http://172.20.1.1/', 'http://192.168.1.1/',
+            'http://169.254.169.254/latest/meta-data/', 'http://metadata.google.internal/', 'http://intranet/',
+            'http://[fd00::1]/', 'http://[fe80::1]/', 'ftp://example.com/', 'not a url'
+        ]) {
+            assert.equal(isPublicHttpUrl(url), false, url);
+        }
+    });
+
+    it('refuses public names that resolve to internal addresses', async () => {
+        await assert.rejects(axios.get('http://localhost:9/', { timeout: 2000, ...publicAgents }), { code: 'ENONPUBLIC' });
+    });
+});
@@ -0,0 +1,147 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers/env');
+
+let JobScheduler;
+let MemoryJobStore;
+
+before(() => {
+    configureTestEnv();
+    ({ JobScheduler, MemoryJobStore } = require('../src/services/scheduler'));
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+let scheduler;
+
+afterEach(async () => {
+    if (scheduler) await scheduler.stop();
+    scheduler = null;
+});
+
+function createScheduler({ store = new MemoryJobStore(), jitterRatio = 0.1 } = {}) {
+    scheduler = new JobScheduler({ store, concurrency: 1, tickMs: 20, syncIntervalMs: 3600000, jitterRatio, renewIntervalMs: 1000 });
+    return scheduler;
+}
+
+// Resolves once `resolve` is called, so a test decides when a handler or store call returns
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+}
+
+describe('JobScheduler._nextState', () => {
+    const definition = { interval: 60000, maxInterval: 480000, adaptive: true, backoffAfter: 2 };
+
+    function intervalAfter(job, outcome) {
+        const state = createScheduler({ jitterRatio: 0 })._nextState(job, definition, outcome, Date.now());
+        return state.intervalMs;
+    }
+
+    it('keeps the base interval for changed accounts and resets their streak', () => {
+        const state = createScheduler()._nextState({ unchangedStreak: 5, failures: 2 }, definition, { ok: true, changed: true }, Date.now());
+
+        assert.equal(state.intervalMs, 60000);
+        assert.equal(state.unchangedStreak, 0);
+        assert.equal(state.failures, 0);
+        assert.equal(state.lastError, null);
+    });
+
+    it('backs off unchanged accounts once the streak reaches backoffAfter', () => {
+        assert.equal(intervalAfter({ unchangedStreak: 0 }, { ok: true, changed: false }), 60000);
+        assert.equal(intervalAfter({ unchangedStreak: 1 }, { ok: true, changed: false }), 120000);
+        assert.equal(intervalAfter({ unchangedStreak: 2 }, { ok: true, changed: false }), 240000);
+        assert.equal(intervalAfter({ unchangedStreak: 20 }, { ok: true, changed: false }), 480000);
+    });
+
+    it('backs off failures exponentially up to maxInterval', () => {
+        assert.equal(intervalAfter({ failures: 0 }, { ok: false, error: 'HTTP 502' }), 60000);
+        assert.equal(intervalAfter({ failures: 2 }, { ok: false, error: 'HTTP 502' }), 240000);
+        assert.equal(intervalAfter({ failures: 9 }, { ok: false, error: 'HTTP 502' }), 480000);
+    });
+
+    it('keeps jitter within jitterRatio of the interval', () => {
+        const scheduler = createScheduler({ jitterRatio: 0.1 });
+        for (let i = 0; i < 200; i++) {
+            const startedAt = Date.now();
+            const state = scheduler._nextState({ unchangedStreak: 0 }, definition, { ok: true, changed: true }, startedAt);
+            const delay = state.nextRunAt.getTime() - (startedAt + state.lastDurationMs);
+            assert.ok(delay >= 60000 && delay < 66000, `delay ${delay}`);
+        }
+    });
+});
+
+describe('JobScheduler.restart', () => {
+    it('aborts abandoned runs, releases their lease and ignores their late result', async () => {
+        const store = new MemoryJobStore();
+        const hung = deferred();
+        const signals = [];
+        createScheduler({ store });
+        scheduler.defineJob('profile', {
+            handler: (key, { signal }) => {
+                signals.push(signal);
+                return signals.length === 1 ? hung.promise : Promise.resolve({ changed: false });
+            },
+            listKeys: async () => ['natgeo'],
+            interval: 60000
+        });
+
+        await scheduler.start();
+        await wait(60);
+        assert.equal(scheduler.countLongRunning(30), 1);
+
+        await scheduler.restart({ abandonAfterMs: 30 });
+        await wait(60);
+        assert.equal(signals.length, 2);
+        assert.equal(signals[0].aborted, true);
+        assert.equal(scheduler.getStats().inFlight, 0);
+        assert.equal(scheduler.getStats().completedJobs, 1);
+
+        hung.resolve({ changed: true });
+        await wait(20);
+        const [job] = store.jobs.values();
+        assert.equal(job.unchangedStreak, 1);
+        assert.equal(scheduler.getStats().completedJobs, 1);
+    });
+
+    it('hands back jobs a replaced tick claims once its store call returns', async () => {
+        const store = new MemoryJobStore();
+        const claimDue = store.claimDue.bind(store);
+        const gate = deferred();
+        let calls = 0;
+        store.claimDue = (...args) => (++calls === 1 ? gate.promise.then(() => claimDue(...args)) : claimDue(...args));
+
+        const natgeo = deferred();
+        const runs = [];
+        createScheduler({ store });
+        scheduler.defineJob('profile', {
+            handler: key => {
+                runs.push(key);
+                return key === 'natgeo' ? natgeo.promise : Promise.resolve({ changed: false });
+            },
+            listKeys: async () => ['natgeo', 'nasa'],
+            interval: 60000
+        });
+
+        // The first tick hangs in claimDue; the restart's tick runs natgeo in the only slot
+        scheduler.start();
+        await wait(60);
+        await scheduler.restart({ abandonAfterMs: 60000 });
+        await wait(20);
+        try {
+            assert.deepEqual(runs, ['natgeo']);
+
+            // The replaced tick gets nasa once its claim returns, but must not run it
+            gate.resolve();
+            await wait(10);
+            assert.deepEqual(runs, ['natgeo']);
+            assert.equal(store.jobs.get('profile:nasa').running, false);
+        } finally {
+            // Lets stop() drain even when an assertion failed
+            natgeo.resolve({ changed: false });
+        }
+
+        await wait(60);
+        assert.deepEqual(runs, ['natgeo', 'nasa']);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeUpstream, readFixture } = require('./helpers/fakeUpstream');
+const { configureTestEnv } = require('./helpers/env');
+
+let upstream;
+let MollygramStoryProvider;
+let InstagramService;
+let deriveStoryId;
+
+before(async () => {
+    upstream = await new FakeUpstream().start();
+    configureTestEnv({ upstream });
+    MollygramStoryProvider = require('../src/services/providers/mollygram');
+    InstagramService = require('../src/services/instagram');
+    ({ deriveStoryId } = require('../src/utils/storyId'));
+});
+
+after(() => upstream.stop());
+
+beforeEach(() => upstream.reset());
+
+const provider = () => new MollygramStoryProvider({ apiUrlBase: upstream.storyUrl, timeout: 2000 });
+
+describe('MollygramStoryProvider._extractMediaItems', () => {
+    const html = name => JSON.parse(readFixture('mollygram', name)).html.replace(/\{\{UPSTREAM\}\}/g, 'https://cdn.example.test');
+
+    it('returns players in reel order, skipping poster frames and duplicate download links', () => {
+        const items = provider()._extractMediaItems(html('natgeo-stories'));
+
+        assert.deepEqual(items.map(item => item.mediaType), ['video', 'photo']);
+        assert.match(items[0].mediaUrl, /\/media\/462817364_\d+_\d+_n\.mp4\?/);
+        assert.match(items[1].mediaUrl, /\/media\/462790150_\d+_\d+_n\.jpg\?/);
+    });
+
+    it('falls back to download links when the page has no players', () => {
+        const items = provider()._extractMediaItems(html('download-links'));
+
+        assert.deepEqual(items.map(item => item.mediaType), ['photo', 'video']);
+        assert.ok(items.every(item => item.mediaUrl.startsWith('https://cdn.example.test/media/')));
+    });
+
+    it('finds nothing in unrelated markup', () => {
+        assert.deepEqual(provider()._extractMediaItems('<p>Nothing to see</p><a href="/help">Help</a>'), []);
+    });
+
+    it('yields URLs with a stable story id', () => {
+        const [video, photo] = provider()._extractMediaItems(html('natgeo-stories'));
+        assert.equal(deriveStoryId(video.mediaUrl), 'file:462817364_1093384712309551_3859217734612850923_n.mp4');
+        assert.equal(deriveStoryId(photo.mediaUrl), 'file:462790150_1204567890123456_7654321098765432109_n.jpg');
+    });
+});
+
+describe('MollygramStoryProvider.fetchStory', () => {
+    it('returns the current story items', async () => {
+        upstream.setStories('natgeo', 'natgeo-stories');
+        const result = await provider().fetchStory('natgeo');
+
+        assert.equal(result.status, 'ok');
+        assert.equal(result.items.length, 2);
+        assert.ok(result.items[0].mediaUrl.startsWith(`${upstream.baseUrl}/media/`));
+        assert.deepEqual(upstream.requestsTo('/mollygram/')[0].query, { url: 'natgeo', method: 'allstories' });
+    });
+
+    it('reports accounts without stories', async () => {
+        const result = await provider().fetchStory('natgeo');
+        assert.equal(result.status, 'no_stories');
+    });
+
+    it('fails on other upstream errors', async () => {
+        upstream.setStories('natgeo', 'private');
+        await assert.rejects(provider().fetchStory('natgeo'), /\[mollygram\] This account is private/);
+    });
+
+    it('fails on HTTP errors', async () => {
+        upstream.setStories('natgeo', 502);
+        await assert.rejects(provider().fetchStory('natgeo'), /\[mollygram\] Request failed with status code 502/);
+    });
+});
+
+describe('InstagramService.fetchStoryData', () => {
+    it('tags results with the provider used', async () => {
+        upstream.setStories('natgeo', 'natgeo-stories');
+        const result = await new InstagramService().fetchStoryData('natgeo');
+
+        assert.equal(result.status, 'ok');
+        assert.equal(result.provider, 'mollygram');
+        assert.equal(result.calls, 1);
+    });
+
+    it('turns provider failures into an error result', async () => {
+        upstream.setStories('natgeo', 'private');
+        const result = await new InstagramService().fetchStoryData('natgeo');
+
+        assert.equal(result.status, 'error');
+        assert.equal(result.calls, 1);
+        assert.match(result.msg, /This account is private/);
+    });
+});
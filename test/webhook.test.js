@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTestEnv } = require('./helpers/env');
+
+let WebhookService;
+let models;
+let createDeadLetter;
+
+before(() => {
+    configureTestEnv();
+    WebhookService = require('../src/services/webhook');
+    models = require('../src/models/models');
+    createDeadLetter = models.WebhookDeadLetter.create;
+});
+
+after(() => {
+    models.WebhookDeadLetter.create = createDeadLetter;
+});
+
+describe('WebhookService', () => {
+    it('dead-letters deliveries waiting to retry when drained', async () => {
+        const deadLetters = [];
+        models.WebhookDeadLetter.create = async doc => deadLetters.push(doc);
+
+        const webhooks = new WebhookService(null);
+        webhooks.options = { ...webhooks.options, maxAttempts: 5, backoffBase: 300000, backoffMax: 300000 };
+        webhooks._recordStatus = async () => {};
+        let attempts = 0;
+        webhooks._attemptDelivery = async (hook, payload, attempt) => {
+            attempts++;
+            return { ok: false, retryable: true, status: 503, attempt };
+        };
+
+        const hook = { _id: 'hook', url: 'https://hooks.example.com/instabot', secret: 's' };
+        const delivery = webhooks._deliverWithRetry(hook, webhooks._buildPayload('story.new', 'natgeo', {}));
+        webhooks._inFlight.add(delivery);
+        await new Promise(resolve => setImmediate(resolve));
+
+        const startedAt = Date.now();
+        await webhooks.drain();
+        assert.ok(Date.now() - startedAt < 1000);
+        assert.equal(attempts, 1);
+        assert.equal(deadLetters.length, 1);
+        assert.equal(deadLetters[0].attempts, 1);
+        assert.match(deadLetters[0].lastError, /retry cancelled by shutdown/);
+    });
+});